@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic, writeFileAtomicSync } = require('../storage/atomic-file');
+const { LocalStorage } = require('../storage');
+
+describe('Atomic file writes', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-atomic-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should replace the target and remove the temporary file', async() => {
+    const target = path.join(dir, 'spec.json');
+    fs.writeFileSync(target, 'old');
+
+    await writeFileAtomic(target, 'new');
+    writeFileAtomicSync(path.join(dir, 'backup.json'), 'copy');
+
+    expect(fs.readFileSync(target, 'utf8')).toBe('new');
+    expect(fs.readdirSync(dir).sort()).toEqual(['backup.json', 'spec.json']);
+  });
+
+  test('should leave the target untouched when the rename fails', async() => {
+    const target = path.join(dir, 'spec.json');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'keep'), '');
+
+    await expect(writeFileAtomic(target, 'new')).rejects.toThrow();
+    expect(() => writeFileAtomicSync(target, 'new')).toThrow();
+    expect(fs.readdirSync(dir)).toEqual(['spec.json']);
+    expect(fs.statSync(target).isDirectory()).toBe(true);
+  });
+
+  test('should be used by LocalStorage', async() => {
+    const storage = new LocalStorage({ baseDir: dir });
+
+    await storage.writeFile('nested/spec.json', '{}');
+
+    expect(fs.readdirSync(path.join(dir, 'nested'))).toEqual(['spec.json']);
+    expect(await storage.readFile('nested/spec.json')).toBe('{}');
+  });
+});
@@ -0,0 +1,101 @@
+const CaptureQueue = require('../capture-queue');
+
+describe('CaptureQueue', () => {
+  test('should process queued items in batches', async() => {
+    const processed = [];
+    const queue = new CaptureQueue(async(item) => processed.push(item), { batchSize: 2 });
+
+    [1, 2, 3, 4, 5].forEach(item => queue.push(item));
+    await queue.flush();
+
+    expect(processed).toEqual([1, 2, 3, 4, 5]);
+    expect(queue.getMetrics()).toMatchObject({ size: 0, accepted: 5, processed: 5, failed: 0, batches: 3 });
+  });
+
+  test('should drop the oldest item when full by default', async() => {
+    const processed = [];
+    const queue = new CaptureQueue(async(item) => processed.push(item), { maxSize: 2 });
+
+    expect([1, 2, 3].map(item => queue.push(item))).toEqual([true, true, true]);
+    await queue.flush();
+
+    expect(processed).toEqual([2, 3]);
+    expect(queue.getMetrics().dropped).toEqual({ oldest: 1, newest: 0, closed: 0 });
+    expect(queue.getMetrics().highWaterMark).toBe(2);
+  });
+
+  test('should drop new items when full with drop-newest', async() => {
+    const processed = [];
+    const queue = new CaptureQueue(async(item) => processed.push(item), { maxSize: 2, overflow: 'drop-newest' });
+
+    expect([1, 2, 3].map(item => queue.push(item))).toEqual([true, true, false]);
+    await queue.flush();
+
+    expect(processed).toEqual([1, 2]);
+    expect(queue.getMetrics().dropped).toEqual({ oldest: 0, newest: 1, closed: 0 });
+  });
+
+  test('should count failures and keep processing', async() => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const processed = [];
+    const queue = new CaptureQueue(async(item) => {
+      if (item === 2) {
+        throw new Error('boom');
+      }
+      processed.push(item);
+    });
+
+    [1, 2, 3].forEach(item => queue.push(item));
+    await queue.flush();
+
+    expect(processed).toEqual([1, 3]);
+    expect(queue.getMetrics()).toMatchObject({ processed: 2, failed: 1 });
+    errorSpy.mockRestore();
+  });
+
+  test('should wait for items still being processed', async() => {
+    let release;
+    const processed = [];
+    const queue = new CaptureQueue((item) => new Promise(resolve => {
+      release = () => {
+        processed.push(item);
+        resolve();
+      };
+    }));
+
+    queue.push('slow');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const flushed = queue.flush();
+    release();
+    await flushed;
+
+    expect(processed).toEqual(['slow']);
+  });
+
+  test('should flush before the interval elapses', async() => {
+    const processed = [];
+    const queue = new CaptureQueue(async(item) => processed.push(item), { flushIntervalMs: 60000 });
+
+    queue.push(1);
+    expect(processed).toEqual([]);
+    await queue.flush();
+
+    expect(processed).toEqual([1]);
+  });
+
+  test('should reject items after close', async() => {
+    const processed = [];
+    const queue = new CaptureQueue(async(item) => processed.push(item));
+
+    queue.push(1);
+    await queue.close();
+
+    expect(queue.push(2)).toBe(false);
+    expect(processed).toEqual([1]);
+    expect(queue.getMetrics().dropped.closed).toBe(1);
+  });
+
+  test('should reject unknown overflow policies', () => {
+    expect(() => new CaptureQueue(() => {}, { overflow: 'block' })).toThrow('Unknown capture queue overflow policy');
+  });
+});
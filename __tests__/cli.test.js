@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAPISpecCLI = require('../cli');
+
+describe('OpenAPISpecCLI', () => {
+  let baseDir;
+  let logSpy;
+
+  const storedSpec = {
+    openapi: '3.0.0',
+    info: { title: 'Orders', version: '1.0.0' },
+    paths: {
+      '/orders': { get: { responses: { 200: { description: 'OK' } } } }
+    },
+    components: { schemas: {}, securitySchemes: {} }
+  };
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-cli-'));
+    fs.writeFileSync(path.join(baseDir, 'Orders.json'), JSON.stringify(storedSpec));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('should export the collections stored in the base directory', async() => {
+    const outputFile = path.join(baseDir, 'out.yaml');
+
+    await new OpenAPISpecCLI().exportCollections([baseDir, 'yaml', outputFile]);
+
+    const exported = fs.readFileSync(outputFile, 'utf8');
+    expect(exported).toContain('# Orders');
+    expect(exported).toContain('/orders:');
+  });
+
+  test('should create versions and backups of the stored collections', async() => {
+    const cli = new OpenAPISpecCLI();
+
+    await cli.createVersion(['2.0.0', baseDir]);
+    await cli.createBackup([baseDir]);
+
+    const version = JSON.parse(fs.readFileSync(path.join(baseDir, 'versions', 'Orders_v2.0.0.json'), 'utf8'));
+    expect(version.info.version).toBe('2.0.0');
+    expect(Object.keys(version.paths)).toEqual(['/orders']);
+    expect(fs.readdirSync(path.join(baseDir, 'backups'))).toEqual([expect.stringMatching(/^Orders_backup_/)]);
+  });
+
+  test('should list and restore backups of the stored collections', async() => {
+    const cli = new OpenAPISpecCLI();
+    const junk = { ...storedSpec, paths: { ...storedSpec.paths, '/junk': { get: { responses: { 200: { description: 'OK' } } } } } };
+    fs.mkdirSync(path.join(baseDir, 'backups'));
+    fs.writeFileSync(path.join(baseDir, 'backups', 'Orders_backup_a.json'), JSON.stringify(storedSpec));
+    fs.writeFileSync(path.join(baseDir, 'Orders.json'), JSON.stringify(junk));
+
+    await cli.listBackups(['Orders', baseDir]);
+    expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^ +a +\(/));
+
+    await cli.restoreBackup(['Orders', 'latest', baseDir, '--yes']);
+    const restored = JSON.parse(fs.readFileSync(path.join(baseDir, 'Orders.json'), 'utf8'));
+    expect(Object.keys(restored.paths)).toEqual(['/orders']);
+    expect(fs.existsSync(path.join(baseDir, 'API_Collection.json'))).toBe(false);
+  });
+});
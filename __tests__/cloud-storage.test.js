@@ -0,0 +1,140 @@
+const { Readable } = require('stream');
+const { S3Storage, GCSStorage, AzureStorage, PreconditionFailedError } = require('../storage');
+
+class Command {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+const serviceError = (name, props) => Object.assign(new Error(name), { name }, props);
+
+describe('S3Storage conditional writes', () => {
+  const createStorage = send => {
+    const storage = Object.assign(new S3Storage({ bucket: 'specs' }), {
+      s3Client: { send },
+      initialized: true
+    });
+    jest.spyOn(storage, '_loadSdk').mockResolvedValue({
+      GetObjectCommand: class GetObjectCommand extends Command {},
+      PutObjectCommand: class PutObjectCommand extends Command {}
+    });
+    return storage;
+  };
+
+  test('should read the ETag as the version', async() => {
+    const send = jest.fn().mockResolvedValue({ Body: Readable.from([Buffer.from('{}')]), ETag: '"abc"' });
+
+    await expect(createStorage(send).readFileWithVersion('API.json')).resolves.toEqual({ content: '{}', version: '"abc"' });
+    expect(send.mock.calls[0][0].input).toEqual({ Bucket: 'specs', Key: 'openapi-specs/API.json' });
+  });
+
+  test('should send IfMatch and IfNoneMatch preconditions', async() => {
+    const send = jest.fn().mockResolvedValue({});
+    const storage = createStorage(send);
+
+    await storage.writeFile('API.json', '{}', { ifMatch: '"abc"' });
+    await storage.writeFile('API.json', '{}', { ifNoneMatch: '*' });
+    await storage.writeFile('API.json', '{}');
+
+    expect(send.mock.calls[0][0].input).toMatchObject({ IfMatch: '"abc"' });
+    expect(send.mock.calls[1][0].input).toMatchObject({ IfNoneMatch: '*' });
+    expect(send.mock.calls[2][0].input).not.toHaveProperty('IfMatch');
+    expect(send.mock.calls[2][0].input).not.toHaveProperty('IfNoneMatch');
+  });
+
+  test('should throw PreconditionFailedError when the ETag no longer matches', async() => {
+    const cause = serviceError('PreconditionFailed', { $metadata: { httpStatusCode: 412 } });
+    const storage = createStorage(jest.fn().mockRejectedValue(cause));
+
+    const error = await storage.writeFile('API.json', '{}', { ifMatch: '"abc"' }).catch(e => e);
+    expect(error).toBeInstanceOf(PreconditionFailedError);
+    expect(error).toMatchObject({ code: 'PRECONDITION_FAILED', path: 'API.json', cause });
+  });
+
+  test('should pass other errors through', async() => {
+    const storage = createStorage(jest.fn().mockRejectedValue(serviceError('AccessDenied', { $metadata: { httpStatusCode: 403 } })));
+
+    await expect(storage.writeFile('API.json', '{}', { ifMatch: '"abc"' })).rejects.toThrow('AccessDenied');
+  });
+});
+
+describe('GCSStorage conditional writes', () => {
+  const createStorage = file => Object.assign(new GCSStorage({ bucketName: 'specs' }), {
+    bucket: { file: jest.fn(() => file) },
+    initialized: true
+  });
+
+  test('should read the generation as the version', async() => {
+    const file = {
+      getMetadata: jest.fn().mockResolvedValue([{ generation: 1712 }]),
+      download: jest.fn().mockResolvedValue([Buffer.from('{}')])
+    };
+    const storage = createStorage(file);
+
+    await expect(storage.readFileWithVersion('API.json')).resolves.toEqual({ content: '{}', version: '1712' });
+    expect(storage.bucket.file).toHaveBeenLastCalledWith('openapi-specs/API.json', { generation: 1712 });
+  });
+
+  test('should send ifGenerationMatch preconditions', async() => {
+    const file = { save: jest.fn().mockResolvedValue() };
+    const storage = createStorage(file);
+
+    await storage.writeFile('API.json', '{}', { ifMatch: '1712' });
+    await storage.writeFile('API.json', '{}', { ifNoneMatch: '*' });
+    await storage.writeFile('API.json', '{}');
+
+    expect(file.save.mock.calls[0][1].preconditionOpts).toEqual({ ifGenerationMatch: 1712 });
+    expect(file.save.mock.calls[1][1].preconditionOpts).toEqual({ ifGenerationMatch: 0 });
+    expect(file.save.mock.calls[2][1]).not.toHaveProperty('preconditionOpts');
+  });
+
+  test('should throw PreconditionFailedError when the generation no longer matches', async() => {
+    const file = { save: jest.fn().mockRejectedValue(Object.assign(new Error('conditionNotMet'), { code: 412 })) };
+
+    await expect(createStorage(file).writeFile('API.json', '{}', { ifMatch: '1712' }))
+      .rejects.toBeInstanceOf(PreconditionFailedError);
+  });
+});
+
+describe('AzureStorage conditional writes', () => {
+  const createStorage = blobClient => Object.assign(new AzureStorage({ containerName: 'specs' }), {
+    containerClient: {
+      getBlobClient: jest.fn(() => blobClient),
+      getBlockBlobClient: jest.fn(() => blobClient)
+    },
+    initialized: true
+  });
+
+  test('should read the ETag as the version', async() => {
+    const blobClient = {
+      download: jest.fn().mockResolvedValue({ readableStreamBody: Readable.from([Buffer.from('{}')]), etag: '"0x8D"' })
+    };
+
+    await expect(createStorage(blobClient).readFileWithVersion('API.json')).resolves.toEqual({ content: '{}', version: '"0x8D"' });
+  });
+
+  test('should send ifMatch and ifNoneMatch access conditions', async() => {
+    const blobClient = { upload: jest.fn().mockResolvedValue({}) };
+    const storage = createStorage(blobClient);
+
+    await storage.writeFile('API.json', '{"name":"café"}', { ifMatch: '"0x8D"' });
+    await storage.writeFile('API.json', '{}', { ifNoneMatch: '*' });
+
+    expect(blobClient.upload.mock.calls[0][1]).toBe(Buffer.byteLength('{"name":"café"}'));
+    expect(blobClient.upload.mock.calls[0][2].conditions).toEqual({ ifMatch: '"0x8D"' });
+    expect(blobClient.upload.mock.calls[1][2].conditions).toEqual({ ifNoneMatch: '*' });
+  });
+
+  test('should throw PreconditionFailedError when the blob changed or already exists', async() => {
+    const blobClient = {
+      upload: jest.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('ConditionNotMet'), { statusCode: 412 }))
+        .mockRejectedValueOnce(Object.assign(new Error('BlobAlreadyExists'), { statusCode: 409, code: 'BlobAlreadyExists' }))
+    };
+    const storage = createStorage(blobClient);
+
+    await expect(storage.writeFile('API.json', '{}', { ifMatch: '"0x8D"' })).rejects.toBeInstanceOf(PreconditionFailedError);
+    await expect(storage.writeFile('API.json', '{}', { ifNoneMatch: '*' })).rejects.toBeInstanceOf(PreconditionFailedError);
+  });
+});
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CollectionManager = require('../collection-manager');
+const WriteScheduler = require('../write-scheduler');
+
+const createEndpointData = urlPath => ({
+  request: { method: 'GET', path: urlPath, headers: {}, query: {} },
+  response: { statusCode: 200, headers: {}, body: { ok: true } },
+  metadata: { capturedAt: new Date().toISOString() }
+});
+
+describe('CollectionManager loading from storage', () => {
+  let localDir;
+  let storageDir;
+  let logSpy;
+  let errorSpy;
+
+  // The storage root differs from baseDir, so specifications can only be found through the storage backend
+  const createManager = () => new CollectionManager({
+    baseDir: localDir,
+    storage: { type: 'local', options: { baseDir: storageDir } },
+    defaultCollectionOptions: { title: 'Orders' },
+    writeSchedule: { flushOnExit: false }
+  });
+  const store = (file, spec) => {
+    fs.mkdirSync(path.dirname(path.join(storageDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(storageDir, file), typeof spec === 'string' ? spec : JSON.stringify(spec));
+  };
+  const readStored = file => JSON.parse(fs.readFileSync(path.join(storageDir, file), 'utf8'));
+
+  beforeEach(() => {
+    localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-local-'));
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-remote-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    fs.rmSync(localDir, { recursive: true, force: true });
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  test('should load a stored specification before the first save', async() => {
+    store('Orders.json', { openapi: '3.0.0', info: { title: 'Orders', version: '1.0.0' }, paths: { '/orders': { get: {} } } });
+    const manager = createManager();
+
+    await manager.addEndpoint('Orders', createEndpointData('/invoices'));
+    await manager.flush();
+
+    expect(Object.keys(readStored('Orders.json').paths).sort()).toEqual(['/invoices', '/orders']);
+  });
+
+  test('should resolve loadCollection once the specification is loaded', async() => {
+    store('Orders.json', { openapi: '3.0.0', paths: { '/orders': { get: {} } } });
+
+    const collection = await createManager().loadCollection('Orders');
+
+    expect(Object.keys(collection.spec.paths)).toEqual(['/orders']);
+  });
+
+  test('should retry a failed load instead of overwriting the stored specification', async() => {
+    store('Orders.json', { openapi: '3.0.0', paths: { '/orders': { get: {} } } });
+    const manager = createManager();
+    jest.spyOn(manager.storage, 'readFile').mockRejectedValueOnce(new Error('network down'));
+
+    await expect(manager.loadCollection('Orders')).rejects.toThrow('network down');
+    await manager.addEndpoint('Orders', createEndpointData('/invoices'));
+    await manager.flush();
+
+    expect(Object.keys(readStored('Orders.json').paths).sort()).toEqual(['/invoices', '/orders']);
+  });
+
+  test('should recover a corrupt specification from backups in storage', async() => {
+    store('Orders.json', '{"openapi": "3.0.0", "pa');
+    store('backups/Orders_backup_2024-01-01_00-00-00.json', { openapi: '3.0.0', paths: { '/orders': { get: {} } } });
+
+    const collection = await createManager().loadCollection('Orders');
+
+    expect(Object.keys(collection.spec.paths)).toEqual(['/orders']);
+    expect(Object.keys(readStored('Orders.json').paths)).toEqual(['/orders']);
+    expect(fs.readdirSync(storageDir).some(file => file.startsWith('Orders.json.corrupt-'))).toBe(true);
+  });
+});
+
+describe('CollectionManager backups and versions', () => {
+  let localDir;
+  let storageDir;
+  let logSpy;
+
+  const createManager = (options = {}) => new CollectionManager({
+    baseDir: localDir,
+    storage: { type: 'local', options: { baseDir: storageDir } },
+    defaultCollectionOptions: { title: 'Orders' },
+    writeSchedule: { flushOnExit: false },
+    ...options
+  });
+
+  beforeEach(() => {
+    localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-local-'));
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-remote-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async() => {
+    await WriteScheduler.flushAll();
+    logSpy.mockRestore();
+    fs.rmSync(localDir, { recursive: true, force: true });
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  test('should write backups and versions to storage', async() => {
+    const manager = createManager();
+    await manager.addEndpoint('Orders', createEndpointData('/orders'));
+
+    const backupPath = await manager.createBackup('Orders');
+    const versionPath = await manager.createVersion('Orders', '2.0.0');
+
+    expect(backupPath).toMatch(/^backups\/Orders_backup_.+\.json$/);
+    expect(JSON.parse(fs.readFileSync(path.join(storageDir, backupPath), 'utf8')).paths['/orders']).toBeDefined();
+    expect(versionPath).toBe(path.join('versions', 'Orders_v2.0.0.json'));
+    expect(JSON.parse(fs.readFileSync(path.join(storageDir, versionPath), 'utf8')).info.version).toBe('2.0.0');
+  });
+
+  test('should keep the newest backups by storage metadata timestamps', async() => {
+    const manager = createManager({ maxBackups: 2 });
+    await manager.addEndpoint('Orders', createEndpointData('/orders'));
+
+    const modified = {
+      'Orders_backup_a.json': new Date('2024-03-01T00:00:00Z'),
+      'Orders_backup_b.json': new Date('2024-01-01T00:00:00Z'),
+      'Orders_backup_c.json': new Date('2024-02-01T00:00:00Z')
+    };
+    fs.mkdirSync(path.join(storageDir, 'backups'), { recursive: true });
+    Object.keys(modified).forEach(file => fs.writeFileSync(path.join(storageDir, 'backups', file), '{}'));
+    jest.spyOn(manager.storage, 'getFileMetadata')
+      .mockImplementation(async filePath => ({ lastModified: modified[path.basename(filePath)] || new Date() }));
+
+    const backupPath = await manager.createBackup('Orders');
+
+    expect(fs.readdirSync(path.join(storageDir, 'backups')).sort())
+      .toEqual(['Orders_backup_a.json', path.basename(backupPath)].sort());
+  });
+});
+
+describe('CollectionManager restore', () => {
+  let baseDir;
+  let logSpy;
+
+  const createManager = () => new CollectionManager({
+    baseDir,
+    writeSchedule: { flushOnExit: false }
+  });
+  const readStored = () => JSON.parse(fs.readFileSync(path.join(baseDir, 'Orders.json'), 'utf8'));
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-restore-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('should preview, then roll back to a backup', async() => {
+    const manager = createManager();
+    await manager.addEndpoint('Orders', createEndpointData('/orders'));
+    await manager.createBackup('Orders');
+    await manager.addEndpoint('Orders', createEndpointData('/junk'));
+    await manager.flush();
+    const [backup] = await manager.listBackups('Orders');
+
+    const preview = await manager.restoreBackup('Orders', backup.id, { dryRun: true });
+    expect(preview).toEqual({
+      source: backup.path,
+      diff: { added: [], removed: ['GET /junk'], changed: [] },
+      restored: false
+    });
+    expect(Object.keys(readStored().paths)).toEqual(['/orders', '/junk']);
+
+    const result = await manager.restoreBackup('Orders', backup.id);
+    expect(result.restored).toBe(true);
+    expect(Object.keys(readStored().paths)).toEqual(['/orders']);
+    expect(Object.keys(manager.getCollection('Orders').spec.paths)).toEqual(['/orders']);
+    expect(fs.existsSync(path.join(baseDir, 'API_Collection.json'))).toBe(false);
+
+    // The replaced specification is kept, so the restore can be undone
+    const backups = await manager.listBackups('Orders');
+    expect(backups).toHaveLength(2);
+    expect(backups[0].path).toBe(result.backupPath);
+    expect(JSON.parse(fs.readFileSync(path.join(baseDir, result.backupPath), 'utf8')).paths['/junk']).toBeDefined();
+  });
+
+  test('should keep capturing on top of a restored version', async() => {
+    const manager = createManager();
+    await manager.addEndpoint('Orders', createEndpointData('/orders'));
+    await manager.createVersion('Orders', '1.0.0');
+    await manager.addEndpoint('Orders', createEndpointData('/junk'));
+    await manager.flush();
+
+    expect((await manager.listVersions('Orders')).map(({ version }) => version)).toEqual(['1.0.0']);
+    await manager.restoreVersion('Orders', '1.0.0');
+    await manager.addEndpoint('Orders', createEndpointData('/invoices'));
+    await manager.flush();
+
+    const stored = readStored();
+    expect(Object.keys(stored.paths)).toEqual(['/orders', '/invoices']);
+    expect(stored.info.versionCreatedAt).toBeUndefined();
+  });
+
+  test('should reject unknown backups and versions', async() => {
+    const manager = createManager();
+
+    await expect(manager.restoreBackup('Orders', 'nope')).rejects.toThrow('Backup nope not found for collection Orders');
+    await expect(manager.restoreVersion('Orders', '9.9.9')).rejects.toThrow('Version 9.9.9 not found for collection Orders');
+  });
+});
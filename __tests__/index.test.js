@@ -1,6 +1,13 @@
 const { EndpointCapture, utils } = require('../index');
 const express = require('express');
 const request = require('supertest');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
 
 describe('EndpointCapture', () => {
   let capture;
@@ -216,6 +223,26 @@ describe('EndpointCapture', () => {
       expect(result.headers['content-type']).toBe('application/json');
     });
 
+    test('should apply the request body limit separately from the response limit', () => {
+      const limitedCapture = new EndpointCapture({ maxRequestBodySize: 10, maxResponseBodySize: 1024 });
+      const body = { name: 'a long enough name' };
+
+      const requestData = limitedCapture.captureRequest({
+        method: 'POST',
+        url: '/test',
+        body,
+        get: jest.fn()
+      });
+
+      expect(requestData.bodyTruncated).toBe(true);
+      expect(requestData.body).toMatchObject({
+        truncated: true,
+        originalSize: JSON.stringify(body).length,
+        maxSize: 10,
+        sha256: sha256(JSON.stringify(body))
+      });
+    });
+
     test('should sanitize sensitive body fields', () => {
       const mockReq = {
         method: 'POST',
@@ -244,6 +271,26 @@ describe('EndpointCapture', () => {
       expect(result.body.username).toBe('testuser');
       expect(result.body.email).toBe('test@example.com');
     });
+    test('should detect credentials before headers are redacted', () => {
+      const redactingCapture = new EndpointCapture({ sensitiveHeaders: ['authorization'], generateOpenAPISpec: false });
+      const result = redactingCapture.captureRequest({
+        method: 'GET',
+        url: '/orders',
+        path: '/orders',
+        headers: { authorization: 'Basic YWRhOnNlY3JldA==' },
+        query: {},
+        params: {},
+        cookies: { 'connect.sid': 's%3Aabc' },
+        get: jest.fn()
+      });
+
+      expect(result.headers.authorization).toBe('[REDACTED]');
+      expect(result.credentials).toEqual([
+        { name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' }, scopes: [] },
+        { name: 'connectSidCookie', scheme: { type: 'apiKey', in: 'cookie', name: 'connect.sid' }, scopes: [] }
+      ]);
+      expect(JSON.stringify(result.credentials)).not.toContain('YWRh');
+    });
   });
 
   describe('captureResponse', () => {
@@ -312,6 +359,29 @@ describe('EndpointCapture', () => {
       expect(result.durationFormatted).toBeUndefined();
     });
 
+    test('should replace bodies over the response limit with a truncation marker', () => {
+      const body = JSON.stringify({ text: 'é'.repeat(10) });
+      // 21 characters but 31 bytes
+      const limitedCapture = new EndpointCapture({ maxRequestBodySize: 1024, maxResponseBodySize: 25 });
+      const mockRes = {
+        statusCode: 200,
+        getHeaders: () => ({}),
+        locals: { responseBody: body }
+      };
+
+      const responseData = limitedCapture.captureResponse(mockRes);
+
+      expect(responseData.bodyTruncated).toBe(true);
+      expect(responseData.body).toEqual({
+        truncated: true,
+        originalSize: Buffer.byteLength(body),
+        maxSize: 25,
+        sha256: sha256(body)
+      });
+      expect(responseData.bodyActual).toBeUndefined();
+      expect(limitedCapture.captureResponse({ ...mockRes, locals: { responseBody: 'short' } }).body).toBe('short');
+    });
+
     test('should respect capture options', () => {
       const captureWithOptions = new EndpointCapture({
         captureHeaders: false,
@@ -392,8 +462,8 @@ describe('EndpointCapture', () => {
         .end((err, res) => {
           if (err) return done(err);
           
-          // Wait a bit for the middleware to process
-          setTimeout(() => {
+          // Wait for the middleware to process
+          capture.flush().then(() => {
             expect(capturedData).toHaveLength(1);
             expect(capturedData[0].request.method).toBe('GET');
             expect(capturedData[0].request.url).toBe('/test');
@@ -404,7 +474,7 @@ describe('EndpointCapture', () => {
             expect(capturedData[0].metadata.capturedAt).toBeDefined();
             expect(capturedData[0].metadata.version).toBe('1.0.0');
             done();
-          }, 100);
+          }).catch(done);
         });
     });
 
@@ -423,9 +493,7 @@ describe('EndpointCapture', () => {
         .end((err, res) => {
           if (err) return done(err);
           // Wait for middleware to process
-          setTimeout(() => {
-            done();
-          }, 100);
+          capture.flush().then(() => done(), done);
         });
     });
 
@@ -442,7 +510,7 @@ describe('EndpointCapture', () => {
         expect(endpointData.request.method).toBe('GET');
         expect(endpointData.response.statusCode).toBe(200);
         expect(captureWithOpenAPI.getCollectionManager()).toBeDefined();
-        done();
+        captureWithOpenAPI.flush().then(() => done(), done);
       });
       app.use(middleware);
       app.get('/api/test', (req, res) => {
@@ -472,10 +540,185 @@ describe('EndpointCapture', () => {
         .expect(200)
         .end((err, res) => {
           if (err) return done(err);
-          setTimeout(() => done(), 100);
+          capture.flush().then(() => done(), done);
+        });
+    });
+
+    test('should record the matched route template and mount path', (done) => {
+      const captureWithoutSpec = new EndpointCapture({ generateOpenAPISpec: false });
+      const capturedData = [];
+      const router = new express.Router({ mergeParams: true });
+      router.get('/orders/:orderId', (req, res) => {
+        res.json({ id: req.params.orderId });
+      });
+
+      app.use(captureWithoutSpec.createMiddleware((data) => capturedData.push(data)));
+      app.use('/api/users/:userId', router);
+
+      request(app)
+        .get('/api/users/42/orders/7')
+        .expect(200)
+        .end((err) => {
+          if (err) return done(err);
+          captureWithoutSpec.flush().then(() => {
+            expect(capturedData).toHaveLength(1);
+            expect(capturedData[0].request.routePath).toBe('/orders/:orderId');
+            expect(capturedData[0].request.baseUrl).toBe('/api/users/42');
+            expect(capturedData[0].request.params).toEqual({ userId: '42', orderId: '7' });
+            done();
+          }).catch(done);
         });
     });
 
+    describe('raw body capture', () => {
+      const captureRaw = (options, setupRoutes, sendRequest, assertions, done) => {
+        const rawCapture = new EndpointCapture({ generateOpenAPISpec: false, captureRawBody: true, ...options });
+        const rawApp = express();
+        const capturedData = [];
+        rawApp.use(rawCapture.createMiddleware((data) => capturedData.push(data)));
+        setupRoutes(rawApp);
+
+        sendRequest(request(rawApp))
+          .expect(200)
+          .end((err) => {
+            if (err) return done(err);
+            rawCapture.flush().then(() => {
+              expect(capturedData).toHaveLength(1);
+              assertions(capturedData[0].request);
+              done();
+            }).catch(done);
+          });
+      };
+
+      test('should tee the stream without consuming it for downstream parsers', (done) => {
+        let downstreamBody;
+        captureRaw({}, (rawApp) => {
+          rawApp.post('/notes', express.text({ type: 'application/xml' }), (req, res) => {
+            downstreamBody = req.body;
+            res.json({ ok: true });
+          });
+        }, (agent) => agent.post('/notes').set('Content-Type', 'application/xml').send('<note>hi</note>'), (captured) => {
+          expect(downstreamBody).toBe('<note>hi</note>');
+          expect(captured.rawBody).toEqual({
+            encoding: 'utf8',
+            data: '<note>hi</note>',
+            size: 15,
+            capturedSize: 15,
+            truncated: false,
+            sha256: sha256('<note>hi</note>')
+          });
+          expect(captured.body).toBe('<note>hi</note>');
+        }, done);
+      });
+
+      test('should parse urlencoded bodies no handler read', (done) => {
+        captureRaw({}, (rawApp) => {
+          rawApp.post('/form', (req, res) => res.json({ ok: true }));
+        }, (agent) => agent.post('/form').type('form').send('tag=a&tag=b&name=Ada'), (captured) => {
+          expect(captured.body).toEqual({ tag: ['a', 'b'], name: 'Ada' });
+        }, done);
+      });
+
+      test('should keep binary bodies as base64 and flag truncation', (done) => {
+        captureRaw({ maxBodySize: 4 }, (rawApp) => {
+          rawApp.post('/upload', (req, res) => res.json({ ok: true }));
+        }, (agent) => agent.post('/upload').set('Content-Type', 'application/octet-stream')
+          .send(Buffer.from([1, 2, 3, 4, 5, 6])), (captured) => {
+          expect(captured.rawBody).toEqual({
+            encoding: 'base64',
+            data: Buffer.from([1, 2, 3, 4]).toString('base64'),
+            size: 6,
+            capturedSize: 4,
+            truncated: true,
+            sha256: sha256(Buffer.from([1, 2, 3, 4, 5, 6]))
+          });
+          expect(captured.bodyTruncated).toBe(true);
+          expect(captured.body).toEqual({ truncated: true, originalSize: 6, maxSize: 4, sha256: captured.rawBody.sha256 });
+        }, done);
+      });
+    });
+
+    describe('streamed response capture', () => {
+      const captureStreamed = (options, handler, assertions, done) => {
+        const streamCapture = new EndpointCapture({ generateOpenAPISpec: false, ...options });
+        const streamApp = express();
+        const capturedData = [];
+        streamApp.use(streamCapture.createMiddleware((data) => capturedData.push(data)));
+        streamApp.get('/stream', handler);
+
+        request(streamApp)
+          .get('/stream')
+          .expect(200)
+          .end((err) => {
+            if (err) return done(err);
+            streamCapture.flush().then(() => {
+              expect(capturedData).toHaveLength(1);
+              assertions(capturedData[0].response);
+              done();
+            }).catch(done);
+          });
+      };
+
+      test('should capture bodies written with res.write and res.end', (done) => {
+        captureStreamed({}, (req, res) => {
+          res.setHeader('Content-Type', 'application/json');
+          res.write('{"items":');
+          res.write(Buffer.from('[1,2]'));
+          res.end('}');
+        }, (response) => {
+          expect(response.streamed).toBe(true);
+          expect(response.body).toEqual({ items: [1, 2] });
+          expect(response.rawBody.size).toBe(15);
+        }, done);
+      });
+
+      test('should decode gzip encoded bodies for analysis', (done) => {
+        captureStreamed({}, (req, res) => {
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Content-Encoding', 'gzip');
+          res.end(zlib.gzipSync(JSON.stringify({ compressed: true })));
+        }, (response) => {
+          expect(response.body).toEqual({ compressed: true });
+          expect(response.rawBody.contentEncoding).toBe('gzip');
+        }, done);
+      });
+
+      test('should keep files sent with res.sendFile as base64', (done) => {
+        const filePath = path.join(os.tmpdir(), `cortana-metrics-${process.pid}.bin`);
+        fs.writeFileSync(filePath, Buffer.from([0, 1, 2, 255]));
+
+        captureStreamed({}, (req, res) => res.sendFile(filePath), (response) => {
+          fs.unlinkSync(filePath);
+          expect(response.streamed).toBe(true);
+          expect(response.rawBody).toMatchObject({ encoding: 'base64', data: 'AAEC/w==', size: 4 });
+          expect(response.body).toBeUndefined();
+        }, done);
+      });
+
+      test('should flag truncation of streamed bodies past the limit', (done) => {
+        captureStreamed({ maxResponseBodySize: 8 }, (req, res) => {
+          res.setHeader('Content-Type', 'text/plain');
+          res.write('0123456789');
+          res.end('abcdef');
+        }, (response) => {
+          expect(response.bodyTruncated).toBe(true);
+          expect(response.body).toEqual({
+            truncated: true,
+            originalSize: 16,
+            maxSize: 8,
+            sha256: sha256('0123456789abcdef')
+          });
+        }, done);
+      });
+
+      test('should not mark res.json bodies as streamed', (done) => {
+        captureStreamed({}, (req, res) => res.json({ ok: true }), (response) => {
+          expect(response.streamed).toBe(false);
+          expect(response.rawBody).toBeUndefined();
+        }, done);
+      });
+    });
+
     test('should work without callback', (done) => {
       const middleware = capture.createMiddleware();
       app.use(middleware);
@@ -489,7 +732,7 @@ describe('EndpointCapture', () => {
         .expect(200)
         .end((err, res) => {
           if (err) return done(err);
-          setTimeout(() => done(), 100);
+          capture.flush().then(() => done(), done);
         });
     });
   });
@@ -637,10 +880,14 @@ describe('EndpointCapture', () => {
         }
       };
 
+      let result;
       expect(() => {
-        const result = captureWithOpenAPI.addToOpenAPISpec('Test API', endpointData);
+        result = captureWithOpenAPI.addToOpenAPISpec('Test API', endpointData);
         expect(result).toBeDefined();
       }).not.toThrow();
+
+      // The endpoint is added, and saved, in the background
+      return result.then(() => captureWithOpenAPI.flush());
     });
 
     test('should export OpenAPI specifications', () => {
@@ -1091,6 +1338,401 @@ describe('Advanced Features', () => {
   });
 });
 
+describe('Redaction policy', () => {
+  const createRequest = (overrides = {}) => ({
+    method: 'POST',
+    url: '/test',
+    headers: {},
+    query: {},
+    params: {},
+    cookies: {},
+    body: {},
+    get: jest.fn(),
+    ...overrides
+  });
+
+  test('should apply redaction rules to every part of the request', () => {
+    const capture = new EndpointCapture({
+      generateOpenAPISpec: false,
+      redactionRules: [
+        { selector: 'session' },
+        { selector: 'x-tenant', action: 'hash' },
+        { detector: 'creditCard', action: 'mask-last-4' }
+      ]
+    });
+
+    const result = capture.captureRequest(createRequest({
+      headers: { 'x-tenant': 'acme' },
+      query: { session: 'q-secret' },
+      params: { session: 'p-secret' },
+      cookies: { session: 'c-secret' },
+      body: { notes: 'card 4111111111111111' }
+    }));
+
+    expect(result.headers['x-tenant']).toBe(capture.redactionEngine.hash('acme'));
+    expect(result.query.session).toBe('[REDACTED]');
+    expect(result.params.session).toBe('[REDACTED]');
+    expect(result.cookies.session).toBe('[REDACTED]');
+    expect(result.body.notes).toBe('card ************1111');
+    expect(result.sensitiveFields).toEqual([
+      expect.objectContaining({ path: 'notes', field: 'notes', rule: 'creditCard', action: 'mask-last-4' })
+    ]);
+  });
+
+  test('should keep legacy sensitiveFields and allow exact rules through the policy API', () => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sensitiveFields: ['password'] });
+    capture
+      .setRedactionPolicy({ rules: [{ selector: 'key' }] })
+      .addRedactionRule({ selector: '$.profile.phone', action: 'remove' });
+
+    const result = capture.captureRequest(createRequest({
+      body: { userPassword: 'p', key: 'k', keyboard: 'qwerty', profile: { phone: '555', name: 'Ada' } }
+    }));
+
+    expect(result.body).toEqual({
+      userPassword: '[REDACTED]',
+      key: '[REDACTED]',
+      keyboard: 'qwerty',
+      profile: { name: 'Ada' }
+    });
+    expect(result.bodyTypes.profile).toEqual({ name: 'string' });
+  });
+
+  test('should apply sensitiveFields to query, cookies, path params and URLs', () => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sensitiveFields: ['token', 'api_key'] });
+
+    const result = capture.captureRequest(createRequest({
+      method: 'GET',
+      url: '/reset/abc123?access_token=s3cr3t&page=2&filter%5Bapi_key%5D=k1',
+      originalUrl: '/v1/reset/abc123?access_token=s3cr3t&page=2&filter%5Bapi_key%5D=k1',
+      path: '/reset/abc123',
+      headers: { cookie: 'sessionToken=c00kie; theme=dark' },
+      query: { access_token: 's3cr3t', page: '2', filter: { api_key: 'k1' } },
+      params: { token: 'abc123' },
+      cookies: { sessionToken: 'c00kie', theme: 'dark' }
+    }));
+
+    expect(result.query).toEqual({ access_token: '[REDACTED]', page: '2', filter: { api_key: '[REDACTED]' } });
+    expect(result.params).toEqual({ token: '[REDACTED]' });
+    expect(result.cookies).toEqual({ sessionToken: '[REDACTED]', theme: 'dark' });
+    expect(result.url).toBe('/reset/%5BREDACTED%5D?access_token=%5BREDACTED%5D&page=2&filter%5Bapi_key%5D=%5BREDACTED%5D');
+    expect(result.originalUrl).toBe('/v1/reset/%5BREDACTED%5D?access_token=%5BREDACTED%5D&page=2&filter%5Bapi_key%5D=%5BREDACTED%5D');
+    expect(result.path).toBe('/reset/%5BREDACTED%5D');
+    expect(result.headers.cookie).toBe('sessionToken=%5BREDACTED%5D; theme=dark');
+    expect(result.redactedParameters).toEqual({ query: ['access_token', 'filter'], params: ['token'], cookies: ['sessionToken'] });
+    expect(JSON.stringify(result)).not.toMatch(/s3cr3t|abc123|k1|c00kie/);
+  });
+
+  test('should redact URLs even when query capture is disabled', () => {
+    const capture = new EndpointCapture({
+      generateOpenAPISpec: false,
+      captureQueryParams: false,
+      redactionRules: [{ selector: 'sig', action: 'remove', scopes: ['query'] }]
+    });
+
+    const result = capture.captureRequest(createRequest({ url: '/files?sig=abc&name=a+b', query: { sig: 'abc', name: 'a b' } }));
+
+    expect(result.query).toBeUndefined();
+    expect(result.url).toBe('/files?name=a+b');
+  });
+
+  test('should keep redacted parameter values out of the generated specification', (done) => {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-params-'));
+    const capture = new EndpointCapture({
+      sensitiveFields: ['access_token'],
+      openAPISpecOptions: {
+        baseDir,
+        storage: { type: 'local', options: { baseDir } },
+        defaultCollectionOptions: { autoSave: false, detectChanges: false },
+        collectionRules: { defaultCollection: 'Params' }
+      }
+    });
+    const app = express();
+    app.use(capture.createMiddleware());
+    app.get('/items', (req, res) => res.json({ ok: true }));
+
+    const requests = Array.from({ length: 6 }, () => request(app).get('/items?access_token=s3cr3t&sort=asc').expect(200));
+    Promise.all(requests)
+      .then(() => capture.flush())
+      .then(() => {
+        const { spec } = capture.getCollectionManager().getCollection('Params');
+        const { parameters } = spec.paths['/items'].get;
+        const token = parameters.find(parameter => parameter.name === 'access_token');
+        const sort = parameters.find(parameter => parameter.name === 'sort');
+
+        expect(token['x-redacted']).toBe(true);
+        expect(token.schema.enum).toBeUndefined();
+        expect(sort.schema.enum).toEqual(['asc']);
+        expect(JSON.stringify(spec)).not.toContain('s3cr3t');
+        fs.rmSync(baseDir, { recursive: true, force: true });
+        done();
+      })
+      .catch(done);
+  });
+});
+
+describe('Sampling', () => {
+  const run = (options, paths, done, assertions) => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sampling: options });
+    const app = express();
+    const captured = [];
+    app.use(capture.createMiddleware((data) => captured.push(data)));
+    app.get('/ok', (req, res) => res.json({ ok: true }));
+    app.get('/fail', (req, res) => res.status(500).json({ error: 'boom' }));
+
+    paths.reduce((chain, url) => chain.then(() => request(app).get(url)), Promise.resolve())
+      .then(() => capture.flush())
+      .then(() => {
+        assertions(captured, capture);
+        done();
+      })
+      .catch(done);
+  };
+
+  test('should skip unsampled requests but still capture their errors', (done) => {
+    run({ rate: 0 }, ['/ok', '/ok', '/fail'], done, (captured, capture) => {
+      expect(captured).toHaveLength(1);
+      expect(captured[0].response.statusCode).toBe(500);
+      expect(captured[0].response.body).toBe(JSON.stringify({ error: 'boom' }));
+      expect(captured[0].metadata.sampling).toEqual({ sampled: true, rate: 0, reason: 'error' });
+      expect(capture.getSamplingStats()).toMatchObject({ seen: 3, captured: 1, dropped: { rate: 2 } });
+    });
+  });
+
+  test('should record the reservoir decision in the metadata', (done) => {
+    run({ reservoir: { size: 1 } }, ['/ok', '/ok'], done, (captured) => {
+      expect(captured).toHaveLength(1);
+      expect(captured[0].metadata.sampling).toEqual({
+        sampled: true,
+        rate: 1,
+        reason: 'all',
+        reservoir: { key: 'GET /ok', count: 1, size: 1 }
+      });
+    });
+  });
+});
+
+describe('Capture queue', () => {
+  test('should process captures in the background until flushed', async() => {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-queue-'));
+    const capture = new EndpointCapture({
+      captureQueue: { flushIntervalMs: 60000 },
+      openAPISpecOptions: {
+        baseDir,
+        storage: { type: 'local', options: { baseDir } },
+        defaultCollectionOptions: { autoSave: false, detectChanges: false },
+        collectionRules: { defaultCollection: 'Queue' }
+      }
+    });
+    const captured = [];
+    const app = express();
+    app.use(capture.createMiddleware((data) => captured.push(data)));
+    app.get('/slow', (req, res) => setTimeout(() => res.json({ ok: true }), 20));
+
+    await request(app).get('/slow').expect(200);
+    expect(captured).toHaveLength(0);
+    expect(capture.getQueueMetrics()).toMatchObject({ size: 1, accepted: 1, processed: 0 });
+
+    await capture.flush();
+    expect(captured).toHaveLength(1);
+    expect(captured[0].response.duration).toBeGreaterThanOrEqual(15);
+    expect(capture.getCollectionManager().getCollection('Queue').spec.paths['/slow'].get).toBeDefined();
+    expect(capture.getQueueMetrics()).toMatchObject({ size: 0, processed: 1, failed: 0 });
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('should queue snapshots instead of requests and responses', async() => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, captureQueue: { flushIntervalMs: 60000 } });
+    const push = jest.spyOn(capture.captureQueue, 'push');
+    const captureEndpointData = jest.spyOn(capture, 'captureEndpointData');
+    const calls = [];
+    const app = express();
+    app.use(capture.createMiddleware((...args) => calls.push(args)));
+    app.get('/items/:id', (req, res) => res.set('X-Item', req.params.id).json({ id: req.params.id }));
+
+    await request(app).get('/items/1').set('Accept', 'application/json').expect(200);
+    const [[item]] = push.mock.calls;
+    expect(item.req.socket).toBeUndefined();
+    expect(item.res.socket).toBeUndefined();
+    expect(captureEndpointData).not.toHaveBeenCalled();
+
+    await capture.flush();
+    const [[endpointData, req, res]] = calls;
+    expect(req).toBe(item.req);
+    expect(res).toBe(item.res);
+    expect(req.capturedEndpointData).toBe(endpointData);
+    expect(endpointData.request).toMatchObject({ method: 'GET', path: '/items/1', params: { id: '1' }, accept: 'application/json' });
+    expect(endpointData.response).toMatchObject({ statusCode: 200, headers: expect.objectContaining({ 'x-item': '1' }) });
+  });
+
+  test('should count captures dropped by backpressure and after close', async() => {
+    const capture = new EndpointCapture({
+      generateOpenAPISpec: false,
+      captureQueue: { maxSize: 1, overflow: 'drop-newest', flushIntervalMs: 60000 }
+    });
+    const captured = [];
+    const app = express();
+    app.use(capture.createMiddleware((data) => captured.push(data.request.url)));
+    app.get('/items/:id', (req, res) => res.json({ id: req.params.id }));
+
+    await request(app).get('/items/1');
+    await request(app).get('/items/2');
+    await capture.close();
+    await request(app).get('/items/3');
+
+    expect(captured).toEqual(['/items/1']);
+    expect(capture.getQueueMetrics().dropped).toEqual({ oldest: 0, newest: 1, closed: 1 });
+  });
+
+  test('should batch specification saves until flushed', async() => {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-saves-'));
+    const capture = new EndpointCapture({
+      openAPISpecOptions: {
+        baseDir,
+        storage: { type: 'local', options: { baseDir } },
+        writeSchedule: { intervalMs: 60000, flushOnExit: false },
+        collectionRules: { defaultCollection: 'Saves' }
+      }
+    });
+    const writeFile = jest.spyOn(capture.getCollectionManager().storage, 'writeFile');
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = express();
+    app.use(capture.createMiddleware());
+    app.get('/items/:id', (req, res) => res.json({ id: req.params.id }));
+
+    for (const id of [1, 2, 3, 4, 5]) {
+      await request(app).get(`/items/${id}`).expect(200);
+    }
+    await capture.flush();
+
+    expect(writeFile).toHaveBeenCalledTimes(1);
+    const spec = JSON.parse(fs.readFileSync(path.join(baseDir, writeFile.mock.calls[0][0]), 'utf8'));
+    expect(Object.keys(spec.paths)).toEqual(['/items/{id}']);
+    logSpy.mockRestore();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+});
+
+describe('Privacy mode', () => {
+  const createRequest = (overrides = {}) => ({
+    method: 'POST',
+    url: '/login',
+    path: '/login',
+    headers: {},
+    query: {},
+    params: {},
+    cookies: {},
+    body: {},
+    get: jest.fn(),
+    ...overrides
+  });
+
+  test('should keep no actual values in strict mode by default', () => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sensitiveFields: ['password'] });
+    const result = capture.captureRequest(createRequest({ body: { user: 'ada', password: 'hunter22' } }));
+
+    expect(capture.options.privacyMode).toBe('strict');
+    expect(result.body).toEqual({ user: 'ada', password: '[REDACTED]' });
+    expect(result.bodyActual).toBeUndefined();
+    expect(result.sensitiveFields).toEqual([
+      { path: 'password', field: 'password', type: 'string', rule: 'password', action: 'replace' }
+    ]);
+    expect(JSON.stringify(result)).not.toContain('hunter22');
+  });
+
+  test('should keep actual values in permissive mode', () => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sensitiveFields: ['password'], privacyMode: 'permissive' });
+    const result = capture.captureRequest(createRequest({ body: { password: 'hunter22' } }));
+
+    expect(result.bodyActual).toEqual({ password: 'hunter22' });
+    expect(result.sensitiveFields[0].actualValue).toBe('hunter22');
+  });
+
+  test('should redact keys of JSON string bodies', () => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sensitiveFields: ['token'] });
+    const res = {
+      statusCode: 200,
+      getHeaders: () => ({}),
+      locals: { responseBody: JSON.stringify({ token: 'abcd1234', id: 1 }) }
+    };
+
+    const result = capture.captureResponse(res);
+    expect(JSON.parse(result.body)).toEqual({ token: '[REDACTED]', id: 1 });
+    expect(result.hasSensitiveData).toBe(true);
+  });
+
+  test('should drop raw text of bodies that needed redaction', (done) => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, captureRawBody: true, sensitiveFields: ['password'] });
+    const app = express();
+    const captured = [];
+    app.use(capture.createMiddleware((data) => captured.push(data)));
+    app.post('/login', (req, res) => res.json({ ok: true }));
+
+    request(app)
+      .post('/login')
+      .set('Content-Type', 'application/json')
+      .send('{"password":"hunter22"}')
+      .expect(200)
+      .end((err) => {
+        if (err) return done(err);
+        capture.flush().then(() => {
+          const { rawBody } = captured[0].request;
+          expect(rawBody.data).toBeUndefined();
+          expect(rawBody.redacted).toBe(true);
+          expect(rawBody.sha256).toBe(sha256('{"password":"hunter22"}'));
+          done();
+        }).catch(done);
+      });
+  });
+
+  test('should report redacted values and actual data in a specification', () => {
+    const capture = new EndpointCapture({ generateOpenAPISpec: false, sensitiveFields: ['password'] });
+    capture.captureRequest(createRequest({ body: { password: 'hunter22' } }));
+
+    const findings = capture.scanSpec({
+      paths: {
+        '/login': {
+          post: {
+            'x-actual-data': { requestBody: {} },
+            requestBody: { content: { 'application/json': { example: { note: 'was hunter22' }, examples: { leaked: { value: 'hunter22' } } } } }
+          }
+        }
+      }
+    });
+
+    expect(findings).toEqual([
+      { pointer: '/paths/~1login/post/x-actual-data', reason: 'actual-data' },
+      { pointer: '/paths/~1login/post/requestBody/content/application~1json/examples/leaked/value', reason: 'redacted-value' }
+    ]);
+  });
+
+  test('should verify saved specifications', async() => {
+    const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-privacy-'));
+    const capture = new EndpointCapture({
+      sensitiveFields: ['password'],
+      openAPISpecOptions: { baseDir, storage: { type: 'local', options: { baseDir } } }
+    });
+    const endpointData = {
+      request: capture.captureRequest(createRequest({ body: { user: 'ada', password: 'hunter22' } })),
+      response: { statusCode: 200, headers: {}, body: { ok: true } },
+      metadata: { capturedAt: '2023-01-01 12:00:00.000' }
+    };
+
+    await capture.addToOpenAPISpec('Privacy', endpointData);
+    const { Privacy } = capture.verifySpecPrivacy('Privacy');
+    const operation = capture.getCollectionManager().getCollection('Privacy').spec.paths['/login'].post;
+
+    expect(Privacy).toEqual({ clean: true, findings: [] });
+    expect(operation['x-actual-data']).toBeUndefined();
+    expect(operation['x-sensitive-data']).toEqual({
+      requestFields: [{ path: 'password', type: 'string', rule: 'password', action: 'replace' }],
+      responseFields: []
+    });
+    await capture.flush();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+});
+
 describe('Performance Tests', () => {
   test('should handle rapid successive requests', (done) => {
     const capture = new EndpointCapture();
@@ -1110,7 +1752,7 @@ describe('Performance Tests', () => {
       .then(() => {
         const duration = Date.now() - startTime;
         expect(duration).toBeLessThan(1000); // Should complete within 1 second
-        done();
+        capture.flush().then(() => done(), done);
       })
       .catch(done);
   });
@@ -1204,7 +1846,11 @@ describe('Error Handling', () => {
 
     request(app)
       .get('/error')
-      .expect(500, done);
+      .expect(500)
+      .end((err) => {
+        if (err) return done(err);
+        capture.flush().then(() => done(), done);
+      });
   });
 
   test('should handle export errors gracefully', () => {
@@ -1304,7 +1950,7 @@ describe('Integration Tests', () => {
       requestCount++;
       if (requestCount === expectedRequests) {
         expect(capture.getCollectionManager()).toBeDefined();
-        done();
+        capture.flush().then(() => done(), done);
       }
     };
 
@@ -1357,7 +2003,7 @@ describe('Integration Tests', () => {
       expect(data.response.statusCode).toBe(200);
       expect(data.response.duration).toBeDefined();
       expect(data.metadata).toBeDefined();
-      done();
+      capture.flush().then(() => done(), done);
     }));
 
     app.post('/api/complex/:id', (req, res) => {
@@ -1398,6 +2044,7 @@ describe('Integration Tests', () => {
     );
 
     Promise.all(requests)
+      .then(() => capture.flush())
       .then(() => done())
       .catch(done);
   });
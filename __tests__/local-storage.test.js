@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalStorage } = require('../storage');
+
+describe('LocalStorage locks', () => {
+  let baseDir;
+  let errorSpy;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-lock-'));
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('should hold the lock until it is released', async() => {
+    const storage = new LocalStorage({ baseDir, lockRetryMs: 5 });
+    const order = [];
+
+    const release = await storage.acquireLock('API.json');
+    const waiting = storage.acquireLock('API.json').then(releaseSecond => {
+      order.push('second');
+      return releaseSecond();
+    });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    order.push('first');
+    await release();
+    await waiting;
+
+    expect(order).toEqual(['first', 'second']);
+    expect(fs.readdirSync(baseDir)).toEqual([]);
+  });
+
+  test('should break locks that are too old or whose process is gone', async() => {
+    const storage = new LocalStorage({ baseDir, lockStaleMs: 1000, lockTimeoutMs: 500 });
+    const lockPath = path.join(baseDir, 'API.json.lock');
+
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid + 1, hostname: 'elsewhere' }));
+    fs.utimesSync(lockPath, new Date(2020, 0, 1), new Date(2020, 0, 1));
+    await (await storage.acquireLock('API.json'))();
+
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname() }));
+    await (await storage.acquireLock('API.json'))();
+
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('should time out while another live process holds the lock', async() => {
+    const storage = new LocalStorage({ baseDir, lockTimeoutMs: 50, lockRetryMs: 10 });
+    fs.writeFileSync(path.join(baseDir, 'API.json.lock'), JSON.stringify({ pid: process.ppid, hostname: os.hostname() }));
+
+    await expect(storage.acquireLock('API.json')).rejects.toThrow('Timed out waiting for lock on API.json');
+  });
+});
@@ -0,0 +1,922 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAPIGenerator = require('../openapi-generator');
+const SchemaMerger = require('../schema-merger');
+const SchemaInference = require('../schema-inference');
+const ParameterInference = require('../parameter-inference');
+const { BaseStorage, LocalStorage, PreconditionFailedError } = require('../storage');
+
+const createGenerator = (options = {}) => new OpenAPIGenerator({
+  outputDir: path.join(os.tmpdir(), 'cortana-metrics-generator-tests'),
+  autoSave: false,
+  detectChanges: false,
+  ...options
+});
+
+const createEndpointData = (requestBody, responseBody, statusCode = 200) => ({
+  request: {
+    method: 'POST',
+    path: '/api/users',
+    headers: { 'content-type': 'application/json' },
+    contentType: 'application/json',
+    body: requestBody
+  },
+  response: {
+    statusCode,
+    headers: { 'content-type': 'application/json' },
+    body: responseBody
+  },
+  metadata: {
+    capturedAt: '2023-01-01 12:00:00.000'
+  }
+});
+
+describe('OpenAPIGenerator', () => {
+  describe('schema merging across samples', () => {
+    test('should union properties and only require fields present in every sample', async() => {
+      const generator = createGenerator();
+
+      await generator.addEndpoint(createEndpointData({ name: 'Ada', email: 'ada@example.com' }, { id: 1 }));
+      await generator.addEndpoint(createEndpointData({ name: 'Bob', age: 36 }, { id: 2 }));
+
+      const operation = generator.spec.paths['/api/users'].post;
+      const { schema } = operation.requestBody.content['application/json'];
+
+      expect(Object.keys(schema.properties).sort()).toEqual(['age', 'email', 'name']);
+      expect(schema.required).toEqual(['name']);
+      expect(schema['x-sample-count']).toBe(2);
+      expect(schema.properties.name['x-sample-count']).toBe(2);
+      expect(schema.properties.email['x-sample-count']).toBe(1);
+      expect(operation['x-sample-count']).toBe(2);
+    });
+
+    test('should keep response schemas stable when a later sample omits a field', async() => {
+      const generator = createGenerator();
+
+      await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1, nickname: 'ada' }));
+      await generator.addEndpoint(createEndpointData({ name: 'Bob' }, { id: 2 }));
+
+      const { schema } = generator.spec.paths['/api/users'].post
+        .responses[200].content['application/json'];
+
+      expect(schema.properties.nickname).toBeDefined();
+      expect(schema.required).toEqual(['id']);
+    });
+
+    test('should describe text and raw binary request bodies', async() => {
+      const generator = createGenerator();
+      const xml = createEndpointData('<user>Ada</user>', { id: 1 });
+      xml.request.contentType = 'application/xml';
+      const upload = createEndpointData(undefined, { id: 2 });
+      upload.request.path = '/api/uploads';
+      upload.request.contentType = 'application/octet-stream';
+      upload.request.rawBody = { encoding: 'base64', data: 'AQID', size: 3, capturedSize: 3, truncated: false };
+
+      await generator.addEndpoint(xml);
+      await generator.addEndpoint(upload);
+
+      expect(generator.spec.paths['/api/users'].post.requestBody.content['application/xml'].schema.type).toBe('string');
+      expect(generator.spec.paths['/api/uploads'].post.requestBody.content['application/octet-stream'].schema)
+        .toEqual({ type: 'string', format: 'binary' });
+    });
+
+    test('should not derive schemas or examples from truncated bodies', async() => {
+      const generator = createGenerator();
+      const truncated = createEndpointData({ name: 'Ada' }, { truncated: true, originalSize: 5000000, maxSize: 1024, sha256: 'abc' });
+      truncated.response.bodyTruncated = true;
+
+      await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }));
+      await generator.addEndpoint(truncated);
+
+      const content = generator.spec.paths['/api/users'].post.responses[200].content['application/json'];
+      expect(Object.keys(content.schema.properties)).toEqual(['id']);
+      expect(content.schema['x-sample-count']).toBe(1);
+      expect(generator.generateResponseContent(truncated.response)).toEqual({ 'application/json': {} });
+    });
+
+    test('should make a request body seen on only some samples optional', async() => {
+      const generator = createGenerator();
+
+      await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }));
+      await generator.addEndpoint(createEndpointData(undefined, { id: 2 }));
+
+      expect(generator.spec.paths['/api/users'].post.requestBody.required).toBe(false);
+    });
+  });
+});
+
+describe('OpenAPIGenerator responses', () => {
+  test('should keep every observed status code with its own schema and example', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }, 201));
+    await generator.addEndpoint(createEndpointData({ name: '' }, { message: 'name is required' }, 422));
+    await generator.addEndpoint(createEndpointData({ name: 'Bob' }, { id: 2 }, 201));
+
+    const { responses } = generator.spec.paths['/api/users'].post;
+    expect(Object.keys(responses).sort()).toEqual(['201', '422']);
+    expect(Object.keys(responses[201].content['application/json'].schema.properties)).toEqual(['id']);
+    expect(responses[201].content['application/json'].schema['x-sample-count']).toBe(2);
+    expect(responses[422].content['application/json'].example).toEqual({ message: 'name is required' });
+  });
+
+  test('should only add error responses configured as templates until they are observed', async() => {
+    const template = { description: 'Server Error', content: { 'application/json': { schema: { type: 'object' } } } };
+    const generator = createGenerator({ responseTemplates: { 500: template, '5xx': template } });
+
+    await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }));
+    expect(generator.spec.paths['/api/users'].post.responses[500]).toMatchObject({ ...template, 'x-response-template': true });
+
+    await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { reason: 'db down' }, 500));
+    const { responses } = generator.spec.paths['/api/users'].post;
+    expect(responses[500]['x-response-template']).toBeUndefined();
+    expect(Object.keys(responses[500].content['application/json'].schema.properties)).toEqual(['reason']);
+    expect(responses['5xx']['x-response-template']).toBe(true);
+
+    expect(Object.keys(responses).sort()).toEqual(['200', '500', '5xx']);
+  });
+
+  test('should drop generic error responses written by earlier versions', async() => {
+    const generator = createGenerator();
+    generator.spec.paths['/api/users'] = {
+      post: {
+        responses: {
+          400: { description: 'Bad Request' },
+          '4xx': { description: 'Client Error', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    };
+
+    await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }));
+
+    expect(Object.keys(generator.spec.paths['/api/users'].post.responses).sort()).toEqual(['200', '400']);
+  });
+});
+
+describe('OpenAPIGenerator schema inference', () => {
+  const createOrderData = (body, sensitiveFields) => ({
+    request: { method: 'POST', path: '/orders', headers: {}, body, sensitiveFields },
+    response: { statusCode: 201, headers: {}, body: { ok: true } }
+  });
+  const requestSchema = generator => generator.spec.paths['/orders'].post.requestBody.content['application/json'].schema;
+
+  test('should detect integers, formats and enums across samples', async() => {
+    const generator = createGenerator();
+    const statuses = ['open', 'paid', 'open', 'open', 'paid'];
+
+    for (const [index, status] of statuses.entries()) {
+      await generator.addEndpoint(createOrderData({
+        id: index + 1,
+        total: 9.5,
+        status,
+        note: `note ${index}`,
+        email: `buyer${index}@example.com`,
+        website: 'https://shop.example.com/orders',
+        createdAt: '2024-01-02T03:04:05Z',
+        reference: '7f3c2d9e-4a5b-4c6d-8e9f-0a1b2c3d4e5f'
+      }));
+    }
+
+    const { properties } = requestSchema(generator);
+    expect(properties.id.type).toBe('integer');
+    expect(properties.total.type).toBe('number');
+    expect(properties.status.enum).toEqual(['open', 'paid']);
+    expect(properties.note.enum).toBeUndefined();
+    expect(properties.email).toMatchObject({ type: 'string', format: 'email' });
+    expect(properties.website.format).toBe('uri');
+    expect(properties.createdAt.format).toBe('date-time');
+    expect(properties.reference.format).toBe('uuid');
+    expect(properties.email.enum).toBeUndefined();
+    expect(properties.id).not.toHaveProperty('minimum');
+  });
+
+  test('should keep free text out of enums and distinct values out of saved specifications', async() => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-enums-'));
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const generator = createGenerator({ title: 'Orders', outputDir });
+      const names = ['alice smith', 'bob jones', 'carol white', 'dave brown', 'alice smith'];
+      for (const [index, name] of names.entries()) {
+        await generator.addEndpoint(createOrderData({ name, status: index % 2 ? 'paid' : 'open' }));
+      }
+
+      expect(requestSchema(generator).properties.name.enum).toBeUndefined();
+      expect(requestSchema(generator).properties.status.enum).toEqual(['open', 'paid']);
+
+      await generator.saveSpec();
+      const saved = fs.readFileSync(path.join(outputDir, 'Orders.json'), 'utf8');
+      expect(saved).not.toContain('x-distinct-values');
+      // Only the example of the first sample is kept
+      ['bob jones', 'carol white', 'dave brown'].forEach(name => expect(saved).not.toContain(name));
+
+      // A string already seen in enough samples without becoming an enum stays free text after a reload
+      const reloaded = createGenerator({ title: 'Orders', outputDir });
+      await reloaded.loadSpec(path.join(outputDir, 'Orders.json'));
+      for (let index = 0; index < 5; index++) {
+        await reloaded.addEndpoint(createOrderData({ name: 'alice smith', status: 'open' }));
+      }
+      expect(requestSchema(reloaded).properties.name.enum).toBeUndefined();
+      expect(requestSchema(reloaded).properties.status.enum).toEqual(['open', 'paid']);
+    } finally {
+      logSpy.mockRestore();
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should count identical samples while skipping their saves', async() => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const generator = createGenerator({ detectChanges: true, autoSave: true, writeSchedule: { flushOnExit: false } });
+    const markDirty = jest.spyOn(generator.writeScheduler, 'markDirty').mockImplementation(() => {});
+
+    for (const status of ['open', 'open', 'open', 'open', 'open', 'paid']) {
+      await generator.addEndpoint(createOrderData({ status }));
+    }
+
+    expect(generator.spec.paths['/orders'].post['x-sample-count']).toBe(6);
+    expect(requestSchema(generator).properties.status.enum).toEqual(['open', 'paid']);
+    expect(markDirty).toHaveBeenCalledTimes(2);
+    logSpy.mockRestore();
+  });
+
+  test('should never derive enums or formats from redacted values', async() => {
+    const generator = createGenerator();
+    for (let index = 0; index < 6; index++) {
+      await generator.addEndpoint(createOrderData({ card: '[REDACTED]' }, [{ path: 'card', type: 'string' }]));
+    }
+
+    const { card } = requestSchema(generator).properties;
+    expect(card['x-redacted']).toBe(true);
+    expect(card.enum).toBeUndefined();
+    expect(card['x-distinct-values']).toBeUndefined();
+  });
+
+  test('should infer constraints when enabled per collection', async() => {
+    const generator = createGenerator({ schemaInference: { constraints: true, enums: false, formats: false } });
+
+    await generator.addEndpoint(createOrderData({ sku: 'AB-1234', quantity: 2, email: 'a@example.com' }));
+    await generator.addEndpoint(createOrderData({ sku: 'CD-5678', quantity: 7, email: 'bob@example.com' }));
+
+    const { properties } = requestSchema(generator);
+    expect(properties.sku).toMatchObject({ minLength: 7, maxLength: 7, pattern: '^[A-Z]{2}-\\d{4}$' });
+    expect(properties.quantity).toMatchObject({ type: 'integer', minimum: 2, maximum: 7 });
+    expect(properties.email.format).toBeUndefined();
+    expect(properties.email).toMatchObject({ minLength: 13, maxLength: 15 });
+    expect(properties.email.pattern).toBeUndefined();
+    expect(properties.sku['x-distinct-values']).toBeUndefined();
+  });
+
+  test('should leave items of empty arrays untyped until a sample has elements', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createOrderData({ lines: [] }));
+    expect(requestSchema(generator).properties.lines.items).toEqual({});
+
+    await generator.addEndpoint(createOrderData({ lines: [{ sku: 'A', quantity: 1 }, { sku: 'B', quantity: 2, gift: true }] }));
+    await generator.addEndpoint(createOrderData({ lines: [] }));
+
+    const { items } = requestSchema(generator).properties.lines;
+    expect(items.type).toBe('object');
+    expect(items.required).toEqual(['sku', 'quantity']);
+    expect(items.properties.gift.type).toBe('boolean');
+    expect(items['x-sample-count']).toBe(2);
+  });
+});
+
+describe('OpenAPIGenerator path parameterization', () => {
+  const createGetData = (request) => ({
+    request: { method: 'GET', headers: {}, ...request },
+    response: { statusCode: 200, headers: {}, body: { ok: true } },
+    metadata: { capturedAt: '2023-01-01 12:00:00.000' }
+  });
+
+  test('should convert Express route templates into OpenAPI path templates', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createGetData({
+      path: '/orders/7',
+      baseUrl: '/api/users/42',
+      routePath: '/orders/:orderId',
+      params: { userId: '42', orderId: '7' }
+    }));
+
+    const operation = generator.spec.paths['/api/users/{userId}/orders/{orderId}'].get;
+    const pathParameters = operation.parameters.filter(parameter => parameter.in === 'path');
+    expect(pathParameters.map(parameter => parameter.name)).toEqual(['userId', 'orderId']);
+  });
+
+  test('should give heuristically detected identifiers unique names', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createGetData({ path: '/users/42/orders/7' }));
+    await generator.addEndpoint(createGetData({ path: '/users/9b2f4c1e-3d6a-4f8b-9c1d-2e3f4a5b6c7d' }));
+    await generator.addEndpoint(createGetData({ path: '/files/507f1f77bcf86cd799439011/versions/01ARZ3NDEKTSV4RRFFQ69G5FAV' }));
+
+    expect(Object.keys(generator.spec.paths)).toEqual([
+      '/users/{userId}/orders/{orderId}',
+      '/users/{userId}',
+      '/files/{fileId}/versions/{versionId}'
+    ]);
+    const pathParameters = generator.spec.paths['/users/{userId}/orders/{orderId}'].get.parameters
+      .filter(parameter => parameter.in === 'path');
+    expect(pathParameters.map(parameter => parameter.name)).toEqual(['userId', 'orderId']);
+  });
+
+  test('should keep literal segments and the root path intact', () => {
+    const generator = createGenerator();
+
+    expect(generator.normalizePathForParameterization('/api/v1/status/')).toBe('/api/v1/status');
+    expect(generator.normalizePathForParameterization('/')).toBe('/');
+    expect(generator.normalizePathForParameterization('/categories/3/items/4/4')).toBe('/categories/{categoryId}/items/{itemId}/{id}');
+  });
+});
+
+describe('OpenAPIGenerator parameter inference', () => {
+  const createQueryData = (query, request = {}) => ({
+    request: { method: 'GET', path: '/api/orders', headers: {}, query, ...request },
+    response: { statusCode: 200, headers: {}, body: [] },
+    metadata: { capturedAt: '2023-01-01 12:00:00.000' }
+  });
+  const findParameter = (operation, name) => operation.parameters.find(parameter => parameter.name === name);
+
+  test('should type query and path parameters from their observed values', async() => {
+    const generator = createGenerator();
+
+    const operation = await generator.addEndpoint(createQueryData({
+      page: '2',
+      ratio: '0.5',
+      active: 'true',
+      since: '2023-01-01T12:00:00Z',
+      owner: '9b2f4c1e-3d6a-4f8b-9c1d-2e3f4a5b6c7d',
+      q: 'shoes'
+    }, { path: '/orders/42', routePath: '/orders/:orderId', params: { orderId: '42' } }));
+
+    expect(findParameter(operation, 'orderId').schema).toEqual({ type: 'integer' });
+    expect(findParameter(operation, 'page').schema).toEqual({ type: 'integer' });
+    expect(findParameter(operation, 'ratio').schema).toEqual({ type: 'number' });
+    expect(findParameter(operation, 'active').schema).toEqual({ type: 'boolean' });
+    expect(findParameter(operation, 'since').schema).toEqual({ type: 'string', format: 'date-time' });
+    expect(findParameter(operation, 'owner').schema).toEqual({ type: 'string', format: 'uuid' });
+    expect(findParameter(operation, 'q').schema).toEqual({ type: 'string' });
+  });
+
+  test('should widen parameter types across samples', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createQueryData({ limit: '10', cursor: '12' }));
+    const operation = await generator.addEndpoint(createQueryData({ limit: '2.5', cursor: 'abc' }));
+
+    expect(findParameter(operation, 'limit').schema).toEqual({ type: 'number' });
+    expect(findParameter(operation, 'cursor').schema).toEqual({ type: 'string' });
+  });
+
+  test('should describe repeated query keys as exploded arrays', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createQueryData({ tag: 'red' }));
+    const operation = await generator.addEndpoint(createQueryData({ tag: ['blue', 'green'] }));
+
+    expect(findParameter(operation, 'tag')).toMatchObject({
+      schema: { type: 'array', items: { type: 'string' } },
+      style: 'form',
+      explode: true
+    });
+  });
+
+  test('should only require query parameters present on every sample', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createQueryData({ page: '1', sort: 'asc' }));
+    await generator.addEndpoint(createQueryData({ page: '2' }));
+    const operation = await generator.addEndpoint(createQueryData({ page: '3', filter: 'open' }));
+
+    expect(findParameter(operation, 'page').required).toBe(true);
+    expect(findParameter(operation, 'sort').required).toBe(false);
+    expect(findParameter(operation, 'filter').required).toBe(false);
+    expect(findParameter(operation, 'page')['x-sample-count']).toBe(3);
+  });
+
+  test('should detect enums once low-cardinality values repeat', async() => {
+    const generator = createGenerator({ parameterInference: { enumMinSamples: 4 } });
+    const statuses = ['open', 'closed', 'open', 'pending'];
+
+    let operation;
+    for (const status of statuses) {
+      operation = await generator.addEndpoint(createQueryData({ status, search: `term-${status}-${Math.random()}` }));
+    }
+
+    expect(findParameter(operation, 'status').schema).toEqual({ type: 'string', enum: ['closed', 'open', 'pending'] });
+    expect(findParameter(operation, 'search').schema.enum).toBeUndefined();
+  });
+});
+
+describe('OpenAPIGenerator security schemes', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const jwt = claims => `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+  const createAuthData = (headers = {}, query = {}) => ({
+    request: { method: 'GET', path: '/orders', headers, query },
+    response: { statusCode: 200, headers: {}, body: [] }
+  });
+
+  test('should declare detected schemes in components', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createAuthData({ Authorization: `Bearer ${jwt({ sub: '42' })}` }));
+    await generator.addEndpoint(createAuthData({ authorization: 'Basic YWRhOnNlY3JldA==' }));
+    await generator.addEndpoint(createAuthData({ 'X-API-Key': 'live-key' }, { api_key: 'live-key' }));
+    await generator.addEndpoint(createAuthData({ cookie: 'theme=dark; sessionid=abc' }));
+
+    expect(generator.spec.components.securitySchemes).toEqual({
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      basicAuth: { type: 'http', scheme: 'basic' },
+      xApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+      sessionidCookie: { type: 'apiKey', in: 'cookie', name: 'sessionid' }
+    });
+    expect(generator.spec.paths['/orders'].get.security).toEqual([
+      { bearerAuth: [] },
+      { basicAuth: [] },
+      { xApiKeyHeader: [], apiKeyQuery: [] },
+      { sessionidCookie: [] }
+    ]);
+    expect(JSON.stringify(generator.spec)).not.toContain('live-key');
+  });
+
+  test('should keep JWT scopes on a bearer requirement unless an OAuth2 flow is configured', async() => {
+    const generator = createGenerator();
+
+    await generator.addEndpoint(createAuthData({ authorization: `Bearer ${jwt({ scope: 'orders:read orders:write' })}` }));
+    await generator.addEndpoint(createAuthData({ authorization: `Bearer ${jwt({ scp: ['orders:read', 'admin'] })}` }));
+
+    expect(generator.spec.components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } });
+    // Only scopes present on every request are required
+    expect(generator.spec.paths['/orders'].get.security).toEqual([{ bearerAuth: ['orders:read'] }]);
+  });
+
+  test('should infer OAuth2 scopes from JWT claims for a configured flow', async() => {
+    const generator = createGenerator({
+      securityInference: { oauth2: { flow: 'clientCredentials', tokenUrl: 'https://auth.example.com/token' } }
+    });
+
+    await generator.addEndpoint(createAuthData({ authorization: `Bearer ${jwt({ scope: 'orders:read orders:write' })}` }));
+    await generator.addEndpoint(createAuthData({ authorization: `Bearer ${jwt({ scp: ['orders:read', 'admin'] })}` }));
+
+    expect(generator.spec.components.securitySchemes.oauth2.flows).toEqual({
+      clientCredentials: {
+        tokenUrl: 'https://auth.example.com/token',
+        scopes: { 'orders:read': 'Observed in JWT claims', 'orders:write': 'Observed in JWT claims', admin: 'Observed in JWT claims' }
+      }
+    });
+    expect(generator.spec.paths['/orders'].get.security).toEqual([{ oauth2: ['orders:read'] }]);
+    expect(() => createGenerator({ securityInference: { oauth2: { flow: 'authorizationCode', tokenUrl: '/token' } } }))
+      .toThrow('OAuth2 flow authorizationCode requires authorizationUrl');
+  });
+
+  test('should mark operations seen with and without credentials as optional-auth', async() => {
+    const generator = createGenerator({ securityInference: { apiKeyHeaders: ['x-tenant-key'] } });
+
+    await generator.addEndpoint(createAuthData());
+    expect(generator.spec.paths['/orders'].get.security).toEqual([]);
+
+    await generator.addEndpoint(createAuthData({ 'x-tenant-key': 'k', 'x-api-key': 'ignored' }));
+    await generator.addEndpoint(createAuthData({ 'x-tenant-key': 'k' }));
+
+    expect(generator.spec.paths['/orders'].get.security).toEqual([{ xTenantKeyHeader: [] }, {}]);
+  });
+
+  test('should use credentials detected at capture time over redacted headers', async() => {
+    const generator = createGenerator();
+    const data = createAuthData({ authorization: '[REDACTED]' });
+    data.request.credentials = [{ name: 'basicAuth', scheme: { type: 'http', scheme: 'basic' }, scopes: [] }];
+
+    await generator.addEndpoint(data);
+
+    expect(generator.spec.paths['/orders'].get.security).toEqual([{ basicAuth: [] }]);
+    expect(Object.keys(generator.spec.components.securitySchemes)).toEqual(['basicAuth']);
+  });
+});
+
+describe('OpenAPIGenerator redacted parameters', () => {
+  test('should never list values of redacted or credential-like parameters as enums', async() => {
+    const generator = createGenerator();
+    for (let index = 0; index < 6; index++) {
+      await generator.addEndpoint({
+        request: {
+          method: 'GET',
+          path: '/reports',
+          query: { apiKey: 'live-key', state: 'open', code: '[REDACTED]' },
+          redactedParameters: { query: ['code'], params: [], cookies: [] }
+        },
+        response: { statusCode: 200, headers: {}, body: { ok: true } }
+      });
+    }
+
+    const { parameters } = generator.spec.paths['/reports'].get;
+    const byName = (name) => parameters.find(parameter => parameter.name === name);
+
+    expect(byName('apiKey')['x-redacted']).toBe(true);
+    expect(byName('apiKey').schema.enum).toBeUndefined();
+    expect(byName('code')['x-redacted']).toBe(true);
+    expect(byName('code').schema.enum).toBeUndefined();
+    expect(byName('state').schema.enum).toEqual(['open']);
+  });
+});
+
+describe('ParameterInference', () => {
+  const inference = new ParameterInference();
+
+  test('should keep large or zero-padded numbers as strings', () => {
+    expect(inference.inferSchema('00123')).toEqual({ type: 'string' });
+    expect(inference.inferSchema('1234567890123456789')).toEqual({ type: 'string' });
+    expect(inference.inferSchema('2023-02-30x')).toEqual({ type: 'string' });
+  });
+
+  test('should describe bracketed query objects as deepObject', () => {
+    const schema = inference.inferSchema({ status: 'open', min: '5' });
+    expect(schema).toEqual({ type: 'object', properties: { status: { type: 'string' }, min: { type: 'integer' } } });
+    expect(inference.getQueryStyle(schema)).toEqual({ style: 'deepObject', explode: true });
+  });
+
+  test('should seed enum detection from a previously saved parameter', () => {
+    const schema = new ParameterInference({ enumMinSamples: 3 }).observe('GET:/a:query:mode', 'fast', {
+      schema: { type: 'string', enum: ['fast', 'slow'] },
+      'x-sample-count': 6
+    });
+    expect(schema.enum).toEqual(['fast', 'slow']);
+  });
+});
+
+describe('OpenAPIGenerator privacy mode', () => {
+  const createSensitiveEndpoint = () => {
+    const endpointData = createEndpointData({ password: '[REDACTED]' }, { token: '[REDACTED]' });
+    endpointData.request.bodyActual = { password: 'hunter22' };
+    endpointData.request.hasSensitiveData = true;
+    endpointData.request.sensitiveFields = [{ path: 'password', field: 'password', type: 'string', actualValue: 'hunter22', rule: 'password', action: 'replace' }];
+    endpointData.response.bodyActual = JSON.stringify({ token: 'abcd1234' });
+    return endpointData;
+  };
+
+  test('should build examples from sanitized data only in strict mode', async() => {
+    const generator = createGenerator();
+    const operation = await generator.addEndpoint(createSensitiveEndpoint());
+    const content = operation.requestBody.content['application/json'];
+
+    expect(content.example).toEqual({ password: '[REDACTED]' });
+    expect(content.examples.actual).toBeUndefined();
+    expect(operation.responses['200'].content['application/json'].example).toEqual({ token: '[REDACTED]' });
+    expect(operation['x-actual-data']).toBeUndefined();
+    expect(operation['x-sensitive-data'].requestFields).toEqual([{ path: 'password', type: 'string', rule: 'password', action: 'replace' }]);
+    expect(generator.exportSpec()).not.toMatch(/hunter22|abcd1234/);
+  });
+
+  test('should write actual data in permissive mode', async() => {
+    const generator = createGenerator({ privacyMode: 'permissive' });
+    const operation = await generator.addEndpoint(createSensitiveEndpoint());
+
+    expect(operation.requestBody.content['application/json'].examples.actual.value).toEqual({ password: 'hunter22' });
+    expect(operation['x-actual-data'].requestBody).toEqual({ password: 'hunter22' });
+  });
+
+  test('should remove actual data written earlier when merging in strict mode', async() => {
+    const permissive = createGenerator({ privacyMode: 'permissive' });
+    await permissive.addEndpoint(createSensitiveEndpoint());
+
+    const strict = createGenerator();
+    strict.spec = JSON.parse(permissive.exportSpec());
+    const operation = await strict.addEndpoint(createEndpointData({ password: '[REDACTED]' }, { ok: true }));
+
+    expect(operation['x-actual-data']).toBeUndefined();
+    expect(operation.requestBody.content['application/json'].examples.actual).toBeUndefined();
+  });
+});
+
+describe('OpenAPIGenerator YAML output', () => {
+  test('should export the specification as YAML', async() => {
+    const generator = createGenerator({ title: 'YAML API' });
+    await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }));
+
+    const yaml = generator.exportSpec('yaml');
+
+    expect(yaml).toMatch(/^openapi: '3\.0\.0'$/m);
+    expect(yaml).toMatch(/^ {6}responses:\n {8}'200':$/m);
+    expect(yaml).not.toMatch(/^\{/);
+  });
+
+  test('should save .yaml files when configured', async() => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-yaml-'));
+    const generator = createGenerator({ title: 'YAML API', outputDir, outputFormats: ['json', 'yaml'] });
+
+    await generator.saveSpec();
+
+    expect(fs.existsSync(path.join(outputDir, 'YAML_API.json'))).toBe(true);
+    expect(fs.readFileSync(path.join(outputDir, 'YAML_API.yaml'), 'utf8')).toBe(generator.exportSpec('yaml'));
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+});
+
+describe('OpenAPIGenerator component schemas', () => {
+  let outputDir;
+  let logSpy;
+
+  const createUserData = (urlPath, body) => ({
+    request: { method: 'GET', path: urlPath, headers: {} },
+    response: { statusCode: 200, headers: { 'content-type': 'application/json' }, body }
+  });
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-components-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should save repeated schemas as components and merge into them after reloading', async() => {
+    const generator = createGenerator({ title: 'Users', outputDir });
+    await generator.addEndpoint(createUserData('/users/me', { id: 1, name: 'Ada' }));
+    await generator.addEndpoint(createUserData('/users/me', { id: 1, name: 'Ada' }));
+    await generator.addEndpoint(createUserData('/admins/me', { id: 2, name: 'Bob' }));
+    await generator.saveSpec();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(outputDir, 'Users.json'), 'utf8'));
+    expect(saved.paths['/users/me'].get.responses[200].content['application/json'].schema.$ref).toBe('#/components/schemas/Me');
+    expect(Object.keys(saved.components.schemas)).toEqual(['Me']);
+    expect(generator.spec.components.schemas).toEqual({});
+    expect(generator.getStats().totalSchemas).toBe(1);
+
+    const reloaded = createGenerator({ title: 'Users', outputDir });
+    await reloaded.loadSpec(path.join(outputDir, 'Users.json'));
+    await reloaded.addEndpoint(createUserData('/users/me', { id: 1, name: 'Ada', email: 'ada@example.com' }));
+
+    const { schema } = reloaded.spec.paths['/users/me'].get.responses[200].content['application/json'];
+    expect(schema.properties.email).toBeDefined();
+    // Counts of each occurrence survive the reload, so the new field is optional
+    expect(schema['x-sample-count']).toBe(3);
+    expect(schema.required).toEqual(['id', 'name']);
+    const admins = reloaded.spec.paths['/admins/me'].get.responses[200].content['application/json'].schema;
+    expect(admins.properties.email).toBeUndefined();
+    expect(generator.schemaMerger.getCount(admins)).toBe(1);
+  });
+
+  test('should keep schemas inline when disabled', async() => {
+    const generator = createGenerator({ componentSchemas: false });
+    await generator.addEndpoint(createUserData('/users/me', { id: 1 }));
+    await generator.addEndpoint(createUserData('/admins/me', { id: 2 }));
+
+    expect(JSON.parse(generator.exportSpec('json')).components.schemas).toEqual({});
+  });
+});
+
+describe('OpenAPIGenerator crash safety', () => {
+  let outputDir;
+  let errorSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-crash-'));
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+    logSpy.mockRestore();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should save without leaving temporary files behind', async() => {
+    const generator = createGenerator({ title: 'Atomic', outputDir });
+    await generator.addEndpoint(createEndpointData({ name: 'Ada' }, { id: 1 }));
+    await generator.saveSpec();
+
+    expect(fs.readdirSync(outputDir)).toEqual(['Atomic.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'Atomic.json'), 'utf8')).paths['/api/users']).toBeDefined();
+  });
+
+  test('should recover a truncated specification from the newest valid backup', async() => {
+    const backupDir = path.join(outputDir, 'backups');
+    const specPath = path.join(outputDir, 'API.json');
+    const backup = (name, content, mtime) => {
+      fs.writeFileSync(path.join(backupDir, name), content);
+      fs.utimesSync(path.join(backupDir, name), mtime, mtime);
+    };
+    fs.mkdirSync(backupDir);
+    backup('API_backup_old.json', JSON.stringify({ openapi: '3.0.0', paths: { '/old': {} } }), new Date(2020, 0, 1));
+    backup('API_backup_new.json', JSON.stringify({ openapi: '3.0.0', paths: { '/new': {} } }), new Date(2021, 0, 1));
+    backup('API_backup_newest.json', '{"openapi": "3.0.0", "pa', new Date(2022, 0, 1));
+    backup('Other_backup_newer.json', JSON.stringify({ openapi: '3.0.0', paths: { '/other': {} } }), new Date(2023, 0, 1));
+    fs.writeFileSync(specPath, '{"openapi": "3.0.0", "paths": {"/us');
+
+    const generator = createGenerator({ outputDir });
+    const loadedFrom = await generator.loadSpec(specPath, { backupDir, backupPrefix: 'API_backup_' });
+
+    expect(loadedFrom).toBe(path.join(backupDir, 'API_backup_new.json'));
+    expect(Object.keys(generator.spec.paths)).toEqual(['/new']);
+    expect(JSON.parse(fs.readFileSync(specPath, 'utf8')).paths).toEqual({ '/new': {} });
+    expect(fs.readdirSync(outputDir).filter(file => file.startsWith('API.json.corrupt-'))).toHaveLength(1);
+  });
+
+  test('should start empty but keep the corrupt file when no backup is valid', async() => {
+    const specPath = path.join(outputDir, 'API.json');
+    fs.writeFileSync(specPath, '');
+
+    const generator = createGenerator({ outputDir });
+
+    expect(await generator.loadSpec(specPath, { backupDir: path.join(outputDir, 'backups') })).toBeNull();
+    expect(generator.spec.paths).toEqual({});
+    expect(fs.existsSync(specPath)).toBe(false);
+    expect(fs.readdirSync(outputDir).some(file => file.startsWith('API.json.corrupt-'))).toBe(true);
+  });
+});
+
+describe('OpenAPIGenerator merge on write', () => {
+  let baseDir;
+  let logSpy;
+
+  const createWorker = () => createGenerator({
+    title: 'Shared',
+    outputDir: baseDir,
+    storage: new LocalStorage({ baseDir })
+  });
+  const sample = (urlPath, body) => ({
+    ...createEndpointData(body, { ok: true }),
+    request: { ...createEndpointData(body).request, path: urlPath }
+  });
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-merge-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('should keep endpoints saved by other processes', async() => {
+    const first = createWorker();
+    const second = createWorker();
+
+    await first.addEndpoint(sample('/orders', { item: 'a' }));
+    await second.addEndpoint(sample('/users', { name: 'Ada' }));
+    await first.saveSpec();
+    await second.saveSpec();
+    await first.addEndpoint(sample('/orders', { item: 'b', note: 'x' }));
+    await first.saveSpec();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(baseDir, 'Shared.json'), 'utf8'));
+    expect(Object.keys(saved.paths).sort()).toEqual(['/orders', '/users']);
+    expect(saved.paths['/orders'].post['x-sample-count']).toBe(2);
+    expect(saved.paths['/orders'].post.requestBody.content['application/json'].schema.required).toEqual(['item']);
+    expect(fs.readdirSync(baseDir)).toEqual(['Shared.json']);
+  });
+
+  test('should add up samples of the same operation from several processes', async() => {
+    const first = createWorker();
+    const second = createWorker();
+
+    await first.addEndpoint(sample('/users', { name: 'Ada' }));
+    await second.addEndpoint(sample('/users', { name: 'Bob', email: 'bob@example.com' }));
+    await Promise.all([first.saveSpec(), second.saveSpec()]);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(baseDir, 'Shared.json'), 'utf8'));
+    const { schema } = saved.paths['/users'].post.requestBody.content['application/json'];
+    expect(saved.paths['/users'].post['x-sample-count']).toBe(2);
+    expect(Object.keys(schema.properties).sort()).toEqual(['email', 'name']);
+    expect(schema.required).toEqual(['name']);
+  });
+
+  test('should merge again when another host saved between read and conditional write', async() => {
+    // In-memory stand-in for a cloud bucket: no shared lock, versions checked on write
+    class VersionedStorage extends BaseStorage {
+      constructor(files) {
+        super();
+        this.files = files;
+        this.beforeWrite = null;
+      }
+      async exists(filePath) {
+        return this.files.has(filePath);
+      }
+      async readFile(filePath) {
+        return this.files.get(filePath).content;
+      }
+      async readFileWithVersion(filePath) {
+        return { ...this.files.get(filePath) };
+      }
+      async writeFile(filePath, content, options = {}) {
+        if (this.beforeWrite) {
+          const hook = this.beforeWrite;
+          this.beforeWrite = null;
+          await hook();
+        }
+        const current = this.files.get(filePath);
+        if ((options.ifMatch && (!current || current.version !== options.ifMatch)) || (options.ifNoneMatch === '*' && current)) {
+          throw new PreconditionFailedError(filePath);
+        }
+        this.files.set(filePath, { content, version: String(current ? Number(current.version) + 1 : 1) });
+      }
+      supportsConditionalWrites() {
+        return true;
+      }
+    }
+
+    const files = new Map();
+    const firstStorage = new VersionedStorage(files);
+    const first = createGenerator({ title: 'Shared', outputDir: baseDir, storage: firstStorage });
+    const second = createGenerator({ title: 'Shared', outputDir: baseDir, storage: new VersionedStorage(files) });
+
+    await first.addEndpoint(sample('/orders', { item: 'a' }));
+    await second.addEndpoint(sample('/users', { name: 'Ada' }));
+    firstStorage.beforeWrite = () => second.saveSpec();
+    await first.saveSpec();
+
+    const saved = JSON.parse(files.get('Shared.json').content);
+    expect(Object.keys(saved.paths).sort()).toEqual(['/orders', '/users']);
+    expect(files.get('Shared.json').version).toBe('2');
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining('🔁'));
+  });
+});
+
+describe('SchemaMerger', () => {
+  const merger = new SchemaMerger();
+
+  test('should widen integer to number', () => {
+    const merged = merger.merge({ type: 'integer', example: 1 }, { type: 'number', example: 1.5 });
+    expect(merged.type).toBe('number');
+    expect(merged.example).toBe(1);
+  });
+
+  test('should mark a schema nullable when a null sample arrives', () => {
+    const merged = merger.merge({ type: 'string' }, { type: 'null' });
+    expect(merged).toEqual({ type: 'string', nullable: true, 'x-sample-count': 2 });
+  });
+
+  test('should use oneOf for incompatible types and fold later samples into matching variants', () => {
+    const first = merger.merge({ type: 'string' }, { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] });
+    const merged = merger.merge(first, { type: 'object', properties: { b: { type: 'boolean' } }, required: ['b'] });
+
+    expect(merged.oneOf).toHaveLength(2);
+    expect(merged['x-sample-count']).toBe(3);
+    const objectVariant = merged.oneOf.find(variant => variant.type === 'object');
+    expect(Object.keys(objectVariant.properties)).toEqual(['a', 'b']);
+    expect(objectVariant.required).toBeUndefined();
+  });
+
+  test('should merge nested object properties inside arrays', () => {
+    const merged = merger.merge(
+      { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] } },
+      { type: 'array', items: { type: 'object', properties: { id: { type: 'integer' }, tag: { type: 'string' } }, required: ['id', 'tag'] } }
+    );
+
+    expect(merged.items.required).toEqual(['id']);
+    expect(merged.items.properties.tag).toBeDefined();
+  });
+});
+
+describe('SchemaInference', () => {
+  test('should only track short unformatted strings as enum candidates', () => {
+    const inference = new SchemaInference();
+
+    expect(inference.infer('open')).toEqual({ type: 'string', example: 'open', 'x-distinct-values': { values: ['open'], samples: 1 } });
+    expect(inference.infer('x'.repeat(65))['x-distinct-values']).toBe(false);
+    expect(inference.infer('2024-01-02')).toEqual({ type: 'string', example: '2024-01-02', format: 'date' });
+    expect(inference.infer('https://example.com/a?b=1').format).toBe('uri');
+    expect(inference.infer('ftp//not-a-uri').format).toBeUndefined();
+  });
+
+  test('should mark redacted values inside arrays for every element', () => {
+    const schema = new SchemaInference().infer({ cards: [{ number: '[REDACTED]' }] }, ['cards.0.number']);
+
+    expect(schema.properties.cards.items.properties.number['x-redacted']).toBe(true);
+  });
+
+  test('should merge the item schema from every element', () => {
+    const schema = new SchemaInference().infer([
+      { id: 1, name: 'Ada' },
+      { id: 2.5, email: 'bob@example.com' },
+      null
+    ]);
+
+    expect(schema.items).toMatchObject({ type: 'object', nullable: true, required: ['id'], 'x-sample-count': 3 });
+    expect(schema.items.properties.id.type).toBe('number');
+    expect(Object.keys(schema.items.properties)).toEqual(['id', 'name', 'email']);
+    expect(schema.example).toHaveLength(3);
+  });
+
+  test('should use oneOf for mixed element types', () => {
+    const { items } = new SchemaInference().infer([1, 'two', { three: 3 }, 4]);
+
+    expect(items.oneOf.map(variant => variant.type)).toEqual(['integer', 'string', 'object']);
+    expect(items.oneOf[0]['x-sample-count']).toBe(2);
+  });
+
+  test('should only merge elements up to the configured cap', () => {
+    const data = [{ id: 1 }, { id: 2 }, { id: 3, late: true }];
+
+    expect(new SchemaInference({ maxArrayItems: 2 }).infer(data).items.properties.late).toBeUndefined();
+    expect(new SchemaInference().infer(data).items.properties.late).toBeDefined();
+    expect(new SchemaInference().infer([]).items).toEqual({});
+  });
+});
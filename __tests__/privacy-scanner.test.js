@@ -0,0 +1,60 @@
+const PrivacyScanner = require('../privacy-scanner');
+
+describe('PrivacyScanner', () => {
+  test('should find remembered values whole and inside longer strings', () => {
+    const scanner = new PrivacyScanner();
+    scanner.remember('hunter22').remember('ada@example.com').remember({ pin: '1234', nested: ['s3cr3t-value'] });
+
+    expect(scanner.scan({
+      a: 'hunter22',
+      b: 'contact ada@example.com',
+      c: ['s3cr3t-value'],
+      d: 'hunter2',
+      e: 1234
+    })).toEqual([
+      { pointer: '/a', reason: 'redacted-value' },
+      { pointer: '/b', reason: 'redacted-value' },
+      { pointer: '/c/0', reason: 'redacted-value' },
+      { pointer: '/e', reason: 'redacted-value' }
+    ]);
+  });
+
+  test('should ignore values shorter than minLength', () => {
+    const scanner = new PrivacyScanner();
+    scanner.remember('abc');
+
+    expect(scanner.scan({ a: 'abc' })).toEqual([]);
+  });
+
+  test('should report actual data and optionally unremembered detector matches', () => {
+    const scanner = new PrivacyScanner();
+    const spec = {
+      info: { contact: { email: 'team@example.com' } },
+      paths: {
+        '/users': {
+          get: {
+            'x-actual-data': {},
+            responses: { 200: { content: { 'application/json': { examples: { actual: {} }, example: { email: 'bob@example.com' } } } } }
+          },
+          post: {
+            requestBody: { content: { 'application/json': { schema: { 'x-distinct-values': { values: ['Ada'], samples: 1 } } } } }
+          }
+        }
+      }
+    };
+
+    expect(scanner.scan(spec).map(finding => finding.reason)).toEqual(['actual-data', 'actual-example', 'actual-data']);
+    expect(scanner.scan(spec, { reportDetected: true })).toContainEqual({
+      pointer: '/paths/~1users/get/responses/200/content/application~1json/example/email',
+      reason: 'detected-value'
+    });
+    expect(scanner.scan(spec, { reportDetected: true })).toHaveLength(4);
+  });
+
+  test('should forget the oldest fingerprints beyond maxFingerprints', () => {
+    const scanner = new PrivacyScanner({ maxFingerprints: 2 });
+    scanner.remember('first-value').remember('second-value').remember('third-value');
+
+    expect(scanner.scan({ a: 'first-value', b: 'third-value' })).toEqual([{ pointer: '/b', reason: 'redacted-value' }]);
+  });
+});
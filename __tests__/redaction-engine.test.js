@@ -0,0 +1,131 @@
+const RedactionEngine = require('../redaction-engine');
+
+describe('RedactionEngine', () => {
+  describe('selectors', () => {
+    test('should match JSONPath-like selectors', () => {
+      const engine = new RedactionEngine({
+        rules: [
+          { selector: '$.user.password' },
+          { selector: '$..token' },
+          { selector: '$.cards[*].number' },
+          { selector: '$[\'x-api-key\']' }
+        ]
+      });
+
+      const { value } = engine.redact({
+        user: { password: 'p', name: 'Ada' },
+        nested: { deeper: { token: 't' } },
+        cards: [{ number: '1' }, { number: '2', label: 'work' }],
+        'x-api-key': 'k',
+        password: 'top-level'
+      }, 'body');
+
+      expect(value).toEqual({
+        user: { password: '[REDACTED]', name: 'Ada' },
+        nested: { deeper: { token: '[REDACTED]' } },
+        cards: [{ number: '[REDACTED]' }, { number: '[REDACTED]', label: 'work' }],
+        'x-api-key': '[REDACTED]',
+        password: 'top-level'
+      });
+    });
+
+    test('should distinguish exact and contains matching', () => {
+      const exact = new RedactionEngine({ rules: [{ selector: 'key' }] });
+      const contains = new RedactionEngine({ rules: [{ selector: 'key', match: 'contains' }] });
+      const body = { key: 'a', keyboard: 'b', apiKey: 'c' };
+
+      expect(exact.redact(body, 'body').value).toEqual({ key: '[REDACTED]', keyboard: 'b', apiKey: 'c' });
+      expect(contains.redact(body, 'body').value).toEqual({ key: '[REDACTED]', keyboard: '[REDACTED]', apiKey: '[REDACTED]' });
+    });
+
+    test('should reject invalid selectors, actions and detectors', () => {
+      expect(() => new RedactionEngine({ rules: [{ selector: '$.a[' }] })).toThrow('Invalid redaction selector');
+      expect(() => new RedactionEngine({ rules: [{ selector: 'a', action: 'shred' }] })).toThrow('Unknown redaction action');
+      expect(() => new RedactionEngine({ rules: [{ detector: 'ssn' }] })).toThrow('Unknown redaction detector');
+      expect(() => new RedactionEngine({ rules: [{ action: 'remove' }] })).toThrow('needs a selector or a detector');
+    });
+  });
+
+  describe('detectors', () => {
+    const engine = new RedactionEngine({
+      rules: ['creditCard', 'jwt', 'email', 'phone', 'iban'].map(detector => ({ detector, replacement: `[${detector}]` }))
+    });
+    const redact = (text) => engine.redact(text, 'body').value;
+
+    test('should only redact card numbers that pass the Luhn check', () => {
+      expect(redact('card 4111 1111 1111 1111 on file')).toBe('card [creditCard] on file');
+      expect(redact('order 4111 1111 1111 1112')).toBe('order 4111 1111 1111 1112');
+    });
+
+    test('should find tokens, emails, phone numbers and IBANs inside text', () => {
+      expect(redact('Bearer eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln')).toBe('Bearer [jwt]');
+      expect(redact('contact ada@example.com')).toBe('contact [email]');
+      expect(redact('call +44 20 7946 0958 today')).toBe('call [phone] today');
+      expect(redact('pay to GB82 WEST 1234 5698 7654 32')).toBe('pay to [iban]');
+      expect(redact('pay to GB00 WEST 1234 5698 7654 32')).toBe('pay to GB00 WEST 1234 5698 7654 32');
+    });
+
+    test('should scope detectors to a selector when both are given', () => {
+      const scoped = new RedactionEngine({ rules: [{ selector: '$.notes', detector: 'email' }] });
+      expect(scoped.redact({ notes: ['ada@example.com'], email: 'bob@example.com' }, 'body').value)
+        .toEqual({ notes: ['[REDACTED]'], email: 'bob@example.com' });
+    });
+
+    test('should accept custom pattern and function detectors', () => {
+      const custom = new RedactionEngine({
+        detectors: { ticket: { pattern: /TCK-\d+/ } },
+        rules: [
+          { detector: 'ticket' },
+          { detector: /secret-\w+/i },
+          { detector: (value) => value === 'magic' }
+        ]
+      });
+
+      expect(custom.redact({ a: 'see TCK-42', b: 'SECRET-abc', c: 'magic' }, 'body').value)
+        .toEqual({ a: 'see [REDACTED]', b: '[REDACTED]', c: '[REDACTED]' });
+    });
+  });
+
+  describe('actions', () => {
+    test('should remove, mask, hash and replace values', () => {
+      const engine = new RedactionEngine({
+        hashSalt: 'salt',
+        rules: [
+          { selector: 'password', action: 'remove' },
+          { selector: 'card', action: 'mask-last-4' },
+          { selector: 'email', action: 'hash' },
+          { selector: 'ssn', replacement: 'xxx-xx-xxxx' }
+        ]
+      });
+
+      const first = engine.redact({ password: 'p', card: '4111111111111111', email: 'ada@example.com', ssn: '123-45-6789' }, 'body');
+      const second = engine.redact({ email: 'ada@example.com' }, 'body');
+
+      expect(first.value).toEqual({
+        card: '************1111',
+        email: second.value.email,
+        ssn: 'xxx-xx-xxxx'
+      });
+      expect(first.value.email).toMatch(/^sha256:[0-9a-f]{16}$/);
+      expect(new RedactionEngine({ hashSalt: 'other' }).hash('ada@example.com')).not.toBe(first.value.email);
+      expect(first.redactions.map(redaction => redaction.action)).toEqual(['remove', 'mask-last-4', 'hash', 'replace']);
+    });
+  });
+
+  test('should honour scopes and never modify the input', () => {
+    const engine = new RedactionEngine({ rules: [{ selector: 'session', scopes: ['cookies'] }] });
+    const cookies = { session: 'abc' };
+
+    expect(engine.redact(cookies, 'cookies').value).toEqual({ session: '[REDACTED]' });
+    expect(engine.redact(cookies, 'query').value).toEqual({ session: 'abc' });
+    expect(cookies.session).toBe('abc');
+  });
+
+  test('should copy circular structures without recursing forever', () => {
+    const engine = new RedactionEngine();
+    const body = { name: 'loop' };
+    body.self = body;
+
+    expect(engine.redact(body, 'body').value).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+});
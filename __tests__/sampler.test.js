@@ -0,0 +1,95 @@
+const { performance } = require('perf_hooks');
+const Sampler = require('../sampler');
+
+const req = (path, routePath) => ({ method: 'GET', path, baseUrl: '', route: routePath ? { path: routePath } : undefined });
+const res = (statusCode = 200) => ({ statusCode });
+
+describe('Sampler', () => {
+  test('should capture everything by default', () => {
+    const sampler = new Sampler();
+    const decision = sampler.begin();
+
+    expect(decision).toEqual({ sampled: true, rate: 1 });
+    expect(sampler.finish(req('/a'), res(), decision)).toEqual({ sampled: true, rate: 1, reason: 'all' });
+  });
+
+  test('should sample a fixed percentage', () => {
+    const values = [0.1, 0.3, 0.5, 0.7];
+    const sampler = new Sampler({ rate: 0.4, random: () => values.shift() });
+
+    const results = values.slice().map(() => {
+      const decision = sampler.begin();
+      return sampler.finish(req('/a'), res(), decision);
+    });
+
+    expect(results.map(result => result && result.reason)).toEqual(['rate', 'rate', null, null]);
+    expect(sampler.getStats()).toEqual({ seen: 4, captured: 2, dropped: { rate: 2, reservoir: 0 }, rate: 0.4 });
+  });
+
+  test('should always capture errors', () => {
+    const sampler = new Sampler({ rate: 0 });
+    const decision = sampler.begin();
+
+    expect(sampler.finish(req('/a'), res(200), decision)).toBeNull();
+    expect(sampler.finish(req('/a'), res(500), decision)).toEqual({ sampled: true, rate: 0, reason: 'error' });
+    expect(new Sampler({ rate: 0, alwaysCaptureErrors: false }).finish(req('/a'), res(500), decision)).toBeNull();
+  });
+
+  test('should keep a reservoir of samples per operation and window', () => {
+    jest.useFakeTimers({ now: 0 });
+    try {
+      const sampler = new Sampler({ reservoir: { size: 2, windowMs: 1000 } });
+      const capture = (request) => sampler.finish(request, res(), sampler.begin());
+
+      expect(capture(req('/users/1', '/users/:id')).reservoir).toEqual({ key: 'GET /users/:id', count: 1, size: 2 });
+      expect(capture(req('/users/2', '/users/:id')).reservoir.count).toBe(2);
+      expect(capture(req('/users/3', '/users/:id'))).toBeNull();
+      expect(capture(req('/orders/1', '/orders/:id'))).not.toBeNull();
+
+      jest.setSystemTime(1000);
+      expect(capture(req('/users/4', '/users/:id')).reservoir.count).toBe(1);
+      expect(sampler.getStats().dropped.reservoir).toBe(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should back off while the event loop is busy', () => {
+    const spy = jest.spyOn(performance, 'eventLoopUtilization').mockReturnValue({ utilization: 0.9 });
+    try {
+      const sampler = new Sampler({ rate: 0.5, adaptive: { maxUtilization: 0.8, minRate: 0.01, intervalMs: 0 } });
+      expect(sampler.getEffectiveRate()).toBeCloseTo(0.25);
+      expect(sampler.begin().utilization).toBe(0.9);
+
+      spy.mockReturnValue({ utilization: 1 });
+      expect(sampler.getEffectiveRate()).toBe(0.01);
+
+      spy.mockReturnValue({ utilization: 0.2 });
+      expect(sampler.getEffectiveRate()).toBe(0.5);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('should keep the configured rate where event loop utilization cannot be measured', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.defineProperty(performance, 'eventLoopUtilization', { value: undefined, configurable: true });
+    try {
+      jest.isolateModules(() => {
+        const LegacySampler = require('../sampler');
+        const sampler = new LegacySampler({ rate: 0.5, adaptive: { intervalMs: 0 } });
+
+        expect(sampler.getEffectiveRate()).toBe(0.5);
+        expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Node.js 14.10'));
+      });
+    } finally {
+      delete performance.eventLoopUtilization;
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => new Sampler({ rate: 2 })).toThrow('Sampling rate must be a number between 0 and 1');
+    expect(() => new Sampler({ reservoir: { size: 0 } })).toThrow('Sampling reservoir size must be a positive number');
+  });
+});
@@ -0,0 +1,115 @@
+const SchemaComponents = require('../schema-components');
+
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const user = (count = 1) => object({
+  id: { type: 'integer', 'x-sample-count': count },
+  address: object({ city: { type: 'string' } })
+}, { required: ['id'], 'x-sample-count': count });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const spec = paths => ({ openapi: '3.0.0', paths, components: { schemas: {}, securitySchemes: {} } });
+
+describe('SchemaComponents', () => {
+  test('should hoist identical object schemas regardless of sample annotations', () => {
+    const input = spec({
+      '/users/{userId}': { get: { responses: { 200: json(user(7)) } } },
+      '/users': {
+        get: { responses: { 200: json({ type: 'array', items: user(3) }) } },
+        post: { requestBody: json(object({ name: { type: 'string' } })), responses: { 201: json(user(1)) } }
+      }
+    });
+
+    const output = new SchemaComponents().hoist(input);
+
+    expect(output.paths['/users/{userId}'].get.responses[200].content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/User', 'x-sample-count': 7 });
+    expect(output.paths['/users'].get.responses[200].content['application/json'].schema).toEqual({
+      type: 'array',
+      items: { $ref: '#/components/schemas/User', 'x-sample-count': 3 }
+    });
+    expect(output.paths['/users'].post.requestBody.content['application/json'].schema.properties).toBeDefined();
+    // The address only occurs inside the User component, so it stays inline there
+    expect(Object.keys(output.components.schemas)).toEqual(['User']);
+    // The component counts the samples of all three occurrences
+    expect(output.components.schemas.User['x-sample-count']).toBe(11);
+    expect(output.components.schemas.User.properties.id['x-sample-count']).toBe(11);
+    expect(output.components.securitySchemes).toEqual({});
+    expect(input.paths['/users/{userId}'].get.responses[200].content['application/json'].schema.type).toBe('object');
+  });
+
+  test('should hoist nested schemas that repeat outside their parent', () => {
+    const address = object({ city: { type: 'string' } });
+    const output = new SchemaComponents().hoist(spec({
+      '/orders': { post: { requestBody: json(object({ shippingAddress: address, total: { type: 'number' } })), responses: {} } },
+      '/customers': { post: { requestBody: json(object({ billingAddresses: { type: 'array', items: address } })), responses: {} } }
+    }));
+
+    expect(output.components.schemas).toEqual({ ShippingAddress: address });
+    expect(output.paths['/customers'].post.requestBody.content['application/json'].schema.properties.billingAddresses.items)
+      .toEqual({ $ref: '#/components/schemas/ShippingAddress' });
+  });
+
+  test('should name components with the naming hook, keep existing components and avoid collisions', () => {
+    const naming = jest.fn(({ defaultName, method }) => (method === 'post' ? `Created${defaultName}` : undefined));
+    const input = spec({
+      '/users': { post: { responses: { 201: json(user()), 400: json(object({ message: { type: 'string' } })) } } },
+      '/accounts': { post: { responses: { 201: json(user()), 400: json(object({ message: { type: 'string' } })) } } },
+      '/profiles': { get: { responses: { 200: json(object({ bio: { type: 'string' } })) } } },
+      '/profile': { get: { responses: { 200: json(object({ bio: { type: 'string' } })) } } }
+    });
+    input.components.schemas.Profile = object({ legacy: { type: 'boolean' } });
+
+    const output = new SchemaComponents({ naming }).hoist(input);
+
+    expect(Object.keys(output.components.schemas).sort()).toEqual(['CreatedUser', 'CreatedUserError', 'Profile', 'Profile2']);
+    expect(naming).toHaveBeenCalledWith(expect.objectContaining({
+      defaultName: 'User', path: '/users', method: 'post', location: 'response', statusCode: '201', property: []
+    }));
+  });
+
+  test('should only hoist schemas reaching the minimum occurrences', () => {
+    const input = spec({
+      '/a': { get: { responses: { 200: json(user()) } } },
+      '/b': { get: { responses: { 200: json(user()) } } }
+    });
+
+    expect(new SchemaComponents({ minOccurrences: 3 }).hoist(input).components.schemas).toEqual({});
+  });
+
+  test('should restore the sample counts of every occurrence when inlining', () => {
+    const order = (count, noteCount) => object({
+      id: { type: 'integer', 'x-sample-count': count },
+      note: { type: 'string', 'x-sample-count': noteCount }
+    }, { required: ['id'], 'x-sample-count': count });
+    const input = spec({
+      '/orders/{orderId}': { get: { responses: { 200: json(order(2, 1)) } } },
+      '/orders': { post: { responses: { 201: json(order(9, 4)) } } }
+    });
+    const components = new SchemaComponents();
+
+    const hoisted = components.hoist(input);
+    expect(hoisted.components.schemas.Order.properties).toEqual({
+      id: { type: 'integer', 'x-sample-count': 11 },
+      note: { type: 'string', 'x-sample-count': 1 }
+    });
+
+    const inlined = components.inline(hoisted);
+    const created = inlined.paths['/orders'].post.responses[201].content['application/json'].schema;
+    const fetched = inlined.paths['/orders/{orderId}'].get.responses[200].content['application/json'].schema;
+    expect(created['x-sample-count']).toBe(9);
+    expect(created.properties.id['x-sample-count']).toBe(9);
+    expect(fetched['x-sample-count']).toBe(2);
+    // Optional properties stay optional once new samples are merged in
+    expect(fetched.properties.note['x-sample-count']).toBe(1);
+  });
+
+  test('should inline hoisted schemas again', () => {
+    const input = spec({
+      '/users/{userId}': { get: { responses: { 200: json(user()) } } },
+      '/users': { get: { responses: { 200: json({ type: 'array', items: user() }) } } }
+    });
+    input.components.schemas.Unused = object({ flag: { type: 'boolean' } });
+    const components = new SchemaComponents();
+
+    expect(components.inline(components.hoist(input))).toEqual(input);
+  });
+});
@@ -0,0 +1,144 @@
+const SpecDiff = require('../spec-diff');
+
+const operation = (overrides = {}) => ({
+  parameters: [],
+  responses: {
+    200: {
+      description: 'OK',
+      content: {
+        'application/json': {
+          schema: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } }, required: ['id', 'name'] }
+        }
+      }
+    }
+  },
+  ...overrides
+});
+const spec = paths => ({ openapi: '3.0.0', info: { title: 'API', version: '1.0.0' }, paths });
+const jsonBody = schema => ({ content: { 'application/json': { schema } } });
+
+describe('SpecDiff', () => {
+  const differ = new SpecDiff();
+  const typesOf = result => result.changes.map(({ type, breaking }) => `${type}:${breaking ? 'breaking' : 'safe'}`);
+
+  test('should report added and removed operations', () => {
+    const result = differ.diff(
+      spec({ '/users': { get: operation() } }),
+      spec({ '/orders': { get: operation() } })
+    );
+
+    expect(result.summary).toEqual({ breaking: 1, nonBreaking: 1 });
+    expect(result.changes).toEqual([
+      { type: 'operation-removed', breaking: true, operation: 'GET /users', location: '', message: 'Operation GET /users removed' },
+      { type: 'operation-added', breaking: false, operation: 'GET /orders', location: '', message: 'Operation GET /orders added' }
+    ]);
+  });
+
+  test('should classify parameter changes', () => {
+    const parameter = (name, required, type = 'string') => ({ name, in: 'query', required, schema: { type } });
+    const result = differ.diff(
+      spec({ '/users': { get: operation({ parameters: [parameter('page', false, 'integer'), parameter('sort', true), parameter('q', false)] }) } }),
+      spec({ '/users': { get: operation({ parameters: [parameter('page', true, 'number'), parameter('sort', false), parameter('limit', true)] }) } })
+    );
+
+    expect(typesOf(result).sort()).toEqual([
+      'parameter-added:breaking',
+      'parameter-removed:safe',
+      'parameter-required-changed:breaking',
+      'parameter-required-changed:safe',
+      'type-changed:safe'
+    ]);
+  });
+
+  test('should judge request and response schema changes in opposite directions', () => {
+    const before = spec({
+      '/users': {
+        post: operation({
+          requestBody: jsonBody({ type: 'object', properties: { name: { type: 'string' }, nickname: { type: 'string' } }, required: ['name'] })
+        })
+      }
+    });
+    const after = spec({
+      '/users': {
+        post: operation({
+          requestBody: jsonBody({ type: 'object', properties: { name: { type: 'string' }, email: { type: 'string' } }, required: ['name', 'email'] }),
+          responses: {
+            200: {
+              description: 'OK',
+              content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'string' }, age: { type: 'integer' } }, required: ['id'] } } }
+            }
+          }
+        })
+      }
+    });
+
+    const result = differ.diff(before, after);
+    const messages = result.changes.map(({ breaking, message }) => `${breaking ? '!' : ' '} ${message}`);
+
+    expect(messages.sort()).toEqual([
+      '  Optional property \'age\' added to response 200',
+      '  Property \'nickname\' removed from request body',
+      '! Property \'name\' removed from response 200',
+      '! Required property \'email\' added to request body',
+      '! Type of \'id\' in response 200 changed from integer to string'
+    ]);
+  });
+
+  test('should compare nested properties, array items and required-ness', () => {
+    const address = required => ({
+      type: 'object',
+      properties: { city: { type: 'string' }, zip: { type: 'string' } },
+      required
+    });
+    const before = spec({ '/users': { get: operation({ responses: { 200: jsonBody({ type: 'array', items: address(['city', 'zip']) }) } }) } });
+    const after = spec({ '/users': { get: operation({ responses: { 200: jsonBody({ type: 'array', items: address(['city']) }) } }) } });
+
+    expect(differ.diff(before, after).changes).toEqual([{
+      type: 'required-changed',
+      breaking: true,
+      operation: 'GET /users',
+      location: 'response 200: [].zip',
+      message: 'Property \'[].zip\' of response 200 became optional'
+    }]);
+  });
+
+  test('should report response code changes', () => {
+    const response = { description: 'OK' };
+    const result = differ.diff(
+      spec({ '/users': { get: operation({ responses: { 200: response, 404: response } }) } }),
+      spec({ '/users': { get: operation({ responses: { 201: response } }) } })
+    );
+
+    expect(typesOf(result)).toEqual(['response-removed:breaking', 'response-removed:safe', 'response-added:safe']);
+  });
+
+  test('should resolve component references', () => {
+    const withUser = userSchema => ({
+      ...spec({ '/users': { get: operation({ responses: { 200: jsonBody({ $ref: '#/components/schemas/User' }) } }) } }),
+      components: { schemas: { User: userSchema } }
+    });
+
+    const result = differ.diff(
+      withUser({ type: 'object', properties: { id: { type: 'integer' } } }),
+      withUser({ type: 'object', properties: {} })
+    );
+
+    expect(typesOf(result)).toEqual(['property-removed:breaking']);
+  });
+
+  test('should report nothing for identical specifications', () => {
+    const same = spec({ '/users': { get: operation() } });
+
+    expect(differ.diff(same, JSON.parse(JSON.stringify(same)))).toEqual({ summary: { breaking: 0, nonBreaking: 0 }, changes: [] });
+    expect(differ.format(differ.diff(same, same), 'text')).toBe('No changes\n');
+  });
+
+  test('should render JSON, Markdown and text reports', () => {
+    const result = differ.diff(spec({ '/users': { get: operation() } }), spec({ '/orders': { get: operation() } }));
+
+    expect(JSON.parse(differ.format(result, 'json'))).toEqual(result);
+    expect(differ.format(result, 'markdown')).toContain('| `GET /users` | Operation GET /users removed |');
+    expect(differ.format(result, 'text')).toContain('❌ Breaking changes (1):\n   GET /users: Operation GET /users removed');
+    expect(() => differ.format(result, 'html')).toThrow('Unsupported diff format: html');
+  });
+});
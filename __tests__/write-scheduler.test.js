@@ -0,0 +1,118 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WriteScheduler = require('../write-scheduler');
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WriteScheduler', () => {
+  afterEach(() => WriteScheduler.flushAll());
+
+  test('should coalesce changes within the interval into one write', async() => {
+    const write = jest.fn().mockResolvedValue();
+    const scheduler = new WriteScheduler(write, { intervalMs: 20, flushOnExit: false });
+
+    scheduler.markDirty();
+    scheduler.markDirty();
+    scheduler.markDirty();
+    expect(write).not.toHaveBeenCalled();
+
+    await tick(50);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStats()).toEqual({ pending: 0, writes: 1, coalesced: 2, failures: 0 });
+  });
+
+  test('should write as soon as maxChanges are pending', async() => {
+    const write = jest.fn().mockResolvedValue();
+    const scheduler = new WriteScheduler(write, { intervalMs: 60000, maxChanges: 2, flushOnExit: false });
+
+    scheduler.markDirty();
+    scheduler.markDirty();
+    await tick();
+
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(scheduler.isDirty()).toBe(false);
+  });
+
+  test('should never run two writes at once', async() => {
+    let running = 0;
+    let maxRunning = 0;
+    const write = jest.fn(async() => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await tick(10);
+      running--;
+    });
+    const scheduler = new WriteScheduler(write, { intervalMs: 60000, flushOnExit: false });
+
+    scheduler.markDirty();
+    const first = scheduler.flush();
+    scheduler.markDirty();
+    const second = scheduler.flush();
+    await Promise.all([first, second]);
+
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(maxRunning).toBe(1);
+  });
+
+  test('should keep changes of a failed write for the next flush', async() => {
+    const write = jest.fn()
+      .mockRejectedValueOnce(new Error('disk full'))
+      .mockResolvedValue();
+    const scheduler = new WriteScheduler(write, { intervalMs: 60000, flushOnExit: false });
+
+    scheduler.markDirty();
+    await expect(scheduler.flush()).rejects.toThrow('disk full');
+    expect(scheduler.getStats()).toMatchObject({ pending: 1, failures: 1 });
+
+    await scheduler.flush();
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStats()).toMatchObject({ pending: 0, writes: 1 });
+  });
+
+  test('should skip the write when nothing changed', async() => {
+    const write = jest.fn().mockResolvedValue();
+    await new WriteScheduler(write, { flushOnExit: false }).flush();
+
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('should save pending specifications on SIGTERM', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cortana-metrics-exit-'));
+    const script = `
+      const OpenAPIGenerator = require(${JSON.stringify(path.join(__dirname, '..', 'openapi-generator'))});
+      const generator = new OpenAPIGenerator({ title: 'Exit', outputDir: ${JSON.stringify(outputDir)}, writeSchedule: { intervalMs: 60000 } });
+      generator.addEndpoint({
+        request: { method: 'GET', path: '/exit', headers: {}, query: {} },
+        response: { statusCode: 200, headers: {}, body: { ok: true } },
+        metadata: {}
+      }).then(() => {
+        setInterval(() => {}, 1000);
+        process.kill(process.pid, 'SIGTERM');
+      });
+    `;
+
+    const result = spawnSync(process.execPath, ['-e', script], { timeout: 10000, encoding: 'utf8' });
+    const specPath = path.join(outputDir, 'Exit.json');
+
+    expect(result.signal).toBe('SIGTERM');
+    expect(JSON.parse(fs.readFileSync(specPath, 'utf8')).paths['/exit']).toBeDefined();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('should stop waiting for a hanging write after exitTimeoutMs on SIGTERM', () => {
+    const script = `
+      const WriteScheduler = require(${JSON.stringify(path.join(__dirname, '..', 'write-scheduler'))});
+      const scheduler = new WriteScheduler(() => new Promise(() => {}), { intervalMs: 60000, exitTimeoutMs: 100 });
+      scheduler.markDirty();
+      setInterval(() => {}, 1000);
+      process.kill(process.pid, 'SIGTERM');
+    `;
+
+    const result = spawnSync(process.execPath, ['-e', script], { timeout: 10000, killSignal: 'SIGKILL', encoding: 'utf8' });
+
+    expect(result.signal).toBe('SIGTERM');
+    expect(result.stderr).toContain('not written within 100ms of SIGTERM');
+  });
+});
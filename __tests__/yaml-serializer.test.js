@@ -0,0 +1,84 @@
+const YAMLSerializer = require('../yaml-serializer');
+
+describe('YAMLSerializer', () => {
+  const serializer = new YAMLSerializer();
+
+  test('should emit nested mappings and sequences in block style', () => {
+    const yaml = serializer.stringify({
+      paths: { '/users': { get: { tags: ['users'], parameters: [{ name: 'id', in: 'path' }] } } }
+    });
+
+    expect(yaml).toBe([
+      'paths:',
+      '  /users:',
+      '    get:',
+      '      tags:',
+      '        - users',
+      '      parameters:',
+      '        - name: id',
+      '          in: path',
+      ''
+    ].join('\n'));
+  });
+
+  test('should quote strings that would otherwise be read as other types', () => {
+    const yaml = serializer.stringify({
+      flag: 'on',
+      answer: 'yes',
+      nothing: 'null',
+      count: '42',
+      version: '3.0.0',
+      date: '2023-01-01',
+      empty: '',
+      colon: 'a: b',
+      quote: '\'quoted\''
+    });
+
+    expect(yaml).toBe([
+      'flag: \'on\'',
+      'answer: \'yes\'',
+      'nothing: \'null\'',
+      'count: \'42\'',
+      'version: \'3.0.0\'',
+      'date: \'2023-01-01\'',
+      'empty: \'\'',
+      'colon: \'a: b\'',
+      'quote: \'\'\'quoted\'\'\'',
+      ''
+    ].join('\n'));
+  });
+
+  test('should quote numeric keys such as status codes', () => {
+    expect(serializer.stringify({ responses: { 200: { description: 'OK' } } }))
+      .toBe('responses:\n  \'200\':\n    description: OK\n');
+  });
+
+  test('should emit multi-line strings as literal blocks', () => {
+    expect(serializer.stringify({ description: '**GET /users**\n\n- Status: 200\n' }))
+      .toBe('description: |\n  **GET /users**\n\n  - Status: 200\n');
+    expect(serializer.stringify({ text: 'a\nb' })).toBe('text: |-\n  a\n  b\n');
+  });
+
+  test('should emit empty collections, nulls and JSON-incompatible values like JSON.stringify', () => {
+    expect(serializer.stringify({ a: {}, b: [], c: null, d: undefined, e: NaN, f: [undefined] }))
+      .toBe('a: {}\nb: []\nc: null\ne: null\nf:\n  - null\n');
+  });
+
+  test('should repeat shared objects instead of using anchors', () => {
+    const shared = { type: 'string' };
+    const yaml = serializer.stringify({ a: shared, b: shared });
+
+    expect(yaml).toBe('a:\n  type: string\nb:\n  type: string\n');
+    expect(yaml).not.toMatch(/[&*]/);
+  });
+
+  test('should reject circular structures', () => {
+    const circular = {};
+    circular.self = circular;
+    expect(() => serializer.stringify(circular)).toThrow(TypeError);
+  });
+
+  test('should write each document of a stream after a separator', () => {
+    expect(serializer.stringifyDocuments([{ a: 1 }, { b: 2 }])).toBe('---\na: 1\n---\nb: 2\n');
+  });
+});
@@ -0,0 +1,167 @@
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest'];
+
+/**
+ * Capture Queue
+ * Bounded in-memory queue between the capture middleware and specification generation
+ *
+ * Items are processed by a background worker in batches of `batchSize`, yielding to the event
+ * loop between batches so a backlog never delays request handling. When the queue is full the
+ * overflow policy drops either the oldest queued item or the new one, and every drop is counted.
+ */
+class CaptureQueue {
+  /**
+   * Creates a new CaptureQueue instance
+   * @param {Function} processItem - Async function called with each queued item
+   * @param {Object} [options={}] - Configuration options for the queue
+   * @param {number} [options.maxSize=1000] - Maximum number of queued items
+   * @param {number} [options.batchSize=50] - Items processed before yielding to the event loop
+   * @param {string} [options.overflow='drop-oldest'] - Policy when full, 'drop-oldest' or 'drop-newest'
+   * @param {number} [options.flushIntervalMs=0] - Delay before the worker starts, letting batches fill up
+   * @throws {Error} When the overflow policy is unknown
+   */
+  constructor(processItem, options = {}) {
+    this.options = {
+      maxSize: options.maxSize || 1000,
+      batchSize: options.batchSize || 50,
+      overflow: options.overflow || 'drop-oldest',
+      flushIntervalMs: options.flushIntervalMs || 0
+    };
+
+    if (!OVERFLOW_POLICIES.includes(this.options.overflow)) {
+      throw new Error(`Unknown capture queue overflow policy: ${this.options.overflow}`);
+    }
+
+    this.processItem = processItem;
+    this.items = [];
+    this.timer = null;
+    this.draining = false;
+    this.closed = false;
+    this.idleWaiters = [];
+    this.metrics = {
+      accepted: 0,
+      processed: 0,
+      failed: 0,
+      batches: 0,
+      highWaterMark: 0,
+      dropped: { oldest: 0, newest: 0, closed: 0 }
+    };
+  }
+
+  /**
+   * Add an item to the queue
+   * @param {*} item - Item to process
+   * @returns {boolean} False when the item itself was dropped
+   */
+  push(item) {
+    if (this.closed) {
+      this.metrics.dropped.closed++;
+      return false;
+    }
+
+    if (this.items.length >= this.options.maxSize) {
+      if (this.options.overflow === 'drop-newest') {
+        this.metrics.dropped.newest++;
+        return false;
+      }
+      this.items.shift();
+      this.metrics.dropped.oldest++;
+    }
+
+    this.items.push(item);
+    this.metrics.accepted++;
+    this.metrics.highWaterMark = Math.max(this.metrics.highWaterMark, this.items.length);
+    this._schedule();
+    return true;
+  }
+
+  /**
+   * Process everything queued so far
+   * @returns {Promise<void>} Resolves once the queue is empty and no item is being processed
+   */
+  flush() {
+    if (this.items.length === 0 && !this.draining) {
+      return Promise.resolve();
+    }
+
+    const idle = new Promise(resolve => this.idleWaiters.push(resolve));
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this._drain();
+    }
+    return idle;
+  }
+
+  /**
+   * Stop accepting items and process the ones already queued
+   * @returns {Promise<void>} Resolves once the queue has drained
+   */
+  close() {
+    this.closed = true;
+    return this.flush();
+  }
+
+  /**
+   * Get queue metrics
+   * @returns {Object} `{ size, accepted, processed, failed, batches, highWaterMark, dropped: { oldest, newest, closed } }`
+   */
+  getMetrics() {
+    return {
+      size: this.items.length,
+      ...this.metrics,
+      dropped: { ...this.metrics.dropped }
+    };
+  }
+
+  /**
+   * Start the worker unless it is running or already scheduled
+   * @private
+   */
+  _schedule() {
+    if (this.timer || this.draining) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, this.options.flushIntervalMs);
+    // Pending captures must not keep the process alive; close() drains them on shutdown
+    this.timer.unref();
+  }
+
+  /**
+   * Process queued items batch by batch until the queue is empty
+   * @private
+   * @async
+   */
+  async _drain() {
+    this.draining = true;
+
+    while (this.items.length > 0) {
+      const batch = this.items.splice(0, this.options.batchSize);
+      this.metrics.batches++;
+
+      for (const item of batch) {
+        try {
+          await this.processItem(item);
+          this.metrics.processed++;
+        } catch (error) {
+          this.metrics.failed++;
+          console.error('❌ Error processing captured endpoint:', error);
+        }
+      }
+
+      // Yield so a long backlog never blocks the event loop
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    this.draining = false;
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+CaptureQueue.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+
+module.exports = CaptureQueue;
@@ -3,6 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 const CollectionManager = require('./collection-manager');
+const PrivacyScanner = require('./privacy-scanner');
+const SpecDiff = require('./spec-diff');
 
 /**
  * CLI tool for managing OpenAPI specifications
@@ -16,6 +18,11 @@ class OpenAPISpecCLI {
       'merge': this.mergeCollections.bind(this),
       'version': this.createVersion.bind(this),
       'backup': this.createBackup.bind(this),
+      'backups': this.listBackups.bind(this),
+      'restore': this.restoreBackup.bind(this),
+      'rollback': this.rollbackVersion.bind(this),
+      'scan': this.scanSpec.bind(this),
+      'diff': this.diffSpecs.bind(this),
       'help': this.showHelp.bind(this)
     };
   }
@@ -86,6 +93,7 @@ class OpenAPISpecCLI {
     
     try {
       const manager = new CollectionManager({ baseDir });
+      await manager.whenReady();
       const stats = manager.getAllStats();
       
       console.log('📊 OpenAPI Specification Statistics:');
@@ -116,10 +124,11 @@ class OpenAPISpecCLI {
     
     try {
       const manager = new CollectionManager({ baseDir });
+      await manager.whenReady();
       const exports = manager.exportAllCollections(format, { saveToFile: !!outputFile });
       
       if (outputFile) {
-        fs.writeFileSync(outputFile, JSON.stringify(exports, null, 2));
+        fs.writeFileSync(outputFile, manager.formatExports(exports, format));
         console.log(`✅ Collections exported to: ${outputFile}`);
       } else {
         console.log('📤 Exported Collections:');
@@ -147,6 +156,7 @@ class OpenAPISpecCLI {
     
     try {
       const manager = new CollectionManager({ baseDir });
+      await manager.whenReady();
       const result = manager.mergeCollections(sourceCollections, targetName, {
         prefixWithCollectionName: true
       });
@@ -169,17 +179,18 @@ class OpenAPISpecCLI {
     
     try {
       const manager = new CollectionManager({ baseDir });
+      await manager.whenReady();
       const results = {};
       
-      manager.collections.forEach((generator, name) => {
+      for (const name of manager.collections.keys()) {
         try {
-          results[name] = manager.createVersion(name, version);
+          results[name] = await manager.createVersion(name, version);
           console.log(`✅ Version ${version} created for: ${name}`);
         } catch (error) {
           results[name] = { error: error.message };
           console.error(`❌ Error creating version for ${name}: ${error.message}`);
         }
-      });
+      }
       
       console.log(`\n📦 Version ${version} creation summary:`);
       Object.entries(results).forEach(([name, result]) => {
@@ -200,22 +211,168 @@ class OpenAPISpecCLI {
     
     try {
       const manager = new CollectionManager({ baseDir });
-      
+      await manager.whenReady();
+
       if (collectionName) {
-        manager.createBackup(collectionName);
+        await manager.createBackup(collectionName);
         console.log(`✅ Backup created for: ${collectionName}`);
       } else {
         // Backup all collections
-        manager.collections.forEach((generator, name) => {
-          manager.createBackup(name);
+        for (const name of manager.collections.keys()) {
+          await manager.createBackup(name);
           console.log(`✅ Backup created for: ${name}`);
-        });
+        }
       }
     } catch (error) {
       console.error(`❌ Error creating backup: ${error.message}`);
     }
   }
 
+  async listBackups(args) {
+    if (args.length < 1) {
+      console.error('❌ Usage: backups <collection> [base-dir]');
+      return;
+    }
+
+    const [collectionName, baseDir = './openapi-specs'] = args;
+    const manager = new CollectionManager({ baseDir });
+    await manager.whenReady();
+    const backups = await manager.listBackups(collectionName);
+    const versions = await manager.listVersions(collectionName);
+
+    console.log(`🗄️  Backups of ${collectionName}:`);
+    if (backups.length === 0) {
+      console.log('   No backups found');
+    }
+    backups.forEach(backup => {
+      console.log(`   ${backup.id}  (${backup.createdAt.toISOString()})`);
+    });
+
+    console.log(`\n📦 Versions of ${collectionName}:`);
+    if (versions.length === 0) {
+      console.log('   No versions found');
+    }
+    versions.forEach(version => {
+      console.log(`   ${version.version}  (${version.createdAt.toISOString()})`);
+    });
+  }
+
+  async restoreBackup(args) {
+    const { positional, confirmed } = this.parseRestoreArgs(args);
+    if (positional.length < 2) {
+      console.error('❌ Usage: restore <collection> <backup-id|latest> [base-dir] [--yes]');
+      return;
+    }
+
+    const [collectionName, backupId, baseDir = './openapi-specs'] = positional;
+    const manager = new CollectionManager({ baseDir });
+    await manager.whenReady();
+    const result = await manager.restoreBackup(collectionName, backupId, { dryRun: !confirmed });
+    this.printRestoreResult(collectionName, result);
+  }
+
+  async rollbackVersion(args) {
+    const { positional, confirmed } = this.parseRestoreArgs(args);
+    if (positional.length < 2) {
+      console.error('❌ Usage: rollback <collection> <version> [base-dir] [--yes]');
+      return;
+    }
+
+    const [collectionName, version, baseDir = './openapi-specs'] = positional;
+    const manager = new CollectionManager({ baseDir });
+    await manager.whenReady();
+    const result = await manager.restoreVersion(collectionName, version, { dryRun: !confirmed });
+    this.printRestoreResult(collectionName, result);
+  }
+
+  parseRestoreArgs(args) {
+    return {
+      positional: args.filter(arg => arg !== '--yes'),
+      confirmed: args.includes('--yes')
+    };
+  }
+
+  printRestoreResult(collectionName, { source, diff, restored, backupPath }) {
+    console.log(`${restored ? '♻️  Restored' : '🔍 Restoring'} ${collectionName} from: ${source}`);
+
+    const changes = [
+      ...diff.added.map(operation => `   + ${operation}`),
+      ...diff.removed.map(operation => `   - ${operation}`),
+      ...diff.changed.map(operation => `   ~ ${operation}`)
+    ];
+    console.log(changes.length > 0 ? changes.join('\n') : '   No operation changes');
+
+    if (restored) {
+      console.log(`✅ Previous specification backed up to: ${backupPath}`);
+    } else {
+      console.log('\nNothing was changed. Re-run with --yes to restore.');
+    }
+  }
+
+  async scanSpec(args) {
+    if (args.length < 1) {
+      console.error('❌ Usage: scan <spec-file.json>');
+      return;
+    }
+
+    const [specFile] = args;
+    if (!/\.json$/i.test(specFile)) {
+      console.error('❌ Only JSON specifications can be scanned');
+      process.exitCode = 1;
+      return;
+    }
+
+    const spec = JSON.parse(fs.readFileSync(specFile, 'utf8'));
+    // Without the capturing process no fingerprints exist, so report every detector match
+    const findings = new PrivacyScanner().scan(spec, { reportDetected: true });
+
+    if (findings.length === 0) {
+      console.log(`✅ No actual data found in: ${specFile}`);
+      return;
+    }
+
+    console.error(`❌ Found ${findings.length} potential leak(s) in: ${specFile}`);
+    findings.forEach(finding => {
+      console.error(`   ${finding.reason}: ${finding.pointer}`);
+    });
+    process.exitCode = 1;
+  }
+
+  async diffSpecs(args) {
+    const formatIndex = args.indexOf('--format');
+    const format = formatIndex === -1 ? 'text' : args[formatIndex + 1];
+    const files = args.filter((arg, index) => formatIndex === -1 || (index !== formatIndex && index !== formatIndex + 1));
+
+    if (files.length < 2) {
+      console.error('❌ Usage: diff <old-spec.json> <new-spec.json> [--format json|markdown|text]');
+      return;
+    }
+    if (!SpecDiff.FORMATS.includes(format)) {
+      console.error(`❌ Unsupported diff format: ${format}. Supported formats: ${SpecDiff.FORMATS.join(', ')}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const [oldFile, newFile] = files;
+    if (![oldFile, newFile].every(file => /\.json$/i.test(file))) {
+      console.error('❌ Only JSON specifications can be compared');
+      process.exitCode = 1;
+      return;
+    }
+
+    const differ = new SpecDiff();
+    const result = differ.diff(
+      JSON.parse(fs.readFileSync(oldFile, 'utf8')),
+      JSON.parse(fs.readFileSync(newFile, 'utf8'))
+    );
+
+    process.stdout.write(differ.format(result, format));
+    // Lets CI pipelines fail a build that would break existing clients
+    if (result.summary.breaking > 0) {
+      process.exitCode = 1;
+    }
+  }
+
   showHelp() {
     console.log('🚀 OpenAPI Specification Manager CLI');
     console.log('='.repeat(50));
@@ -223,18 +380,32 @@ class OpenAPISpecCLI {
     console.log('\nCommands:');
     console.log('  list [base-dir]                     List all collections');
     console.log('  stats [base-dir]                    Show collection statistics');
-    console.log('  export [base-dir] [format] [file]   Export collections');
+    console.log('  export [base-dir] [format] [file]   Export collections (json, yaml)');
     console.log('  merge <col1> <col2> ... <target>    Merge collections');
     console.log('  version <version> [base-dir]        Create version snapshots');
     console.log('  backup [base-dir] [collection]      Create backups');
+    console.log('  backups <collection> [base-dir]     List backups and versions of a collection');
+    console.log('  restore <collection> <backup-id|latest> [base-dir] [--yes]');
+    console.log('                                      Preview, then with --yes restore a backup');
+    console.log('  rollback <collection> <version> [base-dir] [--yes]');
+    console.log('                                      Preview, then with --yes restore a version');
+    console.log('  scan <spec-file.json>               Check a saved spec for actual or sensitive data');
+    console.log('  diff <old.json> <new.json> [--format json|markdown|text]');
+    console.log('                                      Compare specs; exits non-zero on breaking changes');
     console.log('  help                                Show this help');
     console.log('\nExamples:');
     console.log('  node cli.js list');
     console.log('  node cli.js stats ./my-collections');
     console.log('  node cli.js export ./collections json output.json');
+    console.log('  node cli.js export ./collections yaml openapi.yaml');
     console.log('  node cli.js merge "API v1" "API v2" "Combined API"');
     console.log('  node cli.js version 2.1.0');
     console.log('  node cli.js backup ./collections "Main API"');
+    console.log('  node cli.js backups "Main API"');
+    console.log('  node cli.js restore "Main API" latest ./collections --yes');
+    console.log('  node cli.js rollback "Main API" 2.1.0');
+    console.log('  node cli.js scan ./openapi-specs/API_Documentation.json');
+    console.log('  node cli.js diff ./openapi-specs/versions/API_v1.0.0.json ./openapi-specs/API.json --format markdown');
   }
 
   countRequests(collection) {
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const moment = require('moment');
 const OpenAPIGenerator = require('./openapi-generator');
+const SchemaComponents = require('./schema-components');
 const { StorageFactory } = require('./storage');
 
 /**
@@ -29,6 +30,7 @@ class CollectionManager {
    * @param {boolean} [options.defaultCollectionOptions.includeExamples=true] - Whether to include examples
    * @param {boolean} [options.defaultCollectionOptions.includeSchemas=true] - Whether to include schemas
    * @param {boolean} [options.defaultCollectionOptions.autoSave=true] - Whether to auto-save specifications
+   * @param {Object} [options.writeSchedule] - How auto-saves of each specification are batched, `{ intervalMs, maxChanges, flushOnExit, exitTimeoutMs }`
    */
   constructor(options = {}) {
     this.options = {
@@ -55,6 +57,7 @@ class CollectionManager {
         autoSave: true,
         singleFileMode: options.singleFileMode !== false, // Pass to generator
         detectChanges: options.detectChanges !== false, // Pass to generator
+        writeSchedule: options.writeSchedule,
         ...options.defaultCollectionOptions
       },
       ...options
@@ -70,7 +73,7 @@ class CollectionManager {
     this.versionsDir = 'versions';
 
     // Initialize directories and collections asynchronously
-    this.initializeAsync();
+    this.initialization = this.initializeAsync();
   }
 
   /**
@@ -128,9 +131,20 @@ class CollectionManager {
     }
   }
 
+  /**
+   * Wait until the collections stored in the base directory are loaded
+   * Collections that fail to load are reported and left out
+   * @returns {Promise<void>} Resolves once initialization has finished
+   */
+  whenReady() {
+    return this.initialization;
+  }
+
   /**
    * Create or get a collection
    * Returns an existing collection or creates a new one with the specified name and options
+   * A stored specification of a new collection is loaded in the background; adding endpoints and saving
+   * wait for it, use loadCollection() to wait before reading the specification
    * @param {string} name - Collection name
    * @param {Object} [options={}] - Collection options
    * @param {string} [options.collectionName] - Override collection name
@@ -172,7 +186,12 @@ class CollectionManager {
         existingPath = path.join(collectionOptions.outputDir, `${this.sanitizeName(name)}_latest.json`);
       }
 
-      generator.loadSpec(existingPath);
+      generator.hydrate(existingPath, {
+        backupDir: this.backupDir,
+        backupPrefix: `${this.sanitizeName(name)}_backup_`
+      }).catch(error => {
+        console.error(`❌ Error loading collection ${name}, retrying before its next change:`, error);
+      });
 
       this.collections.set(name, generator);
     }
@@ -180,6 +199,19 @@ class CollectionManager {
     return this.collections.get(name);
   }
 
+  /**
+   * Create or get a collection, once its stored specification is loaded
+   * @param {string} name - Collection name
+   * @param {Object} [options={}] - Collection options, see getCollection
+   * @returns {Promise<OpenAPIGenerator>} The specification generator instance
+   * @throws {Error} When the stored specification cannot be read
+   */
+  async loadCollection(name, options = {}) {
+    const collection = this.getCollection(name, options);
+    await collection.whenHydrated();
+    return collection;
+  }
+
   /**
    * Add endpoint to a specific collection
    * Adds a captured endpoint to the specified collection and optionally creates a backup
@@ -206,21 +238,16 @@ class CollectionManager {
   async addEndpoint(collectionName, endpointData, options = {}) {
     try {
       const collection = this.getCollection(collectionName, options);
-      const pathItem = collection.addEndpoint(endpointData, options);
+      const pathItem = await collection.addEndpoint(endpointData, options);
 
       // Create backup if needed (skip in single file mode unless explicitly enabled)
       if (this.options.autoBackup && !this.options.singleFileMode) {
-        this.createBackup(collectionName);
+        await this.createBackup(collectionName);
       }
 
       // Update collection metadata
       this.updateCollectionMetadata(collectionName, endpointData);
 
-      // Ensure the collection is saved immediately after adding endpoint
-      if (collection.options.autoSave) {
-        await collection.saveSpec();
-      }
-
       return pathItem;
     } catch (error) {
       console.error(`Error adding endpoint to collection ${collectionName}:`, error);
@@ -241,28 +268,39 @@ class CollectionManager {
    * @param {boolean} [rules.environmentBased=false] - Whether to create environment-based collections
    * @param {string} [rules.environment] - Environment name for environment-based collections
    * @param {Function} [rules.custom] - Custom assignment function
-   * @returns {Array<Object>} Array of assignment results with success status
+   * @returns {Promise<Array<Object>>} Array of assignment results with success status
    * @returns {string} returns[].collectionName - Name of the collection
    * @returns {Object} returns[].pathItem - The added path item object (if successful)
    * @returns {boolean} returns[].success - Whether the assignment was successful
    * @returns {string} [returns[].error] - Error message (if assignment failed)
    */
-  addEndpointWithRules(endpointData, rules = {}) {
+  async addEndpointWithRules(endpointData, rules = {}) {
     const assignments = this.determineCollectionAssignments(endpointData, rules);
     const results = [];
 
-    assignments.forEach(({ collectionName, options }) => {
+    for (const { collectionName, options } of assignments) {
       try {
-        const pathItem = this.addEndpoint(collectionName, endpointData, options);
+        const pathItem = await this.addEndpoint(collectionName, endpointData, options);
         results.push({ collectionName, pathItem, success: true });
       } catch (error) {
         results.push({ collectionName, error: error.message, success: false });
       }
-    });
+    }
 
     return results;
   }
 
+  /**
+   * Save pending auto-saved changes of every collection
+   * Auto-saves are batched by each specification's write scheduler; call this to write them now
+   * @returns {Promise<void>} Resolves once every collection is saved
+   * @throws {Error} When saving a collection fails
+   * @async
+   */
+  async flush() {
+    await Promise.all([...this.collections.values()].map(collection => collection.flush()));
+  }
+
   /**
    * Determine which collections should receive the endpoint
    * Analyzes endpoint data and rules to determine target collections
@@ -340,27 +378,29 @@ class CollectionManager {
 
   /**
    * Create a backup of a collection
-   * Creates a timestamped backup of the specified collection and cleans old backups
+   * Creates a timestamped backup of the specified collection in storage and cleans old backups
    * @param {string} collectionName - Name of the collection to backup
-   * @throws {Error} When backup creation fails
+   * @returns {Promise<string|undefined>} Storage path of the backup, undefined when it was not created
    */
-  createBackup(collectionName) {
+  async createBackup(collectionName) {
     try {
       const collection = this.collections.get(collectionName);
-      if (!collection) return;
+      if (!collection) return undefined;
 
-      const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
+      const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss-SSS');
       const backupFilename = `${this.sanitizeName(collectionName)}_backup_${timestamp}.json`;
       const backupPath = path.join(this.backupDir, backupFilename);
 
-      fs.writeFileSync(backupPath, collection.exportSpec('json'));
+      await this.storage.writeFile(backupPath, collection.exportSpec('json'));
 
       // Clean old backups
-      this.cleanOldBackups(collectionName);
+      await this.cleanOldBackups(collectionName);
 
       console.log(`Backup created: ${backupPath}`);
+      return backupPath;
     } catch (error) {
       console.error(`Error creating backup for ${collectionName}:`, error);
+      return undefined;
     }
   }
 
@@ -369,10 +409,10 @@ class CollectionManager {
    * Creates a versioned snapshot of the collection with metadata
    * @param {string} collectionName - Name of the collection
    * @param {string} version - Version identifier (e.g., '1.0.0', 'v2.1')
-   * @returns {string} Path to the created version file
+   * @returns {Promise<string>} Storage path of the created version file
    * @throws {Error} When collection is not found or version creation fails
    */
-  createVersion(collectionName, version) {
+  async createVersion(collectionName, version) {
     try {
       const collection = this.collections.get(collectionName);
       if (!collection) throw new Error(`Collection ${collectionName} not found`);
@@ -389,7 +429,7 @@ class CollectionManager {
         }
       };
 
-      fs.writeFileSync(versionPath, JSON.stringify(versionData, null, 2));
+      await this.storage.writeFile(versionPath, JSON.stringify(versionData, null, 2));
       console.log(`Version ${version} created: ${versionPath}`);
 
       return versionPath;
@@ -399,6 +439,150 @@ class CollectionManager {
     }
   }
 
+  /**
+   * List backups of a collection, newest first
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<Array<Object>>} `{ id, path, createdAt }` of each backup; pass `id` to restoreBackup()
+   */
+  async listBackups(collectionName) {
+    const prefix = `${this.sanitizeName(collectionName)}_backup_`;
+    const files = await this.listStoredFiles(this.backupDir, prefix);
+
+    return files.map(file => ({
+      id: file.name.slice(prefix.length, -'.json'.length),
+      path: file.path,
+      createdAt: file.lastModified
+    }));
+  }
+
+  /**
+   * List version snapshots of a collection, newest first
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<Array<Object>>} `{ version, path, createdAt }` of each snapshot; pass `version` to restoreVersion()
+   */
+  async listVersions(collectionName) {
+    const prefix = `${this.sanitizeName(collectionName)}_v`;
+    const files = await this.listStoredFiles(this.versionsDir, prefix);
+
+    return files.map(file => ({
+      version: file.name.slice(prefix.length, -'.json'.length),
+      path: file.path,
+      createdAt: file.lastModified
+    }));
+  }
+
+  /**
+   * Roll a collection back to one of its backups
+   * The current specification is backed up first, so the restore itself can be undone
+   * @param {string} collectionName - Name of the collection
+   * @param {string} backupId - Backup id from listBackups(), or 'latest'
+   * @param {Object} [options={}] - Restore options
+   * @param {boolean} [options.dryRun=false] - Only preview the operations the restore would change
+   * @returns {Promise<Object>} `{ source, diff, restored, backupPath }`, see restoreFrom
+   * @throws {Error} When the backup does not exist or is not a valid specification
+   */
+  async restoreBackup(collectionName, backupId, options = {}) {
+    const backups = await this.listBackups(collectionName);
+    const backup = backupId === 'latest' ? backups[0] : backups.find(({ id }) => id === backupId);
+    if (!backup) {
+      throw new Error(`Backup ${backupId} not found for collection ${collectionName}`);
+    }
+
+    return this.restoreFrom(collectionName, backup.path, options);
+  }
+
+  /**
+   * Roll a collection back to one of its version snapshots
+   * The current specification is backed up first, so the restore itself can be undone
+   * @param {string} collectionName - Name of the collection
+   * @param {string} version - Version passed to createVersion()
+   * @param {Object} [options={}] - Restore options
+   * @param {boolean} [options.dryRun=false] - Only preview the operations the restore would change
+   * @returns {Promise<Object>} `{ source, diff, restored, backupPath }`, see restoreFrom
+   * @throws {Error} When the version does not exist or is not a valid specification
+   */
+  async restoreVersion(collectionName, version, options = {}) {
+    const versionPath = path.join(this.versionsDir, `${this.sanitizeName(collectionName)}_v${version}.json`);
+    if (!(await this.storage.exists(versionPath))) {
+      throw new Error(`Version ${version} not found for collection ${collectionName}`);
+    }
+
+    return this.restoreFrom(collectionName, versionPath, options);
+  }
+
+  /**
+   * Replace a collection with a stored specification
+   * @param {string} collectionName - Name of the collection
+   * @param {string} sourcePath - Storage path of the backup or version snapshot
+   * @param {Object} options - Restore options
+   * @param {boolean} [options.dryRun=false] - Only preview the operations the restore would change
+   * @returns {Promise<Object>} Restore result
+   * @returns {string} returns.source - Storage path restored from
+   * @returns {Object} returns.diff - `{ added, removed, changed }` operations, e.g. 'GET /users'
+   * @returns {boolean} returns.restored - False for a dry run
+   * @returns {string} [returns.backupPath] - Backup of the specification that was replaced
+   * @private
+   */
+  async restoreFrom(collectionName, sourcePath, { dryRun = false } = {}) {
+    let specData;
+    try {
+      specData = JSON.parse(await this.storage.readFile(sourcePath));
+    } catch (error) {
+      throw new Error(`Cannot read ${sourcePath}: ${error.message}`);
+    }
+    if (!specData || typeof specData.paths !== 'object') {
+      throw new Error(`${sourcePath} is not a valid OpenAPI specification`);
+    }
+    if (specData.info) {
+      // Added by createVersion; not part of the specification that was snapshotted
+      delete specData.info.versionCreatedAt;
+    }
+    // Compared with the inline specification in use
+    specData = new SchemaComponents().inline(specData);
+
+    const collection = await this.loadCollection(collectionName);
+    const diff = this.diffOperations(collection.spec, specData);
+    if (dryRun) {
+      return { source: sourcePath, diff, restored: false };
+    }
+
+    const backupPath = await this.createBackup(collectionName);
+    if (!backupPath) {
+      throw new Error(`Could not back up ${collectionName} before restoring, nothing was changed`);
+    }
+    await collection.replaceSpec(specData);
+    console.log(`♻️ ${collectionName} restored from: ${sourcePath}`);
+
+    return { source: sourcePath, diff, restored: true, backupPath };
+  }
+
+  /**
+   * Compare the operations of two specifications
+   * @param {Object} current - Specification in use
+   * @param {Object} target - Specification to restore
+   * @returns {Object} `{ added, removed, changed }` operations, e.g. 'GET /users', as seen from the current one
+   * @private
+   */
+  diffOperations(current, target) {
+    const operations = spec => {
+      const result = new Map();
+      Object.keys(spec.paths || {}).forEach(pathKey => {
+        Object.keys(spec.paths[pathKey] || {}).forEach(method => {
+          result.set(`${method.toUpperCase()} ${pathKey}`, JSON.stringify(spec.paths[pathKey][method]));
+        });
+      });
+      return result;
+    };
+    const before = operations(current);
+    const after = operations(target);
+
+    return {
+      added: [...after.keys()].filter(key => !before.has(key)),
+      removed: [...before.keys()].filter(key => !after.has(key)),
+      changed: [...after.keys()].filter(key => before.has(key) && before.get(key) !== after.get(key))
+    };
+  }
+
   /**
    * Merge multiple collections into one
    * Combines multiple collections into a single collection with merged items and variables
@@ -422,7 +606,8 @@ class CollectionManager {
       collectionNames.forEach(name => {
         const collection = this.collections.get(name);
         if (collection) {
-          const specData = JSON.parse(collection.exportSpec('json'));
+          // The inline specification, so component schemas of different collections cannot collide
+          const specData = JSON.parse(JSON.stringify(collection.spec));
 
           // Merge paths
           if (specData.paths) {
@@ -493,14 +678,43 @@ class CollectionManager {
     });
 
     if (options.saveToFile) {
-      const exportPath = path.join(this.options.baseDir, `all_collections_${moment().format('YYYY-MM-DD_HH-mm-ss')}.json`);
-      fs.writeFileSync(exportPath, JSON.stringify(exports, null, 2));
+      const extension = this.isYamlFormat(format) ? 'yaml' : 'json';
+      const exportPath = path.join(this.options.baseDir, `all_collections_${moment().format('YYYY-MM-DD_HH-mm-ss')}.${extension}`);
+      fs.writeFileSync(exportPath, this.formatExports(exports, format));
       console.log(`All collections exported to: ${exportPath}`);
     }
 
     return exports;
   }
 
+  /**
+   * Serialize the result of exportAllCollections for writing to a file
+   * JSON keeps the export envelope with stats; YAML writes one document per
+   * collection so each specification can be ingested on its own
+   * @param {Object} exports - Result of exportAllCollections
+   * @param {string} [format='json'] - Export format ('json', 'yaml', 'yml')
+   * @returns {string} File content
+   */
+  formatExports(exports, format = 'json') {
+    if (!this.isYamlFormat(format)) {
+      return JSON.stringify(exports, null, 2);
+    }
+
+    return Object.entries(exports)
+      .map(([name, { data }]) => `---\n# ${name.replace(/[\r\n]/g, ' ')}\n${data}`)
+      .join('');
+  }
+
+  /**
+   * Check whether an export format is YAML
+   * @param {string} format - Export format
+   * @returns {boolean} True for 'yaml' and 'yml'
+   * @private
+   */
+  isYamlFormat(format) {
+    return ['yaml', 'yml'].includes(String(format).toLowerCase());
+  }
+
   /**
    * Get statistics for all collections
    * Returns comprehensive statistics for all managed collections
@@ -560,31 +774,44 @@ class CollectionManager {
    * Removes old backup files beyond the maximum backup limit
    * @param {string} collectionName - Name of the collection
    * @private
+   * @async
    */
-  cleanOldBackups(collectionName) {
+  async cleanOldBackups(collectionName) {
     try {
-      const backupFiles = fs.readdirSync(this.backupDir)
-        .filter(file => file.startsWith(`${this.sanitizeName(collectionName)}_backup_`))
-        .map(file => ({
-          name: file,
-          path: path.join(this.backupDir, file),
-          stats: fs.statSync(path.join(this.backupDir, file))
-        }))
-        .sort((a, b) => b.stats.mtime - a.stats.mtime);
+      const backupFiles = await this.listStoredFiles(this.backupDir, `${this.sanitizeName(collectionName)}_backup_`);
 
       // Keep only the most recent backups
-      if (backupFiles.length > this.options.maxBackups) {
-        const filesToDelete = backupFiles.slice(this.options.maxBackups);
-        filesToDelete.forEach(file => {
-          fs.unlinkSync(file.path);
-          console.log(`Deleted old backup: ${file.name}`);
-        });
+      for (const file of backupFiles.slice(this.options.maxBackups)) {
+        await this.storage.deleteFile(file.path);
+        console.log(`Deleted old backup: ${file.name}`);
       }
     } catch (error) {
       console.error('Error cleaning old backups:', error);
     }
   }
 
+  /**
+   * List JSON files of a storage directory, newest first
+   * Ordered by the last-modified time the storage reports (object metadata on S3, GCS and Azure);
+   * cloud stores report whole seconds, so equal times fall back to the timestamp in the file name
+   * @param {string} dirPath - Storage directory
+   * @param {string} prefix - File name prefix to match
+   * @returns {Promise<Array<Object>>} `{ name, path, lastModified }` of each file
+   * @private
+   */
+  async listStoredFiles(dirPath, prefix) {
+    const files = [];
+    for (const filePath of await this.storage.listFiles(dirPath)) {
+      const name = path.basename(filePath);
+      if (name.startsWith(prefix) && name.endsWith('.json')) {
+        const { lastModified } = await this.storage.getFileMetadata(filePath);
+        files.push({ name, path: filePath, lastModified: new Date(lastModified) });
+      }
+    }
+
+    return files.sort((a, b) => b.lastModified - a.lastModified || b.name.localeCompare(a.name));
+  }
+
   /**
    * Update collection metadata
    * Updates the collection's metadata with the latest endpoint information
@@ -622,7 +849,7 @@ class CollectionManager {
           if (file.endsWith('.json') && !file.includes('_backup_') && !file.includes('/')) {
             const collectionName = path.basename(file, '.json').replace(/_/g, ' ');
             console.log(`Loading existing collection: ${collectionName}`);
-            await this.getCollection(collectionName);
+            await this.loadCollection(collectionName).catch(() => {}); // Reported by getCollection, retried on first use
           }
         }
       } else {
@@ -639,7 +866,7 @@ class CollectionManager {
           const latestFile = path.join(dir, `${path.basename(dir)}_latest.json`);
           if (await this.storage.exists(latestFile)) {
             console.log(`Loading existing collection: ${dir}`);
-            await this.getCollection(dir.replace(/_/g, ' '));
+            await this.loadCollection(dir.replace(/_/g, ' ')).catch(() => {}); // Reported by getCollection, retried on first use
           }
         }
       }
@@ -14,6 +14,7 @@ const capture = new EndpointCapture({
   captureCookies: true,
   captureTiming: true,
   maxBodySize: 2 * 1024 * 1024, // 2MB
+  privacyMode: 'permissive', // Keep actual values in memory for this demo (never use when specs are shared)
   
   // User-defined sensitive field detection (no defaults - user has full control)
   sensitiveHeaders: [
@@ -1,6 +1,24 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
 const _ = require('lodash');
 const moment = require('moment');
 const CollectionManager = require('./collection-manager');
+const RedactionEngine = require('./redaction-engine');
+const PrivacyScanner = require('./privacy-scanner');
+const Sampler = require('./sampler');
+const CaptureQueue = require('./capture-queue');
+const SecurityInference = require('./security-inference');
+
+// How long to wait for an unread request stream to end once the response has finished
+const RAW_BODY_WAIT_MS = 5000;
+
+// Content-Encoding values whose bodies are decoded before analysis
+const CONTENT_DECODERS = {
+  gzip: zlib.gunzipSync,
+  'x-gzip': zlib.gunzipSync,
+  deflate: zlib.inflateSync,
+  br: zlib.brotliDecompressSync
+};
 
 /**
  * Endpoint Capture Module
@@ -18,8 +36,28 @@ class EndpointCapture {
    * @param {boolean} [options.captureCookies=true] - Whether to capture cookies
    * @param {boolean} [options.captureTiming=true] - Whether to capture timing information
    * @param {number} [options.maxBodySize=1048576] - Maximum body size to capture (1MB default)
+   * @param {number} [options.maxRequestBodySize=maxBodySize] - Maximum request body size to capture, in bytes
+   * @param {number} [options.maxResponseBodySize=maxBodySize] - Maximum response body size to capture, in bytes
+   * @param {boolean} [options.captureRawBody=false] - Whether the middleware tees the request stream to capture raw and unparsed bodies
    * @param {Array<string>} [options.sensitiveHeaders=['authorization', 'cookie', 'x-api-key']] - Headers to redact
-   * @param {Array<string>} [options.sensitiveFields=['password', 'token', 'secret', 'key']] - Fields to redact
+   * @param {Array<string>} [options.sensitiveFields=['password', 'token', 'secret', 'key']] - Body fields, query parameters, cookies and path parameters to redact
+   * @param {Array<Object>} [options.redactionRules=[]] - Redaction rules applied to headers, query, cookies, params and bodies (see RedactionEngine)
+   * @param {string} [options.redactionHashSalt] - Secret mixed into values redacted with the 'hash' action
+   * @param {Object} [options.redactionDetectors] - Additional named value detectors, `{ pattern, validate }` objects
+   * @param {string} [options.privacyMode='strict'] - 'strict' keeps no actual values of redacted data; 'permissive' also
+   *   captures `bodyActual` and `actualValue` and lets the generator write them into specifications
+   * @param {Object} [options.sampling] - Middleware sampling strategies, every request is captured by default (see Sampler)
+   * @param {number} [options.sampling.rate=1] - Fraction of requests to capture
+   * @param {Object} [options.sampling.reservoir] - `{ size, windowMs }` samples kept per operation per window
+   * @param {boolean} [options.sampling.alwaysCaptureErrors=true] - Capture every 4xx/5xx response
+   * @param {Object} [options.sampling.adaptive] - `{ maxUtilization, minRate, intervalMs }` back-off under event loop pressure
+   * @param {Object} [options.captureQueue] - Queue between the middleware and specification generation (see CaptureQueue)
+   * @param {number} [options.captureQueue.maxSize=1000] - Maximum number of captures waiting to be processed
+   * @param {number} [options.captureQueue.batchSize=50] - Captures processed before yielding to the event loop
+   * @param {string} [options.captureQueue.overflow='drop-oldest'] - 'drop-oldest' or 'drop-newest' when the queue is full
+   * @param {number} [options.captureQueue.flushIntervalMs=0] - Delay before queued captures are processed
+   * @param {Object} [options.securityInference] - Credential names recognized as API keys and session cookies,
+   *   and the OAuth2 flow of JWTs, `{ apiKeyHeaders, apiKeyQueryParams, sessionCookies, oauth2 }` (see SecurityInference)
    * @param {string} [options.timestampFormat='YYYY-MM-DD HH:mm:ss.SSS'] - Timestamp format
    * @param {boolean} [options.generateOpenAPISpec=true] - Whether to generate OpenAPI specifications
    * @param {Object} [options.openAPISpecOptions] - OpenAPI specification configuration
@@ -32,6 +70,7 @@ class EndpointCapture {
    * @param {Object|string} [options.openAPISpecOptions.storage] - Storage configuration
    * @param {Object} [options.openAPISpecOptions.defaultCollectionOptions] - Default specification options
    * @param {Object} [options.openAPISpecOptions.collectionRules] - Collection assignment rules
+   * @param {Object} [options.openAPISpecOptions.writeSchedule] - How auto-saves are batched, `{ intervalMs, maxChanges, flushOnExit, exitTimeoutMs }` (see WriteScheduler)
    */
   constructor(options = {}) {
     // Handle null options
@@ -48,8 +87,13 @@ class EndpointCapture {
       captureCookies: options.captureCookies !== false,
       captureTiming: options.captureTiming !== false,
       maxBodySize: options.maxBodySize || 1024 * 1024, // 1MB default
+      maxRequestBodySize: options.maxRequestBodySize || options.maxBodySize || 1024 * 1024,
+      maxResponseBodySize: options.maxResponseBodySize || options.maxBodySize || 1024 * 1024,
+      captureRawBody: options.captureRawBody === true,
       sensitiveHeaders: options.sensitiveHeaders || [],
       sensitiveFields: options.sensitiveFields || [],
+      redactionRules: options.redactionRules || [],
+      privacyMode: options.privacyMode === 'permissive' ? 'permissive' : 'strict',
       timestampFormat: options.timestampFormat || 'YYYY-MM-DD HH:mm:ss.SSS',
       // OpenAPI specification options
       generateOpenAPISpec: options.generateOpenAPISpec !== false,
@@ -90,9 +134,22 @@ class EndpointCapture {
       ...options
     };
 
+    this.redactionEngine = this._createRedactionEngine();
+    this.privacyScanner = new PrivacyScanner(); // Fingerprints of redacted originals, for verifying specifications
+    this.sampler = new Sampler(this.options.sampling);
+    this.securityInference = new SecurityInference(this.options.securityInference);
+    this.captureQueue = new CaptureQueue(item => this._processCapture(item), this.options.captureQueue);
+
     // Initialize collection manager if enabled
     if (this.options.generateOpenAPISpec) {
-      this.collectionManager = new CollectionManager(this.options.openAPISpecOptions);
+      const { openAPISpecOptions } = this.options;
+      this.collectionManager = new CollectionManager({
+        ...openAPISpecOptions,
+        defaultCollectionOptions: {
+          ...openAPISpecOptions.defaultCollectionOptions,
+          privacyMode: this.options.privacyMode
+        }
+      });
     }
   }
 
@@ -105,6 +162,7 @@ class EndpointCapture {
    * @param {string} req.originalUrl - Original URL
    * @param {string} req.baseUrl - Base URL
    * @param {string} req.path - Request path
+   * @param {Object} [req.route] - Matched Express route, whose path template is recorded
    * @param {string} req.protocol - Protocol (http/https)
    * @param {boolean} req.secure - Whether connection is secure
    * @param {string} req.ip - Client IP address
@@ -116,12 +174,14 @@ class EndpointCapture {
    * @param {Object} req.params - Path parameters
    * @param {Object} req.cookies - Cookies
    * @param {Object} req.body - Request body
+   * @param {Object} [req.endpointCaptureRawBody] - Raw body recorded by the middleware when captureRawBody is enabled
    * @returns {Object} Captured request data with sanitized sensitive information
    * @returns {string} returns.timestamp - Formatted timestamp
    * @returns {string} returns.method - HTTP method
    * @returns {string} returns.url - Request URL
    * @returns {string} returns.originalUrl - Original URL
    * @returns {string} returns.baseUrl - Base URL
+   * @returns {string} [returns.routePath] - Express route template that matched (e.g. '/users/:userId')
    * @returns {string} returns.path - Request path
    * @returns {string} returns.protocol - Protocol
    * @returns {boolean} returns.secure - Whether secure
@@ -134,7 +194,11 @@ class EndpointCapture {
    * @returns {Object} [returns.query] - Query parameters (if enabled)
    * @returns {Object} [returns.params] - Path parameters (if enabled)
    * @returns {Object} [returns.cookies] - Cookies (if enabled)
-   * @returns {Object} [returns.body] - Sanitized request body (if enabled)
+   * @returns {Object} returns.redactedParameters - Names of redacted `query`, `params` and `cookies` entries
+   * @returns {Array<Object>} returns.credentials - Kinds of credentials sent, detected before redaction (see SecurityInference)
+   * @returns {Object} [returns.body] - Sanitized request body (if enabled), or a truncation marker when over maxRequestBodySize
+   * @returns {boolean} [returns.bodyTruncated] - Whether the body exceeded maxRequestBodySize
+   * @returns {Object} [returns.rawBody] - Raw body bytes, encoding, size and truncation flag (if captureRawBody is enabled)
    * @returns {string} returns.userAgent - User agent string
    * @returns {string} returns.contentType - Content type
    * @returns {string} returns.contentLength - Content length
@@ -151,13 +215,15 @@ class EndpointCapture {
       throw new Error('Request object must have method and url properties');
     }
     
-    const startTime = Date.now();
+    // The middleware records when the request arrived, since captures are processed later
+    const startTime = req.endpointCaptureStartedAt || Date.now();
     const requestData = {
       timestamp: moment().format(this.options.timestampFormat),
       method: req.method,
       url: req.url,
       originalUrl: req.originalUrl,
       baseUrl: req.baseUrl,
+      routePath: req.route && typeof req.route.path === 'string' ? req.route.path : undefined,
       path: req.path,
       protocol: req.protocol,
       secure: req.secure,
@@ -171,32 +237,70 @@ class EndpointCapture {
     // Capture headers
     if (this.options.captureHeaders) {
       requestData.headers = this._sanitizeHeaders(req.headers);
+      if (typeof requestData.headers.cookie === 'string') {
+        requestData.headers.cookie = this._redactCookieHeader(requestData.headers.cookie);
+      }
     }
 
+    const query = this._redact(req.query, 'query');
+    const params = this._redact(req.params, 'params');
+    const cookies = this._redact(req.cookies, 'cookies');
+
     // Capture query parameters
     if (this.options.captureQueryParams) {
-      requestData.query = req.query;
+      requestData.query = query.value;
     }
 
     // Capture path parameters
     if (this.options.capturePathParams) {
-      requestData.params = req.params;
+      requestData.params = params.value;
     }
 
     // Capture cookies
     if (this.options.captureCookies) {
-      requestData.cookies = req.cookies;
+      requestData.cookies = cookies.value;
+    }
+
+    // Only the kind of each credential is kept, so the generator can describe authentication after redaction
+    requestData.credentials = this.securityInference.detect({
+      headers: this.options.captureHeaders ? req.headers : undefined,
+      query: this.options.captureQueryParams ? req.query : undefined,
+      cookies: this.options.captureCookies ? req.cookies : undefined
+    });
+
+    // Names of redacted parameters, so the generator never derives examples or enums from them
+    requestData.redactedParameters = {
+      query: this._redactedNames(query.redactions),
+      params: this._redactedNames(params.redactions),
+      cookies: this._redactedNames(cookies.redactions)
+    };
+
+    // Redacted values must not survive in the URLs either
+    const pathReplacements = this._getPathReplacements(req.params, params);
+    requestData.url = this._redactUrl(req.url, pathReplacements);
+    requestData.originalUrl = this._redactUrl(req.originalUrl, pathReplacements);
+    requestData.path = this._redactUrl(req.path, pathReplacements);
+
+    // Capture the raw body teed from the request stream, parsing it when no upstream parser did
+    let { body } = req;
+    let truncatedRawBody = null;
+    if (this.options.captureRequestBody && req.endpointCaptureRawBody) {
+      const { rawBody, body: rawParsedBody } = this._readRawBody(req.endpointCaptureRawBody, req.get('Content-Type'));
+      requestData.rawBody = rawBody;
+      if (!this._hasParsedBody(req)) {
+        body = rawParsedBody;
+        truncatedRawBody = rawBody.truncated ? rawBody : null;
+      }
     }
 
     // Capture request body with enhanced data analysis
-    if (this.options.captureRequestBody && req.body) {
-      const enhancedBody = this._enhanceDataCapture(req.body);
-      requestData.body = enhancedBody.sanitized;
-      requestData.bodyActual = enhancedBody.actual; // Store actual values for reference
-      requestData.bodyTypes = enhancedBody.types;
-      requestData.hasSensitiveData = enhancedBody.hasSensitiveData;
-      requestData.sensitiveFields = enhancedBody.sensitiveFields;
+    if (this.options.captureRequestBody && truncatedRawBody) {
+      requestData.body = this._createTruncationMarker(truncatedRawBody.size, truncatedRawBody.sha256, this.options.maxRequestBodySize);
+      requestData.bodyTruncated = true;
+    } else if (this.options.captureRequestBody && body) {
+      this._captureBody(requestData, body, this.options.maxRequestBodySize);
     }
+    this._dropUnsafeRawData(requestData);
 
     // Capture user agent and other request info
     requestData.userAgent = req.get('User-Agent');
@@ -226,10 +330,13 @@ class EndpointCapture {
    * @returns {number} [returns.duration] - Request duration in milliseconds
    * @returns {string} [returns.durationFormatted] - Human-readable duration
    * @returns {Object} [returns.headers] - Response headers (if enabled)
-   * @returns {Object} [returns.body] - Response body (if available and enabled)
+   * @returns {Object} [returns.body] - Response body (if available and enabled), or a truncation marker when over maxResponseBodySize
+   * @returns {boolean} [returns.bodyTruncated] - Whether the body exceeded maxResponseBodySize
+   * @returns {boolean} [returns.streamed] - Whether the body was written with res.write/res.end rather than res.send (middleware only)
+   * @returns {Object} [returns.rawBody] - Raw bytes, encoding, size, truncation flag and Content-Encoding of a streamed body
    */
   captureResponse(res, originalRequestData = {}) {
-    const endTime = Date.now();
+    const endTime = res.endpointCaptureFinishedAt || Date.now();
     const responseData = {
       timestamp: moment().format(this.options.timestampFormat),
       statusCode: res.statusCode,
@@ -249,13 +356,16 @@ class EndpointCapture {
     }
 
     // Capture response body with enhanced data analysis
-    if (this.options.captureResponseBody && res.locals && res.locals.responseBody) {
-      const enhancedBody = this._enhanceDataCapture(res.locals.responseBody);
-      responseData.body = enhancedBody.sanitized;
-      responseData.bodyActual = enhancedBody.actual; // Store actual values for reference
-      responseData.bodyTypes = enhancedBody.types;
-      responseData.hasSensitiveData = enhancedBody.hasSensitiveData;
-      responseData.sensitiveFields = enhancedBody.sensitiveFields;
+    const responseStream = res.locals && res.locals.responseStream;
+    const streamed = Boolean(responseStream && !responseStream.buffered && responseStream.size > 0);
+    if (this.options.captureResponseBody && responseStream) {
+      responseData.streamed = streamed;
+    }
+
+    if (this.options.captureResponseBody && streamed) {
+      this._captureStreamedBody(responseData, responseStream, res);
+    } else if (this.options.captureResponseBody && res.locals && res.locals.responseBody) {
+      this._captureBody(responseData, res.locals.responseBody, this.options.maxResponseBodySize);
     }
 
     return responseData;
@@ -293,10 +403,14 @@ class EndpointCapture {
   /**
    * Create Express middleware for automatic endpoint capture
    * Creates middleware that automatically captures request/response data and optionally adds to OpenAPI specifications
+   * Requests left out by the sampling strategies are neither recorded nor passed to the callback; the
+   * decision for captured ones is in `endpointData.metadata.sampling`
+   * Finished requests are queued and processed in the background, so neither the callback nor
+   * specification generation delays the response; call flush() to wait for them
    * @param {Function} [callback] - Optional callback to handle captured data
    * @param {Function} callback.endpointData - Captured endpoint data
-   * @param {Object} callback.req - Express request object
-   * @param {Object} callback.res - Express response object
+   * @param {Object} callback.req - Snapshot of the Express request taken when the response finished
+   * @param {Object} callback.res - Snapshot of the Express response taken when it finished
    * @returns {Function} Express middleware function
    * @returns {Function} returns - Express middleware function that captures endpoint data
    * @example
@@ -307,8 +421,25 @@ class EndpointCapture {
    */
   createMiddleware(callback) {
     return (req, res, next) => {
-      // Store original request data
-      req.endpointCapture = this.captureRequest(req);
+      // Only sampled requests are recorded in full; the rest can still be captured as errors
+      const sampling = this.sampler.begin();
+      req.endpointCaptureStartedAt = Date.now();
+
+      if (sampling.sampled) {
+        // Store original request data
+        req.endpointCapture = this.captureRequest(req);
+      }
+
+      // Record the request stream as downstream handlers read it
+      if (sampling.sampled && this.options.captureRawBody && this.options.captureRequestBody) {
+        req.endpointCaptureRawBody = this._teeRequestStream(req);
+      }
+
+      // Record bytes written with res.write/res.end, which also covers pipe(), sendFile and streams
+      const responseStream = sampling.sampled && this.options.captureResponseBody ? this._teeResponseStream(res) : null;
+      if (responseStream) {
+        res.locals.responseStream = responseStream;
+      }
 
       // Override res.json to capture response body
       const originalJson = res.json;
@@ -321,31 +452,34 @@ class EndpointCapture {
       const originalSend = res.send;
       res.send = function(body) {
         res.locals.responseBody = body;
+        if (responseStream) {
+          // The body is already known, so the written bytes are not needed
+          responseStream.buffered = true;
+        }
         return originalSend.call(this, body);
       };
 
-      // Capture response data on finish
-      res.on('finish', () => {
-        const endpointData = this.captureEndpointData(req, res);
-
-        // Add to request object for access in routes
-        req.capturedEndpointData = endpointData;
-
-        // Generate OpenAPI specification if enabled
-        if (this.options.generateOpenAPISpec && this.collectionManager) {
-          try {
-            this.collectionManager.addEndpointWithRules(
-              endpointData,
-              this.options.openAPISpecOptions.collectionRules
-            );
-          } catch (error) {
-            console.error('Error adding endpoint to OpenAPI specification:', error);
-          }
+      // Queue the capture once the response has finished; snapshots are queued, so requests and
+      // responses are not kept alive while they wait
+      const onFinish = () => {
+        const samplingResult = this.sampler.finish(req, res, sampling);
+        if (samplingResult) {
+          this.captureQueue.push({
+            req: this._snapshotRequest(req),
+            res: this._snapshotResponse(res),
+            sampling: samplingResult,
+            callback
+          });
         }
+      };
 
-        // Call callback if provided
-        if (callback && typeof callback === 'function') {
-          callback(endpointData, req, res);
+      res.on('finish', () => {
+        res.endpointCaptureFinishedAt = Date.now();
+        if (req.endpointCaptureRawBody) {
+          // Bodies nobody read are drained by Node once the response finishes
+          this._waitForRequestEnd(req).then(onFinish);
+        } else {
+          onFinish();
         }
       });
 
@@ -353,6 +487,577 @@ class EndpointCapture {
     };
   }
 
+  /**
+   * Get sampling counters of the middleware
+   * @returns {Object} `{ seen, captured, dropped: { rate, reservoir }, rate }` where rate is the current effective rate
+   */
+  getSamplingStats() {
+    return this.sampler.getStats();
+  }
+
+  /**
+   * Wait until every capture queued so far has been processed and saved
+   * @returns {Promise<void>} Resolves once the capture queue is empty and specifications are saved
+   * @throws {Error} When saving a specification fails
+   * @async
+   */
+  async flush() {
+    await this.captureQueue.flush();
+    if (this.collectionManager) {
+      await this.collectionManager.flush();
+    }
+  }
+
+  /**
+   * Stop queueing captures, then process and save the ones already queued
+   * Call on shutdown; requests finishing afterwards are counted as dropped
+   * @returns {Promise<void>} Resolves once the capture queue has drained and specifications are saved
+   * @throws {Error} When saving a specification fails
+   * @async
+   */
+  async close() {
+    await this.captureQueue.close();
+    if (this.collectionManager) {
+      await this.collectionManager.flush();
+    }
+  }
+
+  /**
+   * Get capture queue metrics
+   * @returns {Object} `{ size, accepted, processed, failed, batches, highWaterMark, dropped: { oldest, newest, closed } }`
+   */
+  getQueueMetrics() {
+    return this.captureQueue.getMetrics();
+  }
+
+  /**
+   * Process a queued capture: record the endpoint, call the middleware callback and add it to specifications
+   * @param {Object} item - Queued capture
+   * @param {Object} item.req - Request snapshot, see _snapshotRequest
+   * @param {Object} item.res - Response snapshot, see _snapshotResponse
+   * @param {Object} item.sampling - Final sampling decision
+   * @param {Function} [item.callback] - Middleware callback
+   * @private
+   * @async
+   */
+  async _processCapture({ req, res, sampling, callback }) {
+    const endpointData = this.captureEndpointData(req, res, { sampling });
+
+    // Add to the request snapshot for access in the callback
+    req.capturedEndpointData = endpointData;
+
+    // Call callback if provided
+    if (callback && typeof callback === 'function') {
+      callback(endpointData, req, res);
+    }
+
+    // Generate OpenAPI specification if enabled
+    if (this.options.generateOpenAPISpec && this.collectionManager) {
+      const results = await this.collectionManager.addEndpointWithRules(
+        endpointData,
+        this.options.openAPISpecOptions.collectionRules
+      );
+      results.filter(result => !result.success).forEach(result => {
+        console.error(`Error adding endpoint to OpenAPI specification ${result.collectionName}:`, result.error);
+      });
+    }
+  }
+
+  /**
+   * Copy the request fields captureRequest reads, so a queued capture does not keep the request alive
+   * @param {Object} req - Express request object
+   * @returns {Object} Snapshot accepted by captureRequest in place of the request
+   * @private
+   */
+  _snapshotRequest(req) {
+    const headers = { ...req.headers };
+
+    return {
+      method: req.method,
+      url: req.url,
+      originalUrl: req.originalUrl,
+      baseUrl: req.baseUrl,
+      route: req.route && typeof req.route.path === 'string' ? { path: req.route.path } : undefined,
+      path: req.path,
+      protocol: req.protocol,
+      secure: req.secure,
+      ip: req.ip || (req.connection && req.connection.remoteAddress),
+      ips: req.ips,
+      hostname: req.hostname,
+      subdomains: req.subdomains,
+      headers,
+      query: req.query,
+      params: req.params,
+      cookies: req.cookies,
+      body: req.body,
+      _body: req._body,
+      endpointCaptureStartedAt: req.endpointCaptureStartedAt,
+      endpointCaptureRawBody: req.endpointCaptureRawBody,
+      get: name => headers[name.toLowerCase()]
+    };
+  }
+
+  /**
+   * Copy the response fields captureResponse reads, so a queued capture does not keep the response alive
+   * @param {Object} res - Express response object
+   * @returns {Object} Snapshot accepted by captureResponse in place of the response
+   * @private
+   */
+  _snapshotResponse(res) {
+    const headers = { ...res.getHeaders() };
+    const locals = res.locals || {};
+
+    return {
+      statusCode: res.statusCode,
+      statusMessage: res.statusMessage,
+      endpointCaptureFinishedAt: res.endpointCaptureFinishedAt,
+      locals: { responseStream: locals.responseStream, responseBody: locals.responseBody },
+      getHeaders: () => headers,
+      getHeader: name => headers[name.toLowerCase()]
+    };
+  }
+
+  /**
+   * Record request stream chunks without consuming the stream
+   * Wraps req.emit so every 'data' event seen by downstream readers is copied, up to maxRequestBodySize,
+   * while the size and hash cover the whole stream
+   * @param {Object} req - Express request object
+   * @returns {Object|null} Recorder with captured chunks and byte counts, or null for non-stream requests
+   * @private
+   */
+  _teeRequestStream(req) {
+    if (typeof req.emit !== 'function' || typeof req.on !== 'function') {
+      return null;
+    }
+
+    const recorder = this._createRecorder(this.options.maxRequestBodySize);
+    const originalEmit = req.emit;
+    const self = this;
+
+    req.emit = function(event, chunk, ...args) {
+      if (event === 'data') {
+        self._recordChunk(recorder, chunk);
+      }
+      return originalEmit.call(this, event, chunk, ...args);
+    };
+
+    return recorder;
+  }
+
+  /**
+   * Record response chunks passed to res.write and res.end
+   * @param {Object} res - Express response object
+   * @returns {Object|null} Recorder with captured chunks and byte counts, or null for non-stream responses
+   * @private
+   */
+  _teeResponseStream(res) {
+    if (typeof res.write !== 'function' || typeof res.end !== 'function') {
+      return null;
+    }
+
+    const recorder = this._createRecorder(this.options.maxResponseBodySize);
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    const self = this;
+
+    res.write = function(chunk, encoding, ...args) {
+      self._recordChunk(recorder, chunk, encoding);
+      return originalWrite.call(this, chunk, encoding, ...args);
+    };
+
+    res.end = function(chunk, encoding, ...args) {
+      if (typeof chunk !== 'function') {
+        self._recordChunk(recorder, chunk, encoding);
+      }
+      return originalEnd.call(this, chunk, encoding, ...args);
+    };
+
+    return recorder;
+  }
+
+  /**
+   * Create an empty chunk recorder
+   * @param {number} limit - Maximum number of bytes to keep
+   * @returns {Object} Recorder
+   * @private
+   */
+  _createRecorder(limit) {
+    return { chunks: [], size: 0, capturedSize: 0, limit, hash: crypto.createHash('sha256') };
+  }
+
+  /**
+   * Copy a stream chunk into a recorder
+   * Bytes beyond the recorder limit are only counted and hashed
+   * @param {Object} recorder - Recorder created by _createRecorder
+   * @param {Buffer|string} chunk - Chunk being written or read
+   * @param {string} [encoding] - Encoding of a string chunk
+   * @private
+   */
+  _recordChunk(recorder, chunk, encoding) {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') {
+      return;
+    }
+
+    const stringEncoding = typeof encoding === 'string' && Buffer.isEncoding(encoding) ? encoding : 'utf8';
+    const buffer = Buffer.isBuffer(chunk) || chunk instanceof Uint8Array
+      ? Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+      : Buffer.from(String(chunk), stringEncoding);
+
+    const remaining = recorder.limit - recorder.capturedSize;
+    if (remaining > 0) {
+      const slice = buffer.length > remaining ? buffer.subarray(0, remaining) : buffer;
+      recorder.chunks.push(Buffer.from(slice));
+      recorder.capturedSize += slice.length;
+    }
+    recorder.size += buffer.length;
+    recorder.hash.update(buffer);
+  }
+
+  /**
+   * Capture a body recorded from res.write/res.end
+   * Compressed bodies are decoded for analysis; oversized bodies become a truncation marker
+   * @param {Object} responseData - Response data to populate
+   * @param {Object} recorder - Recorder returned by _teeResponseStream
+   * @param {Object} res - Express response object
+   * @private
+   */
+  _captureStreamedBody(responseData, recorder, res) {
+    const limit = this.options.maxResponseBodySize;
+    const contentType = res.getHeader ? res.getHeader('content-type') : undefined;
+    const contentEncoding = String((res.getHeader && res.getHeader('content-encoding')) || '').trim().toLowerCase();
+    let overLimit = recorder.size > recorder.capturedSize;
+
+    let source = recorder;
+    let bodyType = contentType;
+    if (contentEncoding && contentEncoding !== 'identity') {
+      const decode = CONTENT_DECODERS[contentEncoding];
+      // Bytes that cannot be decoded are kept as opaque base64
+      bodyType = undefined;
+      if (decode && !overLimit) {
+        try {
+          const decoded = decode(Buffer.concat(recorder.chunks), { maxOutputLength: limit });
+          source = {
+            chunks: [decoded],
+            size: decoded.length,
+            capturedSize: decoded.length,
+            hash: crypto.createHash('sha256').update(decoded)
+          };
+          bodyType = contentType;
+        } catch (error) {
+          overLimit = error.code === 'ERR_BUFFER_TOO_LARGE';
+        }
+      }
+    }
+
+    const { rawBody, body } = this._readRawBody(source, bodyType);
+    if (contentEncoding) {
+      rawBody.contentEncoding = contentEncoding;
+    }
+    responseData.rawBody = rawBody;
+
+    if (overLimit) {
+      responseData.body = this._createTruncationMarker(recorder.size, recorder.hash.copy().digest('hex'), limit);
+      responseData.bodyTruncated = true;
+    } else if (body !== undefined) {
+      this._captureBody(responseData, body, limit);
+    }
+    this._dropUnsafeRawData(responseData);
+  }
+
+  /**
+   * Wait until the request stream has ended, been destroyed or the wait timed out
+   * @param {Object} req - Express request object
+   * @returns {Promise<void>} Resolves once the body has been read as far as it will be
+   * @private
+   */
+  _waitForRequestEnd(req) {
+    if (req.readableEnded || req.destroyed || req.complete) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(done, RAW_BODY_WAIT_MS);
+      function done() {
+        clearTimeout(timer);
+        req.removeListener('end', done);
+        req.removeListener('close', done);
+        req.removeListener('error', done);
+        resolve();
+      }
+      req.on('end', done);
+      req.on('close', done);
+      req.on('error', done);
+      if (req.readableFlowing !== true) {
+        // The response is complete, so reading the rest of the body cannot starve a handler
+        req.resume();
+      }
+    });
+  }
+
+  /**
+   * Build raw body metadata and parse the body for known content types
+   * JSON, urlencoded, text and XML bodies are decoded; anything else is kept only as base64
+   * @param {Object} recorder - Recorder returned by _teeRequestStream or _teeResponseStream
+   * @param {string} [contentType] - Body content type
+   * @returns {Object} `{ rawBody, body }` where body is undefined when it could not be parsed
+   * @private
+   */
+  _readRawBody(recorder, contentType) {
+    const buffer = Buffer.concat(recorder.chunks);
+    const truncated = recorder.size > recorder.capturedSize;
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const isText = /^text\/|[/+](json|xml)$|^application\/x-www-form-urlencoded$/.test(mimeType);
+    const [, charset] = /charset=["']?([\w-]+)/i.exec(contentType || '') || [];
+    const encoding = isText ? (charset && Buffer.isEncoding(charset) ? charset.toLowerCase() : 'utf8') : 'base64';
+
+    const rawBody = {
+      encoding,
+      data: buffer.toString(encoding),
+      size: recorder.size,
+      capturedSize: recorder.capturedSize,
+      truncated,
+      sha256: recorder.hash.copy().digest('hex')
+    };
+
+    if (buffer.length === 0 || !isText) {
+      return { rawBody, body: undefined };
+    }
+
+    const text = rawBody.data;
+    if (/[/+]json$/.test(mimeType)) {
+      try {
+        return { rawBody, body: JSON.parse(text) };
+      } catch (error) {
+        // Truncated or malformed JSON is only usable as text
+        return { rawBody, body: truncated ? undefined : text };
+      }
+    }
+
+    if (mimeType === 'application/x-www-form-urlencoded') {
+      if (truncated) {
+        return { rawBody, body: undefined };
+      }
+      const body = {};
+      new URLSearchParams(text).forEach((value, key) => {
+        if (body[key] === undefined) {
+          body[key] = value;
+        } else {
+          body[key] = [].concat(body[key], value);
+        }
+      });
+      return { rawBody, body };
+    }
+
+    // Plain text and XML are kept as strings
+    return { rawBody, body: text };
+  }
+
+  /**
+   * Check whether an upstream body parser populated req.body
+   * body-parser sets `req._body` and leaves an empty object when it skipped the request
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if req.body holds a parsed body
+   * @private
+   */
+  _hasParsedBody(req) {
+    if (req._body === true) return true;
+    if (req.body === undefined || req.body === null) return false;
+    if (typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+      return Object.keys(req.body).length > 0;
+    }
+    return true;
+  }
+
+  /**
+   * Capture a body with enhanced data analysis, or a truncation marker when it is too large
+   * Oversized bodies are never cloned or analysed
+   * @param {Object} target - Request or response data to populate
+   * @param {*} body - Request or response body
+   * @param {number} limit - Maximum body size in bytes
+   * @private
+   */
+  _captureBody(target, body, limit) {
+    const serialized = this._serializeBody(body);
+    const size = serialized === null ? 0 : Buffer.byteLength(serialized);
+
+    if (size > limit) {
+      const hash = crypto.createHash('sha256').update(serialized).digest('hex');
+      target.body = this._createTruncationMarker(size, hash, limit);
+      target.bodyTruncated = true;
+      return;
+    }
+
+    const enhancedBody = this._enhanceDataCapture(body);
+    target.body = enhancedBody.sanitized;
+    if (this.options.privacyMode === 'permissive') {
+      target.bodyActual = enhancedBody.actual; // Store actual values for reference
+    }
+    target.bodyTypes = enhancedBody.types;
+    target.hasSensitiveData = enhancedBody.hasSensitiveData;
+    target.sensitiveFields = enhancedBody.sensitiveFields;
+  }
+
+  /**
+   * Drop raw body bytes that may hold values the parsed body had redacted
+   * In strict privacy mode text is kept only when it was analysed in full and needed no
+   * redaction; binary bodies are never analysed and are kept as they are
+   * @param {Object} target - Request or response data
+   * @private
+   */
+  _dropUnsafeRawData(target) {
+    const { rawBody } = target;
+    if (this.options.privacyMode !== 'strict' || !rawBody || rawBody.data === undefined) {
+      return;
+    }
+    const unanalysedText = rawBody.encoding !== 'base64' && (target.bodyTruncated || rawBody.truncated);
+    if (target.hasSensitiveData || unanalysedText) {
+      delete rawBody.data;
+      rawBody.redacted = true;
+    }
+  }
+
+  /**
+   * Serialize a body the way it is sent over the wire, for measuring and hashing
+   * @param {*} body - Request or response body
+   * @returns {string|Buffer|null} Serialized body, or null when it cannot be serialized
+   * @private
+   */
+  _serializeBody(body) {
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      return body;
+    }
+    try {
+      const serialized = JSON.stringify(body);
+      return serialized === undefined ? null : serialized;
+    } catch (error) {
+      // Circular structures are left to the regular capture path
+      return null;
+    }
+  }
+
+  /**
+   * Create the marker that replaces a body larger than the configured limit
+   * @param {number} originalSize - Size of the complete body in bytes
+   * @param {string} sha256 - SHA-256 hex digest of the complete body
+   * @param {number} maxSize - Limit the body exceeded
+   * @returns {Object} Truncation marker
+   * @private
+   */
+  _createTruncationMarker(originalSize, sha256, maxSize) {
+    return {
+      truncated: true,
+      originalSize,
+      maxSize,
+      sha256
+    };
+  }
+
+  /**
+   * Replace the redaction policy
+   * sensitiveHeaders and sensitiveFields stay in effect alongside the new rules
+   * @param {Object} [policy={}] - Redaction policy
+   * @param {Array<Object>} [policy.rules=[]] - Redaction rules (see RedactionEngine)
+   * @param {string} [policy.hashSalt] - Secret mixed into values redacted with the 'hash' action
+   * @param {Object} [policy.detectors] - Additional named value detectors
+   * @returns {EndpointCapture} This instance, for chaining
+   * @throws {Error} When a rule is invalid
+   * @example
+   * capture.setRedactionPolicy({
+   *   rules: [
+   *     { selector: '$.payment.card', action: 'mask-last-4' },
+   *     { selector: 'keyboard', match: 'exact', action: 'replace' },
+   *     { detector: 'creditCard' },
+   *     { detector: 'email', action: 'hash', scopes: ['body'] }
+   *   ]
+   * });
+   */
+  setRedactionPolicy(policy = {}) {
+    this.options.redactionRules = policy.rules || [];
+    if (policy.hashSalt !== undefined) {
+      this.options.redactionHashSalt = policy.hashSalt;
+    }
+    if (policy.detectors !== undefined) {
+      this.options.redactionDetectors = policy.detectors;
+    }
+    this.redactionEngine = this._createRedactionEngine();
+    return this;
+  }
+
+  /**
+   * Scan a specification for values redacted during capture
+   * Reports `x-actual-data`, actual examples and any value this instance redacted, so a
+   * specification can be checked before it is published
+   * @param {Object} spec - OpenAPI specification object
+   * @param {Object} [options={}] - Scan options
+   * @param {boolean} [options.reportDetected=false] - Also report unredacted cards, tokens, emails, phones and IBANs
+   * @returns {Array<Object>} Findings as `{ pointer, reason }`, without the offending values
+   */
+  scanSpec(spec, options = {}) {
+    return this.privacyScanner.scan(spec, {
+      ...options,
+      patterns: this.redactionEngine.getPatterns()
+    });
+  }
+
+  /**
+   * Verify that saved OpenAPI specifications hold no redacted values
+   * @param {string} [collectionName] - Specification to verify, all of them by default
+   * @param {Object} [options={}] - Scan options (see scanSpec)
+   * @returns {Object} `{ clean, findings }` for each specification
+   * @throws {Error} When OpenAPI specification generation is not enabled
+   */
+  verifySpecPrivacy(collectionName, options = {}) {
+    if (!this.collectionManager) {
+      throw new Error('OpenAPI specification generation is not enabled');
+    }
+
+    const names = collectionName ? [collectionName] : [...this.collectionManager.collections.keys()];
+    const results = {};
+    names.forEach(name => {
+      // Scan the serialized form, which is exactly what saveSpec writes
+      const spec = JSON.parse(this.collectionManager.getCollection(name).exportSpec('json'));
+      const findings = this.scanSpec(spec, options);
+      results[name] = { clean: findings.length === 0, findings };
+    });
+    return results;
+  }
+
+  /**
+   * Add a rule to the redaction policy
+   * @param {Object} rule - Redaction rule (see RedactionEngine)
+   * @returns {EndpointCapture} This instance, for chaining
+   * @throws {Error} When the rule is invalid
+   */
+  addRedactionRule(rule) {
+    this.redactionEngine.addRule(rule);
+    this.options.redactionRules = [...this.options.redactionRules, rule];
+    return this;
+  }
+
+  /**
+   * Build the redaction engine from the configured options
+   * sensitiveHeaders match header names exactly; sensitiveFields match body keys, query parameters,
+   * cookies and path parameters containing the name
+   * @returns {RedactionEngine} Redaction engine
+   * @private
+   */
+  _createRedactionEngine() {
+    return new RedactionEngine({
+      hashSalt: this.options.redactionHashSalt,
+      detectors: this.options.redactionDetectors,
+      rules: [
+        ...this.options.sensitiveHeaders.map(header => ({ name: header, selector: header, scopes: ['headers'] })),
+        ...this.options.sensitiveFields.map(field => ({
+          name: field,
+          selector: field,
+          match: 'contains',
+          scopes: ['body', 'query', 'cookies', 'params']
+        })),
+        ...this.options.redactionRules
+      ]
+    });
+  }
+
   /**
    * Sanitize headers by removing sensitive information
    * Redacts sensitive headers based on configuration
@@ -363,17 +1068,7 @@ class EndpointCapture {
   _sanitizeHeaders(headers) {
     if (!headers) return {};
 
-    const sanitized = { ...headers };
-    this.options.sensitiveHeaders.forEach(header => {
-      const lowerHeader = header.toLowerCase();
-      Object.keys(sanitized).forEach(key => {
-        if (key.toLowerCase() === lowerHeader) {
-          sanitized[key] = '[REDACTED]';
-        }
-      });
-    });
-
-    return sanitized;
+    return this._redact({ ...headers }, 'headers').value;
   }
 
   /**
@@ -384,91 +1079,256 @@ class EndpointCapture {
    * @private
    */
   _sanitizeBody(body) {
-    if (!body || typeof body !== 'object') return body;
+    return this._redactBody(body).value;
+  }
 
-    const sanitized = _.cloneDeep(body);
-    this._recursiveSanitize(sanitized);
+  /**
+   * Redact a value and remember the originals for scanSpec
+   * @param {*} value - Headers, query, params, cookies or body
+   * @param {string} scope - Redaction scope
+   * @returns {Object} `{ value, redactions }` from the redaction engine
+   * @private
+   */
+  _redact(value, scope) {
+    const result = this.redactionEngine.redact(value, scope);
+    result.redactions.forEach(redaction => {
+      if (redaction.matches) {
+        redaction.matches.forEach(match => this.privacyScanner.remember(match));
+      } else {
+        this.privacyScanner.remember(redaction.path.length > 0 ? _.get(value, redaction.path) : value);
+      }
+    });
+    return result;
+  }
 
-    return sanitized;
+  /**
+   * Top-level names touched by a list of redactions
+   * @param {Array<Object>} redactions - Redactions returned by the engine
+   * @returns {Array<string>} Unique names
+   * @private
+   */
+  _redactedNames(redactions) {
+    return [...new Set(redactions
+      .filter(redaction => redaction.path.length > 0)
+      .map(redaction => String(redaction.path[0])))];
+  }
+
+  /**
+   * Map original path parameter values to their redacted form
+   * Removed parameters are shown as '[REDACTED]'
+   * @param {Object} [params] - Path parameters as received
+   * @param {Object} redacted - `{ value, redactions }` for the path parameters
+   * @returns {Map<string, string>} Original value to replacement
+   * @private
+   */
+  _getPathReplacements(params, redacted) {
+    const replacements = new Map();
+    this._redactedNames(redacted.redactions).forEach(name => {
+      const original = params[name];
+      if (original === undefined || original === null || String(original) === '') {
+        return;
+      }
+      const replacement = redacted.value[name];
+      replacements.set(String(original), replacement === undefined ? '[REDACTED]' : String(replacement));
+    });
+    return replacements;
+  }
+
+  /**
+   * Substitute redacted path parameters and query values inside a URL
+   * Query values are redacted one pair at a time with the 'query' rules, so URLs are
+   * covered even when query capture is disabled; removed pairs are dropped
+   * @param {string} [url] - URL or path, with an optional query string
+   * @param {Map<string, string>} pathReplacements - Path parameter replacements
+   * @returns {string} Redacted URL
+   * @private
+   */
+  _redactUrl(url, pathReplacements) {
+    if (typeof url !== 'string') {
+      return url;
+    }
+
+    const queryIndex = url.indexOf('?');
+    const pathname = queryIndex === -1 ? url : url.slice(0, queryIndex);
+    const redactedPath = pathReplacements.size === 0 ? pathname : pathname.split('/').map(segment => {
+      const decoded = this._decodeComponent(segment);
+      return pathReplacements.has(decoded) ? encodeURIComponent(pathReplacements.get(decoded)) : segment;
+    }).join('/');
+
+    if (queryIndex === -1) {
+      return redactedPath;
+    }
+
+    const pairs = url.slice(queryIndex + 1).split('&')
+      .map(pair => this._redactQueryPair(pair))
+      .filter(pair => pair !== null);
+    return pairs.length > 0 ? `${redactedPath}?${pairs.join('&')}` : redactedPath;
+  }
+
+  /**
+   * Redact a single `key=value` pair of a query string
+   * Bracketed keys such as `filter[token]` are matched as nested paths
+   * @param {string} pair - Raw query string pair
+   * @returns {string|null} Pair with its value redacted, or null when the value is removed
+   * @private
+   */
+  _redactQueryPair(pair) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      return pair;
+    }
+
+    const rawKey = pair.slice(0, separator);
+    const keyPath = this._decodeComponent(rawKey.replace(/\+/g, ' ')).split(/[[\]]+/).filter(Boolean);
+    if (keyPath.length === 0) {
+      return pair;
+    }
+
+    const value = this._decodeComponent(pair.slice(separator + 1).replace(/\+/g, ' '));
+    const { value: redacted } = this._redact(_.setWith({}, keyPath, value, Object), 'query');
+    const redactedValue = _.get(redacted, keyPath);
+
+    if (redactedValue === value) {
+      return pair;
+    }
+    return redactedValue === undefined ? null : `${rawKey}=${encodeURIComponent(redactedValue)}`;
+  }
+
+  /**
+   * Redact cookie values inside a Cookie header with the 'cookies' rules
+   * The header is parsed directly, so it is covered without a cookie parser
+   * @param {string} header - Cookie header
+   * @returns {string} Cookie header with redacted values
+   * @private
+   */
+  _redactCookieHeader(header) {
+    return header.split(';')
+      .map(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+          return pair;
+        }
+        const name = pair.slice(0, separator).trim();
+        const value = this._decodeComponent(pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1'));
+        const { value: redacted } = this._redact({ [name]: value }, 'cookies');
+
+        if (redacted[name] === value) {
+          return pair;
+        }
+        return redacted[name] === undefined ? null : `${pair.slice(0, separator)}=${encodeURIComponent(redacted[name])}`;
+      })
+      .filter(pair => pair !== null)
+      .join(';');
+  }
+
+  /**
+   * Decode a URI component, keeping malformed input as it is
+   * @param {string} value - Encoded value
+   * @returns {string} Decoded value
+   * @private
+   */
+  _decodeComponent(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Redact a body
+   * JSON sent with res.json reaches res.send as a string, so JSON strings are parsed,
+   * redacted key by key and serialized again
+   * @param {*} body - Request/response body
+   * @returns {Object} `{ original, value, redactions }` where paths in redactions refer to original
+   * @private
+   */
+  _redactBody(body) {
+    if (typeof body === 'string' && /^\s*[[{]/.test(body)) {
+      try {
+        const original = JSON.parse(body);
+        const { value, redactions } = this._redact(original, 'body');
+        return { original, value: redactions.length > 0 ? JSON.stringify(value) : body, redactions };
+      } catch (error) {
+        // Not JSON after all, only detectors apply
+      }
+    }
+
+    const { value, redactions } = this._redact(body, 'body');
+    return { original: body, value, redactions };
   }
 
   /**
    * Enhanced data capture with types and values
-   * Captures both sanitized data and data types with actual values
+   * Captures both sanitized data and data types, plus actual values in permissive privacy mode
    * @param {Object} body - Request/response body to analyze
    * @returns {Object} Enhanced data with types, sanitized values, and actual values
    * @private
    */
   _enhanceDataCapture(body) {
+    const permissive = this.options.privacyMode === 'permissive';
+    const { original, value: sanitized, redactions } = this._redactBody(body);
+    const sensitiveFields = redactions.map(redaction => {
+      const actualValue = redaction.path.length > 0 ? _.get(original, redaction.path) : original;
+      const field = {
+        path: redaction.path.join('.'),
+        field: redaction.path.length > 0 ? String(redaction.path[redaction.path.length - 1]) : '',
+        type: this._getDataType(actualValue),
+        rule: redaction.rule,
+        action: redaction.action
+      };
+      if (permissive) {
+        field.actualValue = actualValue; // Store actual value for reference
+      }
+      return field;
+    });
+
+    if (!permissive) {
+      return {
+        sanitized,
+        types: !body || typeof body !== 'object' ? this._getDataType(sanitized) : this._collectTypes(sanitized),
+        hasSensitiveData: sensitiveFields.length > 0,
+        sensitiveFields
+      };
+    }
+
     if (!body || typeof body !== 'object') {
       return {
-        sanitized: body,
+        sanitized,
         actual: body,
-        types: this._getDataType(body),
-        hasSensitiveData: false
+        types: this._getDataType(sanitized),
+        hasSensitiveData: sensitiveFields.length > 0,
+        sensitiveFields
       };
     }
 
-    const result = {
-      sanitized: _.cloneDeep(body),
+    return {
+      sanitized,
       actual: _.cloneDeep(body), // Store actual values for reference
-      types: _.cloneDeep(body),
-      hasSensitiveData: false,
-      sensitiveFields: []
+      types: this._collectTypes(sanitized),
+      hasSensitiveData: sensitiveFields.length > 0,
+      sensitiveFields
     };
-
-    this._recursiveEnhance(result.sanitized, result.actual, result.types, result, []);
-
-    return result;
   }
 
   /**
-   * Recursively enhance data capture with types and sensitive field detection
-   * @param {Object|Array} sanitized - Sanitized data object
-   * @param {Object|Array} actual - Actual data object (unchanged)
-   * @param {Object|Array} types - Types data object
-   * @param {Object} result - Result object to update
-   * @param {Array} path - Current path in object
+   * Build a tree mirroring a sanitized value with the data type of every leaf
+   * @param {*} value - Sanitized value, free of circular references
+   * @returns {*} Types tree, or the data type of a scalar
    * @private
    */
-  _recursiveEnhance(sanitized, actual, types, result, path) {
-    if (Array.isArray(sanitized)) {
-      sanitized.forEach((item, index) => {
-        if (item && typeof item === 'object') {
-          this._recursiveEnhance(item, actual[index], types[index], result, [...path, index]);
-        } else {
-          types[index] = this._getDataType(item);
-        }
-      });
-    } else if (sanitized && typeof sanitized === 'object') {
-      Object.keys(sanitized).forEach(key => {
-        const currentPath = [...path, key];
-        const lowerKey = key.toLowerCase();
-        
-        // Check if field is sensitive
-        const isSensitive = this.options.sensitiveFields.some(field => 
-          lowerKey.includes(field.toLowerCase())
-        );
-        
-        if (isSensitive) {
-          result.hasSensitiveData = true;
-          result.sensitiveFields.push({
-            path: currentPath.join('.'),
-            field: key,
-            type: this._getDataType(sanitized[key]),
-            actualValue: actual[key] // Store actual value for reference
-          });
-          sanitized[key] = '[REDACTED]';
-          types[key] = this._getDataType(sanitized[key]);
-        } else {
-          if (sanitized[key] && typeof sanitized[key] === 'object') {
-            this._recursiveEnhance(sanitized[key], actual[key], types[key], result, currentPath);
-          } else {
-            types[key] = this._getDataType(sanitized[key]);
-          }
-        }
+  _collectTypes(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._collectTypes(item));
+    }
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+      const types = {};
+      Object.keys(value).forEach(key => {
+        types[key] = this._collectTypes(value[key]);
       });
+      return types;
     }
+    return this._getDataType(value);
   }
 
   /**
@@ -559,34 +1419,6 @@ class EndpointCapture {
     }
   }
 
-  /**
-   * Recursively sanitize object properties
-   * Traverses object/array structures to find and redact sensitive fields
-   * @param {Object|Array} obj - Object or array to sanitize
-   * @param {Set} [visited] - Set of visited objects to prevent circular references
-   * @private
-   */
-  _recursiveSanitize(obj, visited = new Set()) {
-    if (Array.isArray(obj)) {
-      obj.forEach(item => this._recursiveSanitize(item, visited));
-    } else if (obj && typeof obj === 'object') {
-      // Check for circular reference
-      if (visited.has(obj)) {
-        return;
-      }
-      visited.add(obj);
-      
-      Object.keys(obj).forEach(key => {
-        const lowerKey = key.toLowerCase();
-        if (this.options.sensitiveFields.some(field => lowerKey.includes(field.toLowerCase()))) {
-          obj[key] = '[REDACTED]';
-        } else {
-          this._recursiveSanitize(obj[key], visited);
-        }
-      });
-    }
-  }
-
   /**
    * Format duration in human-readable format
    * Converts milliseconds to human-readable time format
@@ -762,8 +1594,8 @@ class EndpointCapture {
    * Create version snapshot of specifications
    * Creates versioned snapshots of all managed OpenAPI specifications
    * @param {string} version - Version identifier (e.g., '1.0.0', 'v2.1')
-   * @returns {Object} Results object with version creation status for each specification
-   * @returns {string} returns[collectionName] - Path to created version file or error message
+   * @returns {Promise<Object>} Results object with version creation status for each specification
+   * @returns {string} returns[collectionName] - Storage path of the created version file or error message
    * @throws {Error} When OpenAPI specification generation is not enabled
    */
   createOpenAPISpecVersion(version) {
@@ -772,15 +1604,15 @@ class EndpointCapture {
     }
 
     const results = {};
-    this.collectionManager.collections.forEach((generator, name) => {
+    const versions = [...this.collectionManager.collections.keys()].map(async name => {
       try {
-        results[name] = this.collectionManager.createVersion(name, version);
+        results[name] = await this.collectionManager.createVersion(name, version);
       } catch (error) {
         results[name] = { error: error.message };
       }
     });
 
-    return results;
+    return Promise.all(versions).then(() => results);
   }
 
   /**
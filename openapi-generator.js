@@ -2,6 +2,31 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const moment = require('moment');
+const SchemaMerger = require('./schema-merger');
+const SchemaInference = require('./schema-inference');
+const PathNormalizer = require('./path-normalizer');
+const ParameterInference = require('./parameter-inference');
+const SecurityInference = require('./security-inference');
+const SchemaComponents = require('./schema-components');
+const YAMLSerializer = require('./yaml-serializer');
+const WriteScheduler = require('./write-scheduler');
+const { writeFileAtomic } = require('./storage/atomic-file');
+const { PreconditionFailedError } = require('./storage/errors');
+
+// Parameter names whose values are credentials even when the capture did not redact them
+const SENSITIVE_PARAMETER_PATTERN = /token|secret|passw(or)?d|api[-_]?key|signature|credential|session/i;
+
+// Marks parameters whose values were redacted, so no enum or example is ever derived from them
+const REDACTED = 'x-redacted';
+
+// Unsaved samples kept for replaying onto a specification changed by another process
+const MAX_PENDING_SAMPLES = 1000;
+
+// Conditional writes retried after another host saved the specification first
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Marks responses added from responseTemplates rather than observed, so a captured response replaces them
+const RESPONSE_TEMPLATE = 'x-response-template';
 
 /**
  * OpenAPI Specification Generator
@@ -26,8 +51,36 @@ class OpenAPIGenerator {
    * @param {number} [options.maxVersions=10] - Maximum number of versions to keep
    * @param {string} [options.outputDir] - Output directory for the spec file
    * @param {boolean} [options.autoSave=true] - Whether to auto-save the spec
+   * @param {Object} [options.writeSchedule] - How auto-saves are batched (see WriteScheduler)
+   * @param {number} [options.writeSchedule.intervalMs=2000] - Longest time a change waits before it is saved
+   * @param {number} [options.writeSchedule.maxChanges=100] - Changes that trigger a save before the interval elapses
+   * @param {boolean} [options.writeSchedule.flushOnExit=true] - Whether to save pending changes on SIGINT, SIGTERM and exit
+   * @param {number} [options.writeSchedule.exitTimeoutMs=5000] - Longest time SIGINT and SIGTERM wait for pending changes to be saved
+   * @param {boolean} [options.mergeOnWrite=true] - With a storage backend in single file mode, lock the spec file, re-read it
+   *   and merge in changes saved by other processes before every save
    * @param {boolean} [options.singleFileMode=true] - Whether to use single file mode
    * @param {boolean} [options.detectChanges=true] - Whether to detect changes in endpoints
+   * @param {Array<string>} [options.outputFormats=['json']] - Formats written by saveSpec ('json', 'yaml')
+   * @param {Array<Object>} [options.pathIdPatterns] - Extra `{ name, pattern }` shapes of path segments to parameterize
+   * @param {Object} [options.parameterInference] - Enum detection thresholds for path and query parameters
+   * @param {number} [options.parameterInference.enumMaxValues=10] - Maximum distinct values of an enum parameter
+   * @param {number} [options.parameterInference.enumMinSamples=5] - Samples required before a parameter becomes an enum
+   * @param {Object} [options.schemaInference] - Body schema inference (see SchemaInference)
+   * @param {boolean} [options.schemaInference.formats=true] - Detect date-time, date, uuid, email and uri strings
+   * @param {boolean} [options.schemaInference.enums=true] - Describe repeated low-cardinality strings as enums
+   * @param {number} [options.schemaInference.enumMaxValues=10] - Maximum distinct values of an enum
+   * @param {number} [options.schemaInference.enumMinSamples=5] - Samples required before a string becomes an enum
+   * @param {number} [options.schemaInference.enumMaxDistinctRatio=0.5] - Largest share of distinct values among the samples of an enum
+   * @param {boolean} [options.schemaInference.constraints=false] - Infer minLength/maxLength, minimum/maximum and pattern
+   * @param {number} [options.schemaInference.maxArrayItems=100] - Elements of an array merged into its item schema
+   * @param {Object} [options.securityInference] - Credential names recognized in requests without `credentials`
+   *   detected at capture time (see SecurityInference)
+   * @param {Object|boolean} [options.componentSchemas] - Hoisting of repeated object schemas into `components.schemas`
+   *   in saved and exported specifications, `{ minOccurrences, naming }` (see SchemaComponents); false keeps them inline
+   * @param {Object} [options.responseTemplates={}] - Responses added to every operation by status code or range
+   *   ('404', '4xx', 'default') until that status code is captured
+   * @param {string} [options.privacyMode='strict'] - 'strict' builds examples from sanitized data only and never writes
+   *   `x-actual-data`; 'permissive' also writes captured actual values
    */
   constructor(options = {}) {
     this.options = {
@@ -48,7 +101,11 @@ class OpenAPIGenerator {
       autoSave: options.autoSave !== false,
       singleFileMode: options.singleFileMode !== false,
       detectChanges: options.detectChanges !== false,
-      ...options
+      mergeOnWrite: options.mergeOnWrite !== false,
+      outputFormats: ['json'],
+      responseTemplates: {},
+      ...options,
+      privacyMode: options.privacyMode === 'permissive' ? 'permissive' : 'strict'
     };
 
     // Store reference to storage instance if provided
@@ -57,6 +114,22 @@ class OpenAPIGenerator {
     this.spec = this.createBaseSpec();
     this.endpointVersions = new Map(); // Track versions of each endpoint
     this.endpointHashes = new Map(); // Track endpoint content hashes for change detection
+    this.schemaMerger = new SchemaMerger(this.options.schemaInference);
+    this.schemaInference = new SchemaInference(this.options.schemaInference);
+    this.pathNormalizer = new PathNormalizer({ idPatterns: this.options.pathIdPatterns });
+    this.parameterInference = new ParameterInference(this.options.parameterInference);
+    this.securityInference = new SecurityInference(this.options.securityInference);
+    this.schemaComponents = new SchemaComponents(this.options.componentSchemas || {});
+    this.writeScheduler = new WriteScheduler(() => this.saveSpec(), this.options.writeSchedule);
+
+    // Samples added since the spec was last read from or written to storage, and the hash of that content
+    this.pendingSamples = [];
+    this.pendingOverflow = false;
+    this.syncedHash = null;
+
+    // Stored specification still to be loaded before the first change or save, and the file it is kept in, see hydrate()
+    this.hydration = null;
+    this.specFile = null;
     this.ensureOutputDirectory();
   }
 
@@ -121,66 +194,309 @@ class OpenAPIGenerator {
 
   /**
    * Add captured endpoint data to OpenAPI specification
+   * With autoSave, the change is saved by the write scheduler together with the ones around it; call flush() to save it now
    * @param {Object} endpointData - Captured endpoint data
    * @param {Object} [options={}] - Additional options
    * @returns {Object} The added path item
    */
   async addEndpoint(endpointData, options = {}) {
     try {
-      // Store original path before normalization
-      const originalPath = endpointData.request.path;
-      const normalizedPath = this.normalizePathForParameterization(originalPath);
-      const normalizedEndpointData = {
-        ...endpointData,
-        request: {
-          ...endpointData.request,
-          path: normalizedPath,
-          originalPath: originalPath
+      await this.whenHydrated();
+      const { operation, changed } = this.mergeEndpoint(endpointData, options);
+
+      if (this.isMergingOnWrite()) {
+        this.pendingSamples.push({ endpointData, options });
+        if (this.pendingSamples.length > MAX_PENDING_SAMPLES) {
+          this.pendingSamples.shift();
+          this.pendingOverflow = true;
         }
+      }
+
+      // Auto-save if enabled; unchanged samples are counted, and written by the next save
+      if (this.options.autoSave && changed) {
+        this.writeScheduler.markDirty();
+      }
+
+      return operation;
+    } catch (error) {
+      console.error('Error adding endpoint to OpenAPI spec:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge one captured sample into the specification
+   * @param {Object} endpointData - Captured endpoint data
+   * @param {Object} options - Additional options, see addEndpoint
+   * @returns {Object} `{ operation, changed }` where changed is false when change detection found the sample
+   * identical to the previous one; it is merged and counted either way
+   * @private
+   */
+  mergeEndpoint(endpointData, options) {
+    // Store original path before normalization
+    const originalPath = endpointData.request.path;
+    const { path: normalizedPath, params: pathParams } = this.pathNormalizer.normalize(endpointData.request);
+    const normalizedEndpointData = {
+      ...endpointData,
+      request: {
+        ...endpointData.request,
+        path: normalizedPath,
+        originalPath,
+        pathParams
+      }
+    };
+
+    const pathItem = this.convertToOpenAPIPathItem(normalizedEndpointData, options);
+
+    // Generate endpoint key and hash for change detection using normalized path
+    const endpointKey = `${endpointData.request.method}:${normalizedPath}`;
+    const currentHash = this.calculateEndpointHash(normalizedEndpointData);
+
+    // Check if change detection is enabled; identical samples still count towards sample counts and enums
+    let changed = true;
+    if (this.options.detectChanges && this.endpointHashes.get(endpointKey) === currentHash) {
+      console.log(`No changes detected for ${endpointKey}, skipping save`);
+      changed = false;
+    }
+
+    // Update hash
+    this.endpointHashes.set(endpointKey, currentHash);
+
+    // Add or update the path in the specification
+    if (!this.spec.paths[normalizedPath]) {
+      this.spec.paths[normalizedPath] = {};
+    }
+
+    // Merge the operation with every sample previously captured for it
+    const method = endpointData.request.method.toLowerCase();
+    const existingOperation = this.spec.paths[normalizedPath][method];
+    this.spec.paths[normalizedPath][method] = existingOperation
+      ? this.mergeOperations(existingOperation, pathItem)
+      : { ...pathItem, [SchemaMerger.SAMPLE_COUNT]: 1 };
+    this.applyResponseTemplates(this.spec.paths[normalizedPath][method]);
+    if (this.options.privacyMode === 'strict') {
+      // Samples merged into a specification written in permissive mode may still carry actual data
+      this.removeActualData(this.spec.paths[normalizedPath][method]);
+    }
+    this.observeParameterValues(endpointKey, this.spec.paths[normalizedPath][method], normalizedEndpointData.request);
+
+    // Add tags for grouping
+    if (this.options.groupByPath) {
+      this.addTagForPath(normalizedPath);
+    }
+
+    return { operation: this.spec.paths[normalizedPath][method], changed };
+  }
+
+  /**
+   * Merge a newly generated operation into the operation already in the specification
+   * Descriptive fields follow the latest sample; parameters, request body and responses
+   * accumulate across all samples, one response per observed status code
+   * @param {Object} existing - Operation currently in the specification
+   * @param {Object} incoming - Operation generated from the latest sample
+   * @returns {Object} Merged operation
+   * @private
+   */
+  mergeOperations(existing, incoming) {
+    const merged = {
+      ...existing,
+      ...incoming,
+      [SchemaMerger.SAMPLE_COUNT]: this.schemaMerger.getCount(existing) + 1
+    };
+
+    merged.parameters = this.mergeParameters(existing.parameters, incoming.parameters, merged[SchemaMerger.SAMPLE_COUNT]);
+
+    if (existing.requestBody && incoming.requestBody) {
+      merged.requestBody = {
+        ...incoming.requestBody,
+        content: this.mergeContent(existing.requestBody.content, incoming.requestBody.content),
+        required: existing.requestBody.required !== false && incoming.requestBody.required !== false
+      };
+    } else if (existing.requestBody || incoming.requestBody) {
+      // A body seen on only some of the samples is optional
+      merged.requestBody = {
+        ...(existing.requestBody || incoming.requestBody),
+        required: false
       };
+    }
 
-      const pathItem = this.convertToOpenAPIPathItem(normalizedEndpointData, options);
+    merged.responses = this.mergeResponses(existing.responses, incoming.responses);
+    merged.security = this.securityInference.mergeRequirements(existing.security, incoming.security);
 
-      // Generate endpoint key and hash for change detection using normalized path
-      const endpointKey = `${endpointData.request.method}:${normalizedPath}`;
-      const currentHash = this.calculateEndpointHash(normalizedEndpointData);
+    return merged;
+  }
 
-      // Check if change detection is enabled
-      if (this.options.detectChanges) {
-        const existingHash = this.endpointHashes.get(endpointKey);
-        if (existingHash === currentHash) {
-          // No changes detected, skip update
-          console.log(`No changes detected for ${endpointKey}, skipping update`);
-          return pathItem;
-        }
+  /**
+   * Merge response maps, keeping every status code observed so far
+   * Templates are replaced by a captured response with the same status code. Range keys that are
+   * neither observed nor templates are generic error responses written by earlier versions and dropped
+   * @param {Object} [existing={}] - Responses currently in the specification
+   * @param {Object} [incoming={}] - Responses from the latest sample
+   * @returns {Object} Merged responses
+   * @private
+   */
+  mergeResponses(existing = {}, incoming = {}) {
+    const merged = {};
+    Object.keys(existing)
+      .filter(statusCode => /^\d{3}$/.test(statusCode) || existing[statusCode][RESPONSE_TEMPLATE])
+      .forEach(statusCode => {
+        merged[statusCode] = existing[statusCode];
+      });
+
+    Object.keys(incoming).forEach(statusCode => {
+      const previous = merged[statusCode];
+      if (!previous || previous[RESPONSE_TEMPLATE]) {
+        merged[statusCode] = incoming[statusCode];
+        return;
+      }
+      merged[statusCode] = {
+        ...incoming[statusCode],
+        content: this.mergeContent(previous.content, incoming[statusCode].content),
+        headers: { ...previous.headers, ...incoming[statusCode].headers }
+      };
+    });
+    return merged;
+  }
+
+  /**
+   * Add the configured response templates an operation has not observed
+   * @param {Object} operation - Operation in the specification, updated in place
+   * @private
+   */
+  applyResponseTemplates(operation) {
+    const templates = this.options.responseTemplates || {};
+    Object.keys(templates).forEach(statusCode => {
+      if (!operation.responses[statusCode]) {
+        operation.responses[statusCode] = {
+          ...JSON.parse(JSON.stringify(templates[statusCode])),
+          [RESPONSE_TEMPLATE]: true
+        };
       }
+    });
+  }
 
-      // Update hash
-      this.endpointHashes.set(endpointKey, currentHash);
+  /**
+   * Merge parameter lists, keeping one entry per name and location
+   * Path and query parameter schemas are widened to describe every observed value, and a
+   * query parameter is required only while it has been present on every sample
+   * @param {Array<Object>} [existing=[]] - Parameters currently in the specification
+   * @param {Array<Object>} [incoming=[]] - Parameters from the latest sample
+   * @param {number} [sampleCount] - Number of samples of the operation, including the latest
+   * @returns {Array<Object>} Merged parameters
+   * @private
+   */
+  mergeParameters(existing = [], incoming = [], sampleCount) {
+    const merged = existing.map(parameter => ({ ...parameter }));
+
+    incoming.forEach(parameter => {
+      const index = merged.findIndex(candidate =>
+        candidate.name === parameter.name && candidate.in === parameter.in
+      );
+      if (index === -1) {
+        merged.push({ ...parameter });
+      } else if (parameter.in === 'path' || parameter.in === 'query') {
+        const previous = merged[index];
+        merged[index] = {
+          ...previous,
+          schema: this.parameterInference.mergeSchemas(previous.schema, parameter.schema),
+          [SchemaMerger.SAMPLE_COUNT]: this.schemaMerger.getCount(previous) + this.schemaMerger.getCount(parameter)
+        };
+        if (parameter[REDACTED]) {
+          merged[index][REDACTED] = true;
+        }
+      }
+    });
 
-      // Add or update the path in the specification
-      if (!this.spec.paths[normalizedPath]) {
-        this.spec.paths[normalizedPath] = {};
+    merged.forEach(parameter => {
+      if (parameter.in !== 'query') {
+        return;
+      }
+      delete parameter.style;
+      delete parameter.explode;
+      Object.assign(parameter, this.parameterInference.getQueryStyle(parameter.schema));
+      if (sampleCount) {
+        parameter.required = this.schemaMerger.getCount(parameter) >= sampleCount;
       }
+    });
 
-      // Add the operation to the path
-      this.spec.paths[normalizedPath][endpointData.request.method.toLowerCase()] = pathItem;
+    return merged;
+  }
 
-      // Add tags for grouping
-      if (this.options.groupByPath) {
-        this.addTagForPath(normalizedPath);
+  /**
+   * Record the path and query values of a sample to detect enum parameters
+   * @param {string} endpointKey - Endpoint key (method and normalized path)
+   * @param {Object} operation - Merged operation in the specification
+   * @param {Object} request - Normalized request data of the sample
+   * @private
+   */
+  observeParameterValues(endpointKey, operation, request) {
+    const values = {
+      path: request.pathParams || request.params || {},
+      query: request.query || {}
+    };
+
+    (operation.parameters || []).forEach(parameter => {
+      if (parameter[REDACTED] && parameter.schema) {
+        // Values of redacted parameters are never listed, including enums saved before they were redacted
+        parameter.schema = this.removeEnum(parameter.schema);
+        return;
       }
 
-      // Auto-save if enabled
-      if (this.options.autoSave) {
-        await this.saveSpec();
+      const observed = values[parameter.in];
+      if (!observed || observed[parameter.name] === undefined || !parameter.schema) {
+        return;
       }
+      parameter.schema = this.parameterInference.observe(
+        `${endpointKey}:${parameter.in}:${parameter.name}`,
+        observed[parameter.name],
+        parameter
+      );
+    });
+  }
 
-      return pathItem;
-    } catch (error) {
-      console.error('Error adding endpoint to OpenAPI spec:', error);
-      throw error;
+  /**
+   * Copy a parameter schema without enum values
+   * @param {Object} schema - Parameter schema
+   * @returns {Object} Schema without `enum` on itself or its items
+   * @private
+   */
+  removeEnum(schema) {
+    const copy = { ...schema };
+    delete copy.enum;
+    if (copy.items) {
+      copy.items = this.removeEnum(copy.items);
     }
+    return copy;
+  }
+
+  /**
+   * Merge media type maps of a request body or response
+   * Schemas for the same content type are merged; examples already recorded are kept
+   * so the specification stays stable between captures
+   * @param {Object} [existing={}] - Content map currently in the specification
+   * @param {Object} [incoming={}] - Content map from the latest sample
+   * @returns {Object} Merged content map
+   * @private
+   */
+  mergeContent(existing = {}, incoming = {}) {
+    const merged = { ...existing };
+    Object.keys(incoming).forEach(contentType => {
+      const previous = existing[contentType];
+      if (!previous) {
+        merged[contentType] = incoming[contentType];
+        return;
+      }
+      merged[contentType] = {
+        ...incoming[contentType],
+        ...previous
+      };
+      // Truncated samples carry no schema
+      const schema = this.schemaMerger.merge(previous.schema, incoming[contentType].schema);
+      if (schema) {
+        merged[contentType].schema = schema;
+      }
+    });
+    return merged;
   }
 
   /**
@@ -205,8 +521,16 @@ class OpenAPIGenerator {
       deprecated: false
     };
 
+    // Strict mode only records where values were redacted
+    if (this.options.privacyMode === 'strict') {
+      const sensitiveData = this.generateSensitiveDataExtension(request, response);
+      if (sensitiveData) {
+        operation['x-sensitive-data'] = sensitiveData;
+      }
+    }
+
     // Add custom extensions for actual values and sensitive data metadata
-    if (request.bodyActual || request.hasSensitiveData) {
+    if (this.options.privacyMode === 'permissive' && (request.bodyActual || request.hasSensitiveData)) {
       operation['x-actual-data'] = {
         requestBody: request.bodyActual || null,
         hasSensitiveData: request.hasSensitiveData || false,
@@ -216,7 +540,7 @@ class OpenAPIGenerator {
       };
     }
 
-    if (response.bodyActual || response.hasSensitiveData) {
+    if (this.options.privacyMode === 'permissive' && (response.bodyActual || response.hasSensitiveData)) {
       operation['x-actual-data'] = {
         ...operation['x-actual-data'],
         responseBody: response.bodyActual || null,
@@ -321,33 +645,34 @@ class OpenAPIGenerator {
   generateParameters(request) {
     const parameters = [];
 
-    // Path parameters
-    if (request.params && Object.keys(request.params).length > 0) {
-      Object.keys(request.params).forEach(paramName => {
-        parameters.push({
+    // Path parameters, taken from the normalized path template when available
+    const pathParams = request.pathParams || request.params;
+    if (pathParams && Object.keys(pathParams).length > 0) {
+      Object.keys(pathParams).forEach(paramName => {
+        parameters.push(this.markRedactedParameter({
           name: paramName,
           in: 'path',
           required: true,
-          schema: {
-            type: 'string'
-          },
-          description: `Path parameter: ${paramName}`
-        });
+          schema: this.parameterInference.inferSchema(pathParams[paramName]),
+          description: `Path parameter: ${paramName}`,
+          [SchemaMerger.SAMPLE_COUNT]: 1
+        }, request, 'params'));
       });
     }
 
-    // Query parameters
+    // Query parameters, typed from their values; repeated keys arrive as arrays
     if (request.query && Object.keys(request.query).length > 0) {
       Object.keys(request.query).forEach(queryName => {
-        parameters.push({
+        const schema = this.parameterInference.inferSchema(request.query[queryName]);
+        parameters.push(this.markRedactedParameter({
           name: queryName,
           in: 'query',
-          required: false,
-          schema: {
-            type: typeof request.query[queryName] === 'number' ? 'number' : 'string'
-          },
-          description: `Query parameter: ${queryName}`
-        });
+          required: true,
+          schema,
+          ...this.parameterInference.getQueryStyle(schema),
+          description: `Query parameter: ${queryName}`,
+          [SchemaMerger.SAMPLE_COUNT]: 1
+        }, request, 'query'));
       });
     }
 
@@ -373,6 +698,22 @@ class OpenAPIGenerator {
     return parameters;
   }
 
+  /**
+   * Flag a parameter whose values were redacted or look like credentials
+   * @param {Object} parameter - Parameter object
+   * @param {Object} request - Request data
+   * @param {string} location - Capture location of the values ('query' or 'params')
+   * @returns {Object} The same parameter
+   * @private
+   */
+  markRedactedParameter(parameter, request, location) {
+    const redacted = (request.redactedParameters && request.redactedParameters[location]) || [];
+    if (redacted.includes(parameter.name) || SENSITIVE_PARAMETER_PATTERN.test(parameter.name)) {
+      parameter[REDACTED] = true;
+    }
+    return parameter;
+  }
+
   /**
    * Generate request body schema
    * @param {Object} request - Request data
@@ -380,12 +721,33 @@ class OpenAPIGenerator {
    * @private
    */
   generateRequestBody(request) {
-    if (!request.body || Object.keys(request.body).length === 0) {
+    if (request.bodyTruncated) {
+      return {
+        description: 'Request body',
+        content: this.generateTruncatedContent(request.contentType || 'application/json'),
+        required: true
+      };
+    }
+
+    const hasBody = request.body && Object.keys(request.body).length > 0;
+    if (!hasBody) {
+      // Bodies captured raw without a known content type are documented as binary
+      if (request.rawBody && request.rawBody.size > 0 && request.rawBody.encoding === 'base64') {
+        return {
+          description: 'Request body',
+          content: {
+            [request.contentType || 'application/octet-stream']: {
+              schema: { type: 'string', format: 'binary' }
+            }
+          },
+          required: true
+        };
+      }
       return null;
     }
 
     const contentType = request.contentType || 'application/json';
-    const schema = this.generateSchemaFromData(request.body);
+    const schema = this.generateSchemaFromData(request.body, this.getRedactedPaths(request));
 
     const content = {
       [contentType]: {
@@ -394,10 +756,11 @@ class OpenAPIGenerator {
     };
 
     // Add examples with actual values prioritized over sanitized values
+    const bodyActual = this.options.privacyMode === 'permissive' ? request.bodyActual : undefined;
     if (this.options.includeExamples) {
       // Use simple example format for Postman compatibility
-      if (request.bodyActual) {
-        content[contentType].example = request.bodyActual;
+      if (bodyActual) {
+        content[contentType].example = bodyActual;
       } else if (request.body) {
         content[contentType].example = request.body;
       }
@@ -406,11 +769,11 @@ class OpenAPIGenerator {
       content[contentType].examples = {};
 
       // Prioritize actual values as the main example
-      if (request.bodyActual) {
+      if (bodyActual) {
         content[contentType].examples.actual = {
           summary: 'Actual Request Body (Real captured data)',
           description: 'Complete request body with actual values from captured request',
-          value: request.bodyActual
+          value: bodyActual
         };
       }
 
@@ -440,8 +803,61 @@ class OpenAPIGenerator {
     };
   }
 
+  /**
+   * Describe which request and response fields were redacted, without their values
+   * @param {Object} request - Request data
+   * @param {Object} response - Response data
+   * @returns {Object|null} `x-sensitive-data` extension, or null when nothing was redacted
+   * @private
+   */
+  generateSensitiveDataExtension(request, response) {
+    const describe = (fields = []) => fields.map(({ path, type, rule, action }) => ({ path, type, rule, action }));
+
+    if (!request.hasSensitiveData && !response.hasSensitiveData) {
+      return null;
+    }
+    return {
+      requestFields: describe(request.sensitiveFields),
+      responseFields: describe(response.sensitiveFields)
+    };
+  }
+
+  /**
+   * Remove actual data from an operation or a whole specification
+   * Drops `x-actual-data` extensions and `actual` examples
+   * @param {Object} node - Operation or specification
+   * @returns {Object} The same node
+   * @private
+   */
+  removeActualData(node) {
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    delete node['x-actual-data'];
+    if (node.examples && typeof node.examples === 'object') {
+      delete node.examples.actual;
+    }
+    Object.keys(node).forEach(key => this.removeActualData(node[key]));
+    return node;
+  }
+
+  /**
+   * Generate media type content for a body that exceeded the capture size limit
+   * Neither a schema nor examples are derived from the truncation marker; schemas from
+   * complete samples of the same operation are kept when samples are merged
+   * @param {string} contentType - Media type of the body
+   * @returns {Object} Content map
+   * @private
+   */
+  generateTruncatedContent(contentType) {
+    return {
+      [contentType]: {}
+    };
+  }
+
   /**
    * Generate responses schema
+   * Only the captured status code is described; other codes are added as they are observed
    * @param {Object} response - Response data
    * @returns {Object} Responses schema
    * @private
@@ -450,60 +866,12 @@ class OpenAPIGenerator {
     const statusCode = response.statusCode;
     const responses = {};
 
-    // Add the actual response
     responses[statusCode] = {
       description: this.getStatusDescription(statusCode),
       content: this.generateResponseContent(response),
       headers: this.generateResponseHeaders(response)
     };
 
-    // Add common error responses
-    if (statusCode >= 400) {
-      responses['4xx'] = {
-        description: 'Client Error',
-        content: {
-          'application/json': {
-            schema: {
-              type: 'object',
-              properties: {
-                error: {
-                  type: 'string',
-                  description: 'Error message'
-                },
-                code: {
-                  type: 'string',
-                  description: 'Error code'
-                }
-              }
-            }
-          }
-        }
-      };
-    }
-
-    if (statusCode >= 500) {
-      responses['5xx'] = {
-        description: 'Server Error',
-        content: {
-          'application/json': {
-            schema: {
-              type: 'object',
-              properties: {
-                error: {
-                  type: 'string',
-                  description: 'Error message'
-                },
-                code: {
-                  type: 'string',
-                  description: 'Error code'
-                }
-              }
-            }
-          }
-        }
-      };
-    }
-
     return responses;
   }
 
@@ -525,6 +893,18 @@ class OpenAPIGenerator {
       contentType = 'application/json';
     }
     
+    if (!response.body && response.rawBody && response.rawBody.size > 0 && response.rawBody.encoding === 'base64') {
+      // Streamed binary content such as files sent with res.sendFile
+      return {
+        [contentType]: {
+          schema: {
+            type: 'string',
+            format: 'binary'
+          }
+        }
+      };
+    }
+
     if (!response.body) {
       return {
         [contentType]: {
@@ -536,7 +916,11 @@ class OpenAPIGenerator {
       };
     }
 
-    const schema = this.generateSchemaFromData(response.body);
+    if (response.bodyTruncated) {
+      return this.generateTruncatedContent(contentType);
+    }
+
+    const schema = this.generateSchemaFromData(response.body, this.getRedactedPaths(response));
 
     const content = {
       [contentType]: {
@@ -545,16 +929,17 @@ class OpenAPIGenerator {
     };
 
     // Add examples with actual values prioritized over sanitized values
+    const bodyActual = this.options.privacyMode === 'permissive' ? response.bodyActual : undefined;
     if (this.options.includeExamples) {
       // Use simple example format for Postman compatibility
-      if (response.bodyActual) {
+      if (bodyActual) {
         // Try to parse JSON response for better Postman compatibility
         try {
-          const parsedResponse = JSON.parse(response.bodyActual);
+          const parsedResponse = JSON.parse(bodyActual);
           content[contentType].example = parsedResponse;
         } catch (e) {
           // If not JSON, use as string
-          content[contentType].example = response.bodyActual;
+          content[contentType].example = bodyActual;
         }
       } else if (response.body) {
         try {
@@ -569,11 +954,11 @@ class OpenAPIGenerator {
       content[contentType].examples = {};
 
       // Prioritize actual values as the main example
-      if (response.bodyActual) {
+      if (bodyActual) {
         content[contentType].examples.actual = {
           summary: 'Actual Response Body (Real captured data)',
           description: 'Complete response body with actual values from captured response',
-          value: response.bodyActual
+          value: bodyActual
         };
       }
 
@@ -637,21 +1022,19 @@ class OpenAPIGenerator {
 
   /**
    * Generate security requirements
+   * Uses the credentials detected before redaction when the capture recorded them, and otherwise inspects
+   * the headers, query and cookies of the request. Detected schemes are declared in components.securitySchemes
    * @param {Object} request - Request data
-   * @returns {Array<Object>} Security requirements
+   * @returns {Array<Object>} Security requirements, empty for anonymous requests
    * @private
    */
   generateSecurity(request) {
-    // Check if request has authorization header
-    if (request.headers && request.headers.authorization) {
-      return [
-        {
-          bearerAuth: []
-        }
-      ];
-    }
-
-    return [];
+    const credentials = request.credentials || this.securityInference.detect(request);
+    // Specifications loaded from storage may have been written without components
+    this.spec.components = this.spec.components || {};
+    this.spec.components.securitySchemes = this.spec.components.securitySchemes || {};
+    this.securityInference.registerSchemes(this.spec.components.securitySchemes, credentials);
+    return this.securityInference.getRequirements(credentials);
   }
 
   /**
@@ -668,81 +1051,22 @@ class OpenAPIGenerator {
   /**
    * Generate schema from data object
    * @param {*} data - Data to generate schema from
+   * @param {Array<string>} [redactedPaths=[]] - Paths of redacted values, which get no format, enum or constraints
    * @returns {Object} JSON Schema
    * @private
    */
-  generateSchemaFromData(data) {
-    if (data === null || data === undefined) {
-      return { type: 'null' };
-    }
-
-    if (typeof data === 'boolean') {
-      return { 
-        type: 'boolean',
-        example: data
-      };
-    }
-
-    if (typeof data === 'number') {
-      return { 
-        type: 'number',
-        example: data
-      };
-    }
-
-    if (typeof data === 'string') {
-      // Try to parse as JSON if it looks like JSON
-      if (data.startsWith('[') || data.startsWith('{')) {
-        try {
-          const parsed = JSON.parse(data);
-          return this.generateSchemaFromData(parsed);
-        } catch (e) {
-          // If parsing fails, treat as string
-        }
-      }
-      return { 
-        type: 'string',
-        example: data
-      };
-    }
-
-    if (Array.isArray(data)) {
-      if (data.length === 0) {
-        return { type: 'array', items: { type: 'string' } };
-      }
-      return {
-        type: 'array',
-        items: this.generateSchemaFromData(data[0]),
-        example: data
-      };
-    }
-
-    if (typeof data === 'object') {
-      const properties = {};
-      const required = [];
-
-      Object.keys(data).forEach(key => {
-        properties[key] = this.generateSchemaFromData(data[key]);
-        if (data[key] !== null && data[key] !== undefined) {
-          required.push(key);
-        }
-      });
-
-      const schema = {
-        type: 'object',
-        properties,
-        example: data
-      };
-      
-      // Only include required field if there are required properties
-      if (required.length > 0) {
-        schema.required = required;
-      }
-      
-      return schema;
-    }
+  generateSchemaFromData(data, redactedPaths = []) {
+    return this.schemaInference.infer(data, redactedPaths);
+  }
 
-    return { type: 'string' };
+  /**
+   * Paths of the body values redacted in a captured request or response
+   * @param {Object} message - Request or response data
+   * @returns {Array<string>} Dot-separated paths, e.g. 'user.password'
+   * @private
+   */
+  getRedactedPaths(message) {
+    return (message.sensitiveFields || []).map(field => field.path);
   }
 
   /**
@@ -787,13 +1111,14 @@ class OpenAPIGenerator {
 
   /**
    * Normalize path for parameterization
+   * Replaces identifier-shaped segments (numeric, UUID, hex, ObjectId, ULID) with
+   * uniquely named parameters, e.g. `/users/42/orders/7` becomes `/users/{userId}/orders/{orderId}`
    * @param {string} path - Original path
    * @returns {string} Normalized path
    * @private
    */
   normalizePathForParameterization(path) {
-    // Remove trailing slash and normalize numeric IDs to parameters
-    return path.replace(/\/$/, '').replace(/\/\d+/g, '/{id}');
+    return this.pathNormalizer.normalizePath(path).path;
   }
 
   /**
@@ -816,30 +1141,255 @@ class OpenAPIGenerator {
 
   /**
    * Save OpenAPI specification to file
+   * Writes one file per configured output format, or a single file whose format
+   * follows the extension of the custom filename
+   * With mergeOnWrite, the default files are written under a lock after merging changes saved by other processes
    * @param {string} [filename] - Custom filename
    */
   async saveSpec(filename) {
+    // Never replace a stored specification that has not been loaded yet
+    await this.whenHydrated();
+
+    if (!filename && this.isMergingOnWrite()) {
+      await this.saveMerged();
+      return;
+    }
+
+    const formats = filename
+      ? [this.getFormatForFile(filename)]
+      : this.options.outputFormats;
+
+    for (const format of formats) {
+      await this.writeSpecFile(this.getOutputPath(filename, format), format);
+    }
+  }
+
+  /**
+   * Replace the whole specification, e.g. with a backup, and save it
+   * Unlike saves of captured changes, the stored specification is overwritten instead of merged in
+   * @param {Object} specData - Specification to save
+   * @returns {Promise<void>}
+   * @throws {Error} When saving fails
+   */
+  async replaceSpec(specData) {
+    await this.whenHydrated();
+
+    this.spec = { ...this.createBaseSpec(), ...this.schemaComponents.inline(specData) };
+    if (this.options.privacyMode === 'strict') {
+      this.removeActualData(this.spec);
+    }
+    // Observations and unsaved samples describe the specification being replaced
+    this.endpointHashes.clear();
+    this.parameterInference = new ParameterInference(this.options.parameterInference);
+    this.pendingSamples = [];
+    this.pendingOverflow = false;
+
+    if (this.isMergingOnWrite()) {
+      await this.saveMerged({ replace: true });
+    } else {
+      await this.saveSpec();
+    }
+  }
+
+  /**
+   * Whether saves re-read and merge the stored specification
+   * @returns {boolean} True with a storage backend, single file mode and mergeOnWrite
+   * @private
+   */
+  isMergingOnWrite() {
+    return Boolean(this.storage) && this.options.mergeOnWrite && this.options.singleFileMode;
+  }
+
+  /**
+   * Lock the spec file, merge in changes other processes saved since the last sync, then write
+   * Storage backends with conditional writes reject the write when another host saved in between;
+   * the merge is then repeated against the newer copy
+   * @param {Object} [options={}] - Save options
+   * @param {boolean} [options.replace=false] - Overwrite the stored specification instead of merging it in
+   * @private
+   * @async
+   */
+  async saveMerged({ replace = false } = {}) {
+    const specPath = path.relative(this.options.outputDir, this.getOutputPath(undefined, 'json'));
+    const release = await this.storage.acquireLock(specPath);
+
     try {
-      const outputPath = this.getOutputPath(filename);
-      const specJson = JSON.stringify(this.spec, null, 2);
-      
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await this.writeMerged(specPath, replace);
+          return;
+        } catch (error) {
+          if (!(error instanceof PreconditionFailedError) || attempt >= MAX_WRITE_ATTEMPTS) {
+            throw error;
+          }
+          console.log(`🔁 ${specPath} was saved by another host, merging again (attempt ${attempt + 1}/${MAX_WRITE_ATTEMPTS})`);
+        }
+      }
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Sync with the stored specification and write every output format
+   * The JSON file is written first, conditional on the version that was synced
+   * @param {string} specPath - Spec file path relative to the storage root
+   * @param {boolean} replace - Write unconditionally without syncing
+   * @throws {PreconditionFailedError} When the stored specification changed after it was synced
+   * @private
+   * @async
+   */
+  async writeMerged(specPath, replace) {
+    const { exists, version } = replace ? {} : await this.syncFromStorage(specPath);
+
+    // Snapshot what is written; samples added while writing stay pending for the next save
+    const written = this.pendingSamples.length;
+    const contents = this.options.outputFormats
+      .map(format => ({ format, content: this.exportSpec(format) }))
+      .sort((a, b) => (b.format === 'json') - (a.format === 'json'));
+
+    const conditions = {};
+    if (!replace && this.storage.supportsConditionalWrites()) {
+      if (!exists) {
+        conditions.ifNoneMatch = '*';
+      } else if (version) {
+        conditions.ifMatch = version;
+      }
+    }
+
+    for (const { format, content } of contents) {
+      await this.writeSpecFile(this.getOutputPath(undefined, format), format, content, format === 'json' ? conditions : {});
+    }
+
+    const json = contents.find(({ format }) => format === 'json');
+    this.syncedHash = json ? this.hashContent(json.content) : null;
+    this.pendingSamples = this.pendingSamples.slice(written);
+    this.pendingOverflow = false;
+  }
+
+  /**
+   * Re-read the stored specification and merge local changes into it when another process changed it
+   * Local samples are replayed onto the stored copy, so sample counts and merged schemas stay exact;
+   * when too many samples were pending to replay, only operations missing locally are copied over
+   * @param {string} specPath - Spec file path relative to the storage root
+   * @returns {Promise<{exists: boolean, version: (string|null)}>} Whether the file exists and the version that was read
+   * @private
+   * @async
+   */
+  async syncFromStorage(specPath) {
+    if (!(await this.storage.exists(specPath))) {
+      return { exists: false, version: null };
+    }
+
+    const { content, version } = await this.storage.readFileWithVersion(specPath);
+    if (this.hashContent(content) === this.syncedHash) {
+      return { exists: true, version };
+    }
+
+    const stored = this.parseSpec(content);
+    if (!stored) {
+      console.error(`❌ Stored OpenAPI spec ${specPath} is corrupt, replacing it with the local copy`);
+      return { exists: true, version };
+    }
+
+    if (this.pendingOverflow) {
+      console.error(`⚠️ Too many unsaved samples to replay onto ${specPath}; operations changed elsewhere keep the local version`);
+      this.addMissingOperations(stored);
+    } else {
+      const samples = this.pendingSamples;
+      this.spec = { ...this.createBaseSpec(), ...stored };
+      if (this.options.privacyMode === 'strict') {
+        this.removeActualData(this.spec);
+      }
+      // Observations and change hashes describe the local copy, which is being replaced
+      this.endpointHashes.clear();
+      this.parameterInference = new ParameterInference(this.options.parameterInference);
+      samples.forEach(({ endpointData, options }) => this.mergeEndpoint(endpointData, options));
+    }
+    console.log(`🔀 Merged changes saved by other processes into ${specPath}`);
+    return { exists: true, version };
+  }
+
+  /**
+   * Copy paths, operations, tags and components that only exist in the stored specification
+   * @param {Object} stored - Specification read from storage
+   * @private
+   */
+  addMissingOperations(stored) {
+    Object.keys(stored.paths || {}).forEach(pathKey => {
+      const local = this.spec.paths[pathKey] || (this.spec.paths[pathKey] = {});
+      Object.keys(stored.paths[pathKey]).forEach(method => {
+        if (!local[method]) {
+          local[method] = stored.paths[pathKey][method];
+        }
+      });
+    });
+
+    (stored.tags || []).forEach(tag => {
+      if (!this.spec.tags.some(existing => existing.name === tag.name)) {
+        this.spec.tags.push(tag);
+      }
+    });
+
+    Object.keys(stored.components || {}).forEach(section => {
+      this.spec.components[section] = { ...stored.components[section], ...this.spec.components[section] };
+    });
+
+    if (this.options.privacyMode === 'strict') {
+      this.removeActualData(this.spec);
+    }
+  }
+
+  /**
+   * Hash saved spec content, to tell whether another process changed it
+   * @param {string} content - File content
+   * @returns {string} Hex digest
+   * @private
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Save auto-saved changes that are still waiting for the write scheduler
+   * @returns {Promise<void>} Resolves once every change made so far is saved
+   * @throws {Error} When saving fails
+   */
+  flush() {
+    return this.writeScheduler.flush();
+  }
+
+  /**
+   * Write the specification to a single file
+   * @param {string} outputPath - Destination path
+   * @param {string} format - Serialization format ('json', 'yaml')
+   * @param {string} [content] - Serialized specification, exported in the format when omitted
+   * @param {Object} [writeOptions={}] - Conditions passed to the storage backend, see BaseStorage#writeFile
+   * @private
+   */
+  async writeSpecFile(outputPath, format, content = this.exportSpec(format), writeOptions = {}) {
+    try {
+
       if (this.storage) {
         // Use storage abstraction (S3, Azure, GCS, etc.)
         const relativePath = path.relative(this.options.outputDir, outputPath);
-        await this.storage.writeFile(relativePath, specJson);
-        console.log(`💾 OpenAPI spec saved to storage: ${relativePath} (${specJson.length} bytes)`);
+        await this.storage.writeFile(relativePath, content, writeOptions);
+        console.log(`💾 OpenAPI spec saved to storage: ${relativePath} (${content.length} bytes)`);
       } else {
         // Fallback to local filesystem
         const dir = path.dirname(outputPath);
         if (!fs.existsSync(dir)) {
           fs.mkdirSync(dir, { recursive: true });
         }
-        
-        fs.writeFileSync(outputPath, specJson);
-        console.log(`💾 OpenAPI spec saved to: ${outputPath} (${specJson.length} bytes)`);
+
+        await writeFileAtomic(outputPath, content);
+        console.log(`💾 OpenAPI spec saved to: ${outputPath} (${content.length} bytes)`);
       }
     } catch (error) {
-      console.error('❌ Error saving OpenAPI spec:', error);
+      // Lost races are retried by saveMerged, so they are not reported as failures
+      if (!(error instanceof PreconditionFailedError)) {
+        console.error('❌ Error saving OpenAPI spec:', error);
+      }
       throw error;
     }
   }
@@ -847,55 +1397,281 @@ class OpenAPIGenerator {
   /**
    * Get output path for the specification
    * @param {string} [filename] - Custom filename
+   * @param {string} [format='json'] - Serialization format used for the extension
    * @returns {string} Output path
    * @private
    */
-  getOutputPath(filename) {
+  getOutputPath(filename, format = 'json') {
     if (filename) {
       return path.join(this.options.outputDir, filename);
     }
 
     const timestamp = moment().format('YYYY-MM-DD_HH-mm-ss');
     const baseName = this.sanitizeName(this.options.title);
+    const extension = this.getFileExtension(format);
     
     if (this.options.singleFileMode) {
-      return path.join(this.options.outputDir, `${baseName}.json`);
+      // A specification hydrated from a file is saved back to that file
+      const fileName = this.specFile ? path.basename(this.specFile, path.extname(this.specFile)) : baseName;
+      return path.join(this.options.outputDir, `${fileName}.${extension}`);
     } else {
-      return path.join(this.options.outputDir, `${baseName}_${timestamp}.json`);
+      return path.join(this.options.outputDir, `${baseName}_${timestamp}.${extension}`);
     }
   }
 
+  /**
+   * Get file extension for a serialization format
+   * @param {string} format - Serialization format ('json', 'yaml', 'yml')
+   * @returns {string} File extension without the dot
+   * @private
+   */
+  getFileExtension(format) {
+    return ['yaml', 'yml'].includes(format.toLowerCase()) ? 'yaml' : 'json';
+  }
+
+  /**
+   * Infer the serialization format from a file name
+   * @param {string} filename - File name or path
+   * @returns {string} 'yaml' for .yaml/.yml files, otherwise 'json'
+   * @private
+   */
+  getFormatForFile(filename) {
+    return /\.ya?ml$/i.test(filename) ? 'yaml' : 'json';
+  }
+
+  /**
+   * Load an existing specification in the background, before the first endpoint is added or saved
+   * addEndpoint() and saveSpec() wait for it; if loading fails, it is retried by the next one of them
+   * In single file mode, later saves write to the same file instead of one named after the title
+   * @param {string} filePath - Path to existing spec file
+   * @param {Object} [options={}] - Load options, see loadSpec
+   * @returns {Promise<void>} Resolves once the specification is loaded
+   * @throws {Error} When the stored specification cannot be read
+   */
+  hydrate(filePath, options = {}) {
+    this.hydration = { filePath, options, promise: null };
+    this.specFile = filePath;
+    return this.whenHydrated();
+  }
+
+  /**
+   * Wait until the specification passed to hydrate() is loaded, starting a new attempt after a failed one
+   * @returns {Promise<void>} Resolves at once when nothing is left to load
+   * @throws {Error} When the stored specification cannot be read
+   */
+  whenHydrated() {
+    const { hydration } = this;
+    if (!hydration) {
+      return Promise.resolve();
+    }
+
+    if (!hydration.promise) {
+      hydration.promise = this.loadSpec(hydration.filePath, hydration.options).then(() => {
+        if (this.hydration === hydration) {
+          this.hydration = null;
+        }
+      }, error => {
+        hydration.promise = null;
+        throw error;
+      });
+    }
+    return hydration.promise;
+  }
+
   /**
    * Load existing OpenAPI specification
+   * With a storage backend the file is read through it, at its path relative to outputDir
+   * A file that cannot be parsed, e.g. after a crash mid-write, is kept as `<file>.corrupt-<timestamp>`
+   * and the newest valid backup is restored in its place
    * @param {string} filePath - Path to existing spec file
+   * @param {Object} [options={}] - Load options
+   * @param {string} [options.backupDir] - Directory holding backups of the specification, relative to the storage root with a storage backend
+   * @param {string} [options.backupPrefix=''] - File name prefix of the backups, e.g. 'API_backup_'
+   * @returns {Promise<string|null>} Path the specification was loaded from, or null when nothing was loaded
+   * @throws {Error} When the file exists but cannot be read, so a stored specification is never replaced by an empty one
    */
-  loadSpec(filePath) {
-    try {
-      if (fs.existsSync(filePath)) {
-        const specData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        this.spec = { ...this.spec, ...specData };
-        console.log(`OpenAPI spec loaded from: ${filePath}`);
+  async loadSpec(filePath, options = {}) {
+    const sourcePath = this.storage ? path.relative(this.options.outputDir, filePath) : filePath;
+    let content = await this.readStoredFile(sourcePath);
+    if (content === null) {
+      return null;
+    }
+
+    let specData = this.parseSpec(content);
+    let loadedFrom = sourcePath;
+    if (!specData) {
+      console.error(`❌ OpenAPI spec at ${sourcePath} is corrupt, recovering from backup`);
+      const backup = await this.recoverFromBackup(sourcePath, options);
+      if (!backup) {
+        return null;
       }
+      ({ specData, content, path: loadedFrom } = backup);
+    }
+    this.syncedHash = this.hashContent(content);
+
+    this.spec = { ...this.spec, ...specData };
+    if (this.options.privacyMode === 'strict') {
+      this.removeActualData(this.spec);
+    }
+    console.log(`OpenAPI spec loaded from: ${loadedFrom}`);
+    return loadedFrom;
+  }
+
+  /**
+   * Read a file from the storage backend, or from the local file system without one
+   * @param {string} filePath - Storage path, or local path without a storage backend
+   * @returns {Promise<string|null>} File content, or null when the file does not exist
+   * @private
+   */
+  async readStoredFile(filePath) {
+    if (this.storage) {
+      return (await this.storage.exists(filePath)) ? this.storage.readFile(filePath) : null;
+    }
+
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
     } catch (error) {
-      console.error('Error loading OpenAPI spec:', error);
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a saved specification
+   * Component schemas hoisted on save are inlined again, so new samples merge into each operation's own schemas
+   * @param {string} content - File content
+   * @returns {Object|null} Specification, or null when the content is truncated or not a specification
+   * @private
+   */
+  parseSpec(content) {
+    try {
+      const specData = JSON.parse(content);
+      const valid = specData && typeof specData === 'object' && !Array.isArray(specData) &&
+        specData.paths && typeof specData.paths === 'object';
+      return valid ? this.schemaComponents.inline(specData) : null;
+    } catch (e) {
+      return null;
     }
   }
 
+  /**
+   * Set a corrupt specification aside and restore the newest valid backup in its place
+   * @param {string} filePath - Path of the corrupt spec file
+   * @param {Object} options - Backup location, see loadSpec
+   * @returns {Promise<Object|null>} `{ specData, content, path }` of the restored backup, or null when no backup is valid
+   * @private
+   */
+  async recoverFromBackup(filePath, options) {
+    // Keep the corrupt file for inspection; the next save would overwrite it otherwise
+    const corruptPath = `${filePath}.corrupt-${moment().format('YYYY-MM-DD_HH-mm-ss')}`;
+    if (this.storage) {
+      await this.storage.copyFile(filePath, corruptPath);
+      await this.storage.deleteFile(filePath);
+    } else {
+      await fs.promises.rename(filePath, corruptPath);
+    }
+    console.error(`Corrupt OpenAPI spec kept at: ${corruptPath}`);
+
+    for (const backupPath of await this.listBackups(options)) {
+      const content = await this.readStoredFile(backupPath);
+      const specData = content === null ? null : this.parseSpec(content);
+      if (specData) {
+        if (this.storage) {
+          await this.storage.writeFile(filePath, content);
+        } else {
+          await writeFileAtomic(filePath, content);
+        }
+        console.log(`♻️ OpenAPI spec restored from backup: ${backupPath}`);
+        return { specData, content, path: backupPath };
+      }
+      console.error(`Skipping corrupt backup: ${backupPath}`);
+    }
+
+    console.error(`❌ No valid backup found for ${filePath}`);
+    return null;
+  }
+
+  /**
+   * List backups of the specification, newest first
+   * @param {Object} options - Backup location, see loadSpec
+   * @returns {Promise<Array<string>>} Backup paths
+   * @private
+   */
+  async listBackups({ backupDir, backupPrefix = '' }) {
+    if (!backupDir) {
+      return [];
+    }
+
+    let backupPaths;
+    if (this.storage) {
+      backupPaths = await this.storage.listFiles(backupDir);
+    } else if (fs.existsSync(backupDir)) {
+      backupPaths = fs.readdirSync(backupDir).map(file => path.join(backupDir, file));
+    } else {
+      return [];
+    }
+
+    const backups = [];
+    for (const backupPath of backupPaths) {
+      const file = path.basename(backupPath);
+      if (file.startsWith(backupPrefix) && file.endsWith('.json')) {
+        const mtime = this.storage
+          ? (await this.storage.getFileMetadata(backupPath)).lastModified
+          : fs.statSync(backupPath).mtime;
+        backups.push({ backupPath, mtime });
+      }
+    }
+
+    return backups
+      .sort((a, b) => b.mtime - a.mtime)
+      .map(({ backupPath }) => backupPath);
+  }
+
   /**
    * Export OpenAPI specification
-   * @param {string} [format='json'] - Export format
+   * Repeated object schemas are referenced from `components.schemas` unless componentSchemas is false
+   * @param {string} [format='json'] - Export format ('json', 'yaml', 'yml')
    * @returns {string} Exported specification
    */
   exportSpec(format = 'json') {
+    const spec = this.getExportedSpec();
     switch (format.toLowerCase()) {
-      case 'json':
-        return JSON.stringify(this.spec, null, 2);
-      case 'yaml':
-        // Note: Would need yaml library for YAML export
-        return JSON.stringify(this.spec, null, 2);
-      default:
-        return JSON.stringify(this.spec, null, 2);
+    case 'json':
+      return JSON.stringify(spec, null, 2);
+    case 'yaml':
+    case 'yml':
+      return new YAMLSerializer().stringify(spec);
+    default:
+      return JSON.stringify(spec, null, 2);
+    }
+  }
+
+  /**
+   * Build the specification as it is saved and exported
+   * Distinct values tracked for enum detection may be free text, so they never leave memory
+   * @returns {Object} Copy of the specification with repeated schemas hoisted, or inline
+   * @private
+   */
+  getExportedSpec() {
+    const spec = this.removeDistinctValues(JSON.parse(JSON.stringify(this.spec)));
+    return this.options.componentSchemas === false ? spec : this.schemaComponents.hoist(spec);
+  }
+
+  /**
+   * Remove the distinct values tracked for enum detection from a specification
+   * @param {Object} node - Specification or schema, updated in place
+   * @returns {Object} The same node
+   * @private
+   */
+  removeDistinctValues(node) {
+    if (!node || typeof node !== 'object') {
+      return node;
     }
+    delete node[SchemaMerger.DISTINCT_VALUES];
+    Object.keys(node).forEach(key => this.removeDistinctValues(node[key]));
+    return node;
   }
 
   /**
@@ -912,7 +1688,7 @@ class OpenAPIGenerator {
       totalPaths: paths.length,
       totalOperations: operations,
       totalTags: this.spec.tags.length,
-      totalSchemas: Object.keys(this.spec.components.schemas).length,
+      totalSchemas: Object.keys(this.getExportedSpec().components.schemas || {}).length,
       version: this.spec.info.version,
       title: this.spec.info.title
     };
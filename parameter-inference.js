@@ -0,0 +1,190 @@
+const SAMPLE_COUNT = 'x-sample-count';
+
+/**
+ * Parameter Inference
+ * Infers typed schemas for path and query parameters from the values observed across samples
+ */
+class ParameterInference {
+  /**
+   * Creates a new ParameterInference instance
+   * @param {Object} [options={}] - Configuration options for parameter inference
+   * @param {number} [options.enumMaxValues=10] - Maximum distinct values for a parameter to be described as an enum
+   * @param {number} [options.enumMinSamples=5] - Minimum samples before a parameter can be described as an enum
+   */
+  constructor(options = {}) {
+    this.options = {
+      enumMaxValues: options.enumMaxValues || 10,
+      enumMinSamples: options.enumMinSamples || 5,
+      ...options
+    };
+
+    this.observations = new Map(); // Track distinct values per parameter for enum detection
+  }
+
+  /**
+   * Infer a schema for a single parameter value
+   * Express delivers query and path values as strings, so strings are inspected for
+   * integers, numbers, booleans, dates and UUIDs; repeated keys arrive as arrays
+   * @param {*} value - Observed parameter value
+   * @returns {Object} JSON Schema
+   */
+  inferSchema(value) {
+    if (Array.isArray(value)) {
+      const items = value.reduce((merged, item) => this.mergeSchemas(merged, this.inferSchema(item)), null);
+      return { type: 'array', items: items || { type: 'string' } };
+    }
+
+    if (value && typeof value === 'object') {
+      const properties = {};
+      Object.keys(value).forEach(key => {
+        properties[key] = this.inferSchema(value[key]);
+      });
+      return { type: 'object', properties };
+    }
+
+    if (typeof value === 'number') {
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    }
+
+    if (typeof value === 'boolean') {
+      return { type: 'boolean' };
+    }
+
+    return this._inferStringSchema(value === undefined || value === null ? '' : String(value));
+  }
+
+  /**
+   * Merge two parameter schemas
+   * Numeric types widen to number, a scalar and an array of the same key widen to an array,
+   * and any other disagreement widens to a plain string
+   * @param {Object} [left] - First schema
+   * @param {Object} [right] - Second schema
+   * @returns {Object} Merged schema
+   */
+  mergeSchemas(left, right) {
+    if (!left) return right;
+    if (!right) return left;
+
+    if (left.type === 'array' || right.type === 'array') {
+      const leftItems = left.type === 'array' ? left.items : left;
+      const rightItems = right.type === 'array' ? right.items : right;
+      return { type: 'array', items: this.mergeSchemas(leftItems, rightItems) };
+    }
+
+    if (left.type === 'object' && right.type === 'object') {
+      const properties = { ...left.properties };
+      Object.keys(right.properties || {}).forEach(key => {
+        properties[key] = this.mergeSchemas(properties[key], right.properties[key]);
+      });
+      return { type: 'object', properties };
+    }
+
+    const numeric = ['integer', 'number'];
+    if (left.type !== right.type) {
+      if (numeric.includes(left.type) && numeric.includes(right.type)) {
+        return { type: 'number' };
+      }
+      return { type: 'string' };
+    }
+
+    const merged = { ...left };
+    if (left.format !== right.format) {
+      delete merged.format;
+    }
+    return merged;
+  }
+
+  /**
+   * Serialization style for a query parameter schema
+   * @param {Object} schema - Parameter schema
+   * @returns {Object} `style`/`explode` fields, empty for scalars
+   */
+  getQueryStyle(schema) {
+    if (schema.type === 'array') {
+      // ?tag=a&tag=b
+      return { style: 'form', explode: true };
+    }
+    if (schema.type === 'object') {
+      // ?filter[status]=open
+      return { style: 'deepObject', explode: true };
+    }
+    return {};
+  }
+
+  /**
+   * Record an observed value of a parameter and return its schema with enum applied
+   * A plain string parameter (or array of strings) becomes an enum once enough samples
+   * have been seen and the values repeat within a small set
+   * @param {string} key - Unique parameter key (operation, location and name)
+   * @param {*} value - Observed value
+   * @param {Object} parameter - Merged parameter object
+   * @returns {Object} Parameter schema, with `enum` set or removed
+   */
+  observe(key, value, parameter) {
+    const schema = { ...parameter.schema };
+    const target = schema.type === 'array' ? { ...schema.items } : schema;
+
+    let observation = this.observations.get(key);
+    if (!observation) {
+      // Seed from a previously saved specification
+      observation = {
+        count: Math.max((parameter[SAMPLE_COUNT] || 1) - 1, 0),
+        values: new Set(target.enum || [])
+      };
+      this.observations.set(key, observation);
+    }
+
+    observation.count++;
+    [].concat(value).forEach(item => {
+      if (observation.values.size <= this.options.enumMaxValues) {
+        observation.values.add(String(item));
+      }
+    });
+
+    const isEnum = target.type === 'string' && !target.format &&
+      observation.count >= this.options.enumMinSamples &&
+      observation.values.size <= this.options.enumMaxValues &&
+      observation.values.size < observation.count;
+
+    if (isEnum) {
+      target.enum = [...observation.values].sort();
+    } else {
+      delete target.enum;
+    }
+
+    if (schema.type === 'array') {
+      schema.items = target;
+    }
+    return schema;
+  }
+
+  /**
+   * Infer a schema for a string value
+   * @param {string} value - String value
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  _inferStringSchema(value) {
+    if (/^-?(0|[1-9]\d{0,14})$/.test(value)) {
+      return { type: 'integer' };
+    }
+    if (/^-?(0|[1-9]\d*)?\.\d+([eE][-+]?\d+)?$/.test(value) || /^-?(0|[1-9]\d*)[eE][-+]?\d+$/.test(value)) {
+      return { type: 'number' };
+    }
+    if (value === 'true' || value === 'false') {
+      return { type: 'boolean' };
+    }
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value) && !isNaN(Date.parse(value))) {
+      return { type: 'string', format: 'date-time' };
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) {
+      return { type: 'string', format: 'date' };
+    }
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+      return { type: 'string', format: 'uuid' };
+    }
+    return { type: 'string' };
+  }
+}
+
+module.exports = ParameterInference;
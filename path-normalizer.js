@@ -0,0 +1,242 @@
+/**
+ * Path segment shapes treated as resource identifiers when no route template is available
+ * Ordered from most to least specific
+ */
+const DEFAULT_ID_PATTERNS = [
+  { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { name: 'objectid', pattern: /^[0-9a-f]{24}$/i },
+  { name: 'ulid', pattern: /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i },
+  { name: 'numeric', pattern: /^\d+$/ },
+  { name: 'hex', pattern: /^(?=.*\d)[0-9a-f]{16,}$/i }
+];
+
+/**
+ * Path Normalizer
+ * Turns concrete request paths into OpenAPI path templates with uniquely named parameters
+ */
+class PathNormalizer {
+  /**
+   * Creates a new PathNormalizer instance
+   * @param {Object} [options={}] - Configuration options for the normalizer
+   * @param {Array<Object>} [options.idPatterns] - Additional `{ name, pattern }` identifier shapes
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      idPatterns: [...(options.idPatterns || []), ...DEFAULT_ID_PATTERNS]
+    };
+  }
+
+  /**
+   * Normalize the path of a captured request
+   * Uses the Express route template (`routePath`) when it was recorded, normalizing only the
+   * concrete mount path (`baseUrl`) heuristically; otherwise the whole path is normalized heuristically
+   * @param {Object} request - Captured request data
+   * @param {string} request.path - Request path
+   * @param {string} [request.baseUrl] - Mount path of the router that handled the request
+   * @param {string} [request.routePath] - Express route template, e.g. `/users/:userId`
+   * @param {Object} [request.params] - Path parameter values
+   * @returns {Object} Normalized `{ path, params }` where params maps parameter names to observed values
+   */
+  normalize(request) {
+    const params = request.params || {};
+    const concretePath = this._joinBaseUrl(request.baseUrl, request.path || '/');
+
+    if (typeof request.routePath !== 'string') {
+      return this.normalizePath(concretePath, params);
+    }
+
+    const used = new Set(this._templateNames(request.routePath));
+    const base = this.normalizePath(request.baseUrl || '', params, used);
+    const route = this.convertRouteTemplate(request.routePath, params);
+
+    return {
+      path: this._tidy(`${base.path === '/' ? '' : base.path}${route.path}`),
+      params: { ...base.params, ...route.params }
+    };
+  }
+
+  /**
+   * Convert an Express route template to an OpenAPI path template
+   * `:id` becomes `{id}`, regex constraints are dropped, optional parameters that were
+   * not supplied are removed and `*` wildcards become `{wildcard}` parameters
+   * @param {string} template - Express route template
+   * @param {Object} [params={}] - Path parameter values
+   * @returns {Object} Converted `{ path, params }`
+   */
+  convertRouteTemplate(template, params = {}) {
+    const found = {};
+    let wildcardIndex = 0;
+
+    let converted = template.replace(/(\/)?:(\w+)(\([^)]*\))?(\?)?/g, (match, slash, name, pattern, optional) => {
+      if (optional && params[name] === undefined) {
+        return '';
+      }
+      found[name] = params[name];
+      return `${slash || ''}{${name}}`;
+    });
+
+    converted = converted.replace(/\*/g, () => {
+      const name = wildcardIndex === 0 ? 'wildcard' : `wildcard${wildcardIndex + 1}`;
+      found[name] = params[wildcardIndex];
+      wildcardIndex++;
+      return `{${name}}`;
+    });
+
+    return { path: this._tidy(converted), params: found };
+  }
+
+  /**
+   * Heuristically parameterize a concrete path
+   * Segments matching a known path parameter value take that parameter's name; segments
+   * shaped like identifiers are named after the preceding resource, e.g. `/users/42` becomes
+   * `/users/{userId}`. Names are made unique within the path.
+   * @param {string} path - Concrete request path
+   * @param {Object} [params={}] - Known path parameter values
+   * @param {Set<string>} [used] - Parameter names already taken
+   * @returns {Object} Normalized `{ path, params }`
+   */
+  normalizePath(path, params = {}, used = new Set()) {
+    const found = {};
+    const segments = this._tidy(path).split('/');
+    let previousIsResource = false;
+
+    const normalized = segments.map((segment, index) => {
+      if (!segment) {
+        return segment;
+      }
+
+      // Express decodes parameter values while the path stays encoded
+      const decoded = this._decode(segment);
+      const knownName = Object.keys(params).find(name =>
+        !used.has(name) && (String(params[name]) === segment || String(params[name]) === decoded)
+      );
+      const isIdentifier = knownName || this.isIdentifier(segment);
+
+      if (!isIdentifier) {
+        previousIsResource = true;
+        return segment;
+      }
+
+      const baseName = knownName ||
+        (previousIsResource ? `${this._singularize(segments[index - 1])}Id` : 'id');
+      const name = this._uniqueName(baseName, used);
+      used.add(name);
+      found[name] = segment;
+      previousIsResource = false;
+      return `{${name}}`;
+    });
+
+    return { path: normalized.join('/') || '/', params: found };
+  }
+
+  /**
+   * Check whether a path segment looks like a resource identifier
+   * @param {string} segment - Path segment
+   * @returns {boolean} True if the segment matches one of the identifier patterns
+   */
+  isIdentifier(segment) {
+    return this.options.idPatterns.some(({ pattern }) => pattern.test(segment));
+  }
+
+  /**
+   * Parameter names declared in an Express route template
+   * @param {string} template - Express route template
+   * @returns {Array<string>} Parameter names
+   * @private
+   */
+  _templateNames(template) {
+    return (template.match(/:(\w+)/g) || []).map(token => token.slice(1));
+  }
+
+  /**
+   * Prefix a router-relative path with its mount path
+   * @param {string} [baseUrl] - Mount path
+   * @param {string} path - Path, possibly relative to the mount path
+   * @returns {string} Full path
+   * @private
+   */
+  _joinBaseUrl(baseUrl, path) {
+    if (!baseUrl || path === baseUrl || path.startsWith(`${baseUrl}/`)) {
+      return path;
+    }
+    return `${baseUrl}${path === '/' ? '' : path}`;
+  }
+
+  /**
+   * Decode a path segment, keeping malformed input as it is
+   * @param {string} segment - Encoded path segment
+   * @returns {string} Decoded segment
+   * @private
+   */
+  _decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+
+  /**
+   * Collapse duplicate slashes and drop the trailing slash
+   * @param {string} path - Path to tidy
+   * @returns {string} Tidy path, `/` for the root
+   * @private
+   */
+  _tidy(path) {
+    const tidy = `/${path}`.replace(/\/{2,}/g, '/').replace(/\/$/, '');
+    return tidy || '/';
+  }
+
+  /**
+   * Turn a resource segment into a singular camelCase name
+   * @param {string} segment - Path segment, e.g. `user-groups`
+   * @returns {string} Name, e.g. `userGroup`
+   * @private
+   */
+  _singularize(segment) {
+    const words = segment.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    if (words.length === 0) {
+      return 'resource';
+    }
+
+    let last = words[words.length - 1];
+    if (/ies$/i.test(last)) {
+      last = last.replace(/ies$/i, 'y');
+    } else if (/(ss|[xz]|ch|sh)es$/i.test(last)) {
+      last = last.replace(/es$/i, '');
+    } else if (/[^s]s$/i.test(last)) {
+      last = last.slice(0, -1);
+    }
+    words[words.length - 1] = last;
+
+    const name = words
+      .map((word, index) => (index === 0
+        ? word.charAt(0).toLowerCase() + word.slice(1)
+        : word.charAt(0).toUpperCase() + word.slice(1)))
+      .join('');
+    return /^\d/.test(name) ? `_${name}` : name;
+  }
+
+  /**
+   * Make a parameter name unique by appending a counter
+   * @param {string} name - Preferred name
+   * @param {Set<string>} used - Names already taken
+   * @returns {string} Unique name
+   * @private
+   */
+  _uniqueName(name, used) {
+    if (!used.has(name)) {
+      return name;
+    }
+    let counter = 2;
+    while (used.has(`${name}${counter}`)) {
+      counter++;
+    }
+    return `${name}${counter}`;
+  }
+}
+
+PathNormalizer.DEFAULT_ID_PATTERNS = DEFAULT_ID_PATTERNS;
+
+module.exports = PathNormalizer;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const RedactionEngine = require('./redaction-engine');
+
+// Keys that only ever hold unredacted captured data
+const ACTUAL_DATA_KEYS = ['x-actual-data', 'x-distinct-values', 'bodyActual', 'actualValue'];
+
+// Sections describing the API itself rather than captured traffic
+const CONFIGURED_SECTIONS = ['info', 'servers', 'externalDocs'];
+
+/**
+ * Privacy Scanner
+ * Verifies that an OpenAPI specification holds none of the values redacted during capture
+ *
+ * Redacted originals are remembered only as HMAC fingerprints under a key generated for the
+ * process, so the scanner never keeps the values themselves and its state cannot be persisted
+ * usefully. Strings in the specification are compared whole, and substrings found by the
+ * redaction detectors are compared as well, which catches originals embedded in longer text.
+ */
+class PrivacyScanner {
+  /**
+   * Creates a new PrivacyScanner instance
+   * @param {Object} [options={}] - Configuration options for the scanner
+   * @param {Array<Object>} [options.patterns] - `{ pattern, validate }` detectors used to find embedded originals (built-in detectors by default)
+   * @param {number} [options.minLength=4] - Shortest value remembered; shorter values are too common to report reliably
+   * @param {number} [options.maxFingerprints=10000] - Fingerprints kept before the oldest are forgotten
+   */
+  constructor(options = {}) {
+    this.options = {
+      minLength: options.minLength || 4,
+      maxFingerprints: options.maxFingerprints || 10000,
+      ...options
+    };
+
+    this.patterns = options.patterns || new RedactionEngine().getPatterns();
+    this.key = crypto.randomBytes(32);
+    this.fingerprints = new Set();
+  }
+
+  /**
+   * Remember a redacted original
+   * Objects and arrays are remembered leaf by leaf
+   * @param {*} value - Original value that was redacted
+   * @returns {PrivacyScanner} This scanner, for chaining
+   */
+  remember(value) {
+    this._collectScalars(value, new Set()).forEach(text => {
+      if (text.length < this.options.minLength) {
+        return;
+      }
+      const fingerprint = this._fingerprint(text);
+      this.fingerprints.delete(fingerprint);
+      this.fingerprints.add(fingerprint);
+      if (this.fingerprints.size > this.options.maxFingerprints) {
+        this.fingerprints.delete(this.fingerprints.values().next().value);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Scan a specification for actual data
+   * Findings never include the offending value, only where it is and why it was reported
+   * @param {Object} spec - OpenAPI specification object
+   * @param {Object} [options={}] - Scan options
+   * @param {Array<Object>} [options.patterns] - Detectors to use instead of the scanner's own
+   * @param {boolean} [options.reportDetected=false] - Also report detector matches that were never remembered,
+   *   for specifications written by another process; `info`, `servers` and `externalDocs` are not checked
+   * @returns {Array<Object>} Findings as `{ pointer, reason }`, where reason is 'actual-data', 'actual-example',
+   *   'redacted-value' or 'detected-value' and pointer is a JSON Pointer
+   */
+  scan(spec, options = {}) {
+    const context = {
+      patterns: options.patterns || this.patterns,
+      reportDetected: options.reportDetected === true,
+      findings: []
+    };
+    this._scanNode(spec, [], context, new Set());
+    return context.findings;
+  }
+
+  /**
+   * Walk a node of the specification
+   * @param {*} node - Current node
+   * @param {Array<string>} path - Keys leading to the node
+   * @param {Object} context - Patterns, flags and collected findings
+   * @param {Set} ancestors - Objects on the current path
+   * @private
+   */
+  _scanNode(node, path, context, ancestors) {
+    if (node && typeof node === 'object') {
+      if (ancestors.has(node)) {
+        return;
+      }
+      ancestors.add(node);
+      Object.keys(node).forEach(key => {
+        const childPath = [...path, key];
+        if (ACTUAL_DATA_KEYS.includes(key)) {
+          context.findings.push({ pointer: this._toPointer(childPath), reason: 'actual-data' });
+        } else if (key === 'actual' && path[path.length - 1] === 'examples') {
+          context.findings.push({ pointer: this._toPointer(childPath), reason: 'actual-example' });
+        } else {
+          this._scanNode(node[key], childPath, context, ancestors);
+        }
+      });
+      ancestors.delete(node);
+      return;
+    }
+
+    if (typeof node === 'string' || typeof node === 'number') {
+      const reason = this._checkScalar(String(node), context, !CONFIGURED_SECTIONS.includes(path[0]));
+      if (reason) {
+        context.findings.push({ pointer: this._toPointer(path), reason });
+      }
+    }
+  }
+
+  /**
+   * Check a scalar against the remembered fingerprints and the detectors
+   * @param {string} text - Scalar as text
+   * @param {Object} context - Patterns and flags
+   * @param {boolean} capturedSection - Whether the scalar may come from captured traffic
+   * @returns {string|null} Reason to report, or null when the value is clean
+   * @private
+   */
+  _checkScalar(text, context, capturedSection) {
+    if (this.fingerprints.has(this._fingerprint(text))) {
+      return 'redacted-value';
+    }
+
+    let detected = false;
+    for (const { pattern, validate } of context.patterns) {
+      for (const match of text.match(pattern) || []) {
+        if (this.fingerprints.has(this._fingerprint(match))) {
+          return 'redacted-value';
+        }
+        if (!validate || validate(match)) {
+          detected = true;
+        }
+      }
+    }
+
+    return detected && context.reportDetected && capturedSection ? 'detected-value' : null;
+  }
+
+  /**
+   * Collect the scalar leaves of a value as text
+   * @param {*} value - Value
+   * @param {Set} ancestors - Objects on the current path
+   * @returns {Array<string>} Scalars as text
+   * @private
+   */
+  _collectScalars(value, ancestors) {
+    if (value && typeof value === 'object') {
+      if (ancestors.has(value)) {
+        return [];
+      }
+      ancestors.add(value);
+      const scalars = Object.keys(value).reduce((all, key) => all.concat(this._collectScalars(value[key], ancestors)), []);
+      ancestors.delete(value);
+      return scalars;
+    }
+    return typeof value === 'string' || typeof value === 'number' ? [String(value)] : [];
+  }
+
+  /**
+   * Fingerprint a value with the process key
+   * @param {string} text - Value as text
+   * @returns {string} Hex digest
+   * @private
+   */
+  _fingerprint(text) {
+    return crypto.createHmac('sha256', this.key).update(text).digest('hex');
+  }
+
+  /**
+   * Format a path as a JSON Pointer
+   * @param {Array<string>} path - Keys
+   * @returns {string} JSON Pointer, e.g. '/paths/~1login/post'
+   * @private
+   */
+  _toPointer(path) {
+    return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+  }
+}
+
+PrivacyScanner.ACTUAL_DATA_KEYS = ACTUAL_DATA_KEYS;
+
+module.exports = PrivacyScanner;
@@ -0,0 +1,521 @@
+const crypto = require('crypto');
+
+const ACTIONS = ['remove', 'mask-last-4', 'hash', 'replace'];
+const SCOPES = ['headers', 'query', 'cookies', 'params', 'body'];
+
+// Returned by the walker for values that must be dropped from their parent
+const REMOVED = Symbol('removed');
+
+/**
+ * Check a digit string with the Luhn checksum used by payment cards
+ * @param {string} value - Candidate card number, separators allowed
+ * @returns {boolean} True if the digits form a valid card number
+ */
+const isLuhnValid = (value) => {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} value - Candidate IBAN, spaces allowed
+ * @returns {boolean} True if the checksum is valid
+ */
+const isIbanValid = (value) => {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+/**
+ * Built-in value detectors
+ * Each detector finds candidate substrings with a global pattern and confirms them with an optional validator
+ */
+const DETECTORS = {
+  creditCard: {
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    validate: isLuhnValid
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+  },
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  phone: {
+    // International numbers, numbers with an area code in parentheses and 3-3-4 numbers
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}|\d{3}[.-]\d{3}[.-]\d{4})(?![ .-]?\d)(?!\w)/g,
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    }
+  },
+  iban: {
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: isIbanValid
+  }
+};
+
+/**
+ * Redaction Engine
+ * Applies a policy of redaction rules to headers, query parameters, cookies, path parameters and bodies
+ *
+ * A rule selects values by key (`selector`), by content (`detector`) or both, and applies an `action`:
+ * - `selector`: a key name such as `password`, or a JSONPath-like expression such as `$.user.password`,
+ *   `$..token`, `$.cards[*].number` or `$['x-api-key']`; names compare case-insensitively
+ * - `match`: `exact` (default) or `contains` for selector names
+ * - `detector`: `creditCard`, `jwt`, `email`, `phone`, `iban`, a custom detector name, a RegExp or a
+ *   `(value) => boolean` function; pattern detectors redact only the matching part of a string
+ * - `action`: `replace` (default), `remove`, `mask-last-4` or `hash`
+ * - `scopes`: parts of the request/response the rule applies to, all by default
+ */
+class RedactionEngine {
+  /**
+   * Creates a new RedactionEngine instance
+   * @param {Object} [options={}] - Configuration options for the engine
+   * @param {Array<Object>} [options.rules=[]] - Redaction rules
+   * @param {string} [options.hashSalt=''] - Secret mixed into deterministic hashes
+   * @param {Object} [options.detectors={}] - Additional named detectors, `{ pattern, validate }` objects
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      hashSalt: options.hashSalt || ''
+    };
+
+    this.detectors = { ...DETECTORS, ...(options.detectors || {}) };
+    this.rules = [];
+    (options.rules || []).forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * Add a redaction rule to the policy
+   * @param {Object} rule - Redaction rule
+   * @param {string} [rule.name] - Name reported with each redaction
+   * @param {string} [rule.selector] - Key name or JSONPath-like expression
+   * @param {string} [rule.match='exact'] - Selector name matching, 'exact' or 'contains'
+   * @param {string|RegExp|Function} [rule.detector] - Value detector
+   * @param {string} [rule.action='replace'] - 'remove', 'mask-last-4', 'hash' or 'replace'
+   * @param {*} [rule.replacement='[REDACTED]'] - Replacement value for the 'replace' action
+   * @param {string|Array<string>} [rule.scopes] - Scopes the rule applies to
+   * @returns {RedactionEngine} This engine, for chaining
+   * @throws {Error} When the rule is invalid
+   */
+  addRule(rule) {
+    this.rules.push(this._normalizeRule(rule));
+    return this;
+  }
+
+  /**
+   * Redact a value
+   * The input is never modified; a redacted copy is returned, with circular references replaced by '[Circular]'
+   * @param {*} value - Headers, query, cookies, params or body to redact
+   * @param {string} scope - Scope of the value ('headers', 'query', 'cookies', 'params' or 'body')
+   * @returns {Object} `{ value, redactions }` where each redaction lists the `path`, `rule` and `action` applied,
+   *   and pattern detectors add the original `matches`
+   */
+  redact(value, scope) {
+    const rules = this.rules.filter(rule => !rule.scopes || rule.scopes.includes(scope));
+    if (value === null || value === undefined) {
+      return { value, redactions: [] };
+    }
+
+    const redactions = [];
+    const redacted = this._walk(value, [], rules, redactions, new Set());
+    return {
+      value: redacted === REMOVED ? undefined : redacted,
+      redactions
+    };
+  }
+
+  /**
+   * Deterministically hash a value, so equal values stay correlatable after redaction
+   * @param {*} value - Value to hash
+   * @returns {string} `sha256:` followed by the first 16 hex characters of the salted digest
+   */
+  hash(value) {
+    const digest = crypto.createHmac('sha256', this.options.hashSalt).update(this._stringify(value)).digest('hex');
+    return `sha256:${digest.slice(0, 16)}`;
+  }
+
+  /**
+   * Pattern detectors known to the policy, named ones and those given inline on rules
+   * @returns {Array<Object>} `{ pattern, validate }` detectors with global patterns
+   */
+  getPatterns() {
+    const named = Object.keys(this.detectors)
+      .filter(name => typeof this.detectors[name] !== 'function')
+      .map(name => this._resolveDetector(name));
+    const inline = this.rules
+      .map(rule => rule.detector)
+      .filter(detector => detector && typeof detector !== 'function');
+    const unique = new Map();
+    [...named, ...inline].forEach(detector => {
+      unique.set(`${detector.pattern.source}/${detector.pattern.flags}`, detector);
+    });
+    return [...unique.values()];
+  }
+
+  /**
+   * Apply an action to a value
+   * @param {Object} rule - Normalized rule
+   * @param {*} value - Value to redact
+   * @returns {*} Redacted value, or REMOVED
+   * @private
+   */
+  _applyAction(rule, value) {
+    switch (rule.action) {
+    case 'remove':
+      return REMOVED;
+    case 'mask-last-4': {
+      const text = this._stringify(value);
+      return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+    }
+    case 'hash':
+      return this.hash(value);
+    default:
+      return rule.replacement;
+    }
+  }
+
+  /**
+   * Walk a value, applying selector rules to keys and detector rules to scalars
+   * @param {*} value - Value at the current path
+   * @param {Array<string|number>} path - Keys and indices leading to the value
+   * @param {Array<Object>} rules - Rules in scope
+   * @param {Array<Object>} redactions - Collected redactions
+   * @param {Set} ancestors - Objects on the current path, to stop at circular references
+   * @returns {*} Redacted copy, or REMOVED
+   * @private
+   */
+  _walk(value, path, rules, redactions, ancestors) {
+    if (path.length > 0) {
+      const keyRule = rules.find(rule => rule.selector && !rule.detector && this._matchesPath(rule, path));
+      if (keyRule) {
+        redactions.push({ path, rule: keyRule.name, action: keyRule.action });
+        return this._applyAction(keyRule, value);
+      }
+    }
+
+    if (Array.isArray(value) || this._isPlainObject(value)) {
+      if (ancestors.has(value)) {
+        return '[Circular]';
+      }
+      ancestors.add(value);
+
+      let copy;
+      if (Array.isArray(value)) {
+        copy = [];
+        value.forEach((item, index) => {
+          const redacted = this._walk(item, [...path, index], rules, redactions, ancestors);
+          if (redacted !== REMOVED) copy.push(redacted);
+        });
+      } else {
+        copy = {};
+        Object.keys(value).forEach(key => {
+          const redacted = this._walk(value[key], [...path, key], rules, redactions, ancestors);
+          if (redacted !== REMOVED) copy[key] = redacted;
+        });
+      }
+
+      ancestors.delete(value);
+      return copy;
+    }
+
+    if (typeof value === 'string' || typeof value === 'number') {
+      return this._detect(value, path, rules, redactions);
+    }
+
+    return value;
+  }
+
+  /**
+   * Apply detector rules to a scalar
+   * @param {string|number} value - Scalar value
+   * @param {Array<string|number>} path - Path of the value
+   * @param {Array<Object>} rules - Rules in scope
+   * @param {Array<Object>} redactions - Collected redactions
+   * @returns {*} Redacted value, or REMOVED
+   * @private
+   */
+  _detect(value, path, rules, redactions) {
+    let current = value;
+
+    for (const rule of rules) {
+      if (!rule.detector || (rule.selector && !this._matchesPathOrAncestor(rule, path))) {
+        continue;
+      }
+
+      const text = String(current);
+      const { detector } = rule;
+
+      if (typeof detector === 'function') {
+        if (detector(current)) {
+          redactions.push({ path, rule: rule.name, action: rule.action });
+          return this._applyAction(rule, current);
+        }
+        continue;
+      }
+
+      const matches = [];
+      const redacted = text.replace(detector.pattern, match => {
+        if (detector.validate && !detector.validate(match)) {
+          return match;
+        }
+        matches.push(match);
+        const replacement = this._applyAction(rule, match);
+        return replacement === REMOVED ? '' : String(replacement);
+      });
+
+      if (matches.length > 0) {
+        redactions.push({ path, rule: rule.name, action: rule.action, matches });
+        current = redacted;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Check whether a rule's selector matches a path
+   * @param {Object} rule - Normalized rule
+   * @param {Array<string|number>} path - Keys and indices
+   * @returns {boolean} True if matched
+   * @private
+   */
+  _matchesPath(rule, path) {
+    if (!rule.tokens) {
+      // Plain key names match the last key at any depth
+      return this._matchesName(rule, path[path.length - 1]);
+    }
+    return this._matchTokens(rule, rule.tokens, 0, path, 0);
+  }
+
+  /**
+   * Check whether a rule's selector matches a path or one of its ancestors
+   * @param {Object} rule - Normalized rule
+   * @param {Array<string|number>} path - Keys and indices
+   * @returns {boolean} True if matched
+   * @private
+   */
+  _matchesPathOrAncestor(rule, path) {
+    for (let depth = path.length; depth > 0; depth--) {
+      if (this._matchesPath(rule, path.slice(0, depth))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Match selector tokens against a path
+   * @param {Object} rule - Normalized rule
+   * @param {Array<Object>} tokens - Parsed selector tokens
+   * @param {number} tokenIndex - Current token
+   * @param {Array<string|number>} path - Keys and indices
+   * @param {number} pathIndex - Current path segment
+   * @returns {boolean} True if the remaining tokens match the remaining path
+   * @private
+   */
+  _matchTokens(rule, tokens, tokenIndex, path, pathIndex) {
+    if (tokenIndex === tokens.length) {
+      return pathIndex === path.length;
+    }
+
+    const token = tokens[tokenIndex];
+    if (token.descendant) {
+      for (let index = pathIndex; index < path.length; index++) {
+        if (this._matchesToken(rule, token, path[index]) &&
+          this._matchTokens(rule, tokens, tokenIndex + 1, path, index + 1)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    return pathIndex < path.length &&
+      this._matchesToken(rule, token, path[pathIndex]) &&
+      this._matchTokens(rule, tokens, tokenIndex + 1, path, pathIndex + 1);
+  }
+
+  /**
+   * Match a single selector token against a path segment
+   * @param {Object} rule - Normalized rule
+   * @param {Object} token - Selector token
+   * @param {string|number} segment - Path segment
+   * @returns {boolean} True if matched
+   * @private
+   */
+  _matchesToken(rule, token, segment) {
+    if (token.wildcard) return true;
+    if (token.index !== undefined) return segment === token.index;
+    return typeof segment === 'string' && this._matchesName(rule, segment, token.name);
+  }
+
+  /**
+   * Compare a key with a selector name
+   * @param {Object} rule - Normalized rule
+   * @param {string|number} key - Key being checked
+   * @param {string} [name=rule.selector] - Selector name
+   * @returns {boolean} True if matched
+   * @private
+   */
+  _matchesName(rule, key, name = rule.selector) {
+    if (typeof key !== 'string') return false;
+    const lowerKey = key.toLowerCase();
+    const lowerName = name.toLowerCase();
+    return rule.match === 'contains' ? lowerKey.includes(lowerName) : lowerKey === lowerName;
+  }
+
+  /**
+   * Parse a JSONPath-like selector into tokens
+   * Supports `.name`, `..name`, `['name']`, `[n]`, `[*]` and `.*`
+   * @param {string} selector - Selector starting with `$`
+   * @returns {Array<Object>} Tokens
+   * @throws {Error} When the selector cannot be parsed
+   * @private
+   */
+  _parseSelector(selector) {
+    const tokens = [];
+    const tokenPattern = /(\.\.|\.)?(?:(\*)|([A-Za-z0-9_$-]+)|\[(\*)\]|\[(\d+)\]|\[(['"])(.*?)\6\])/y;
+    let index = 1;
+
+    while (index < selector.length) {
+      tokenPattern.lastIndex = index;
+      const match = tokenPattern.exec(selector);
+      if (!match || (!match[1] && (match[2] || match[3]))) {
+        throw new Error(`Invalid redaction selector: ${selector}`);
+      }
+
+      const [, dots, star, name, bracketStar, bracketIndex, , quotedName] = match;
+      const token = { descendant: dots === '..' };
+      if (star || bracketStar) {
+        token.wildcard = true;
+      } else if (bracketIndex !== undefined) {
+        token.index = Number(bracketIndex);
+      } else {
+        token.name = name !== undefined ? name : quotedName;
+      }
+      tokens.push(token);
+      index = tokenPattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Validate and normalize a rule
+   * @param {Object} rule - Rule as configured
+   * @returns {Object} Normalized rule
+   * @throws {Error} When the rule is invalid
+   * @private
+   */
+  _normalizeRule(rule) {
+    if (!rule || (!rule.selector && !rule.detector)) {
+      throw new Error('Redaction rule needs a selector or a detector');
+    }
+
+    const action = rule.action || 'replace';
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown redaction action: ${action}`);
+    }
+
+    const scopes = rule.scopes ? [].concat(rule.scopes) : null;
+    (scopes || []).forEach(scope => {
+      if (!SCOPES.includes(scope)) {
+        throw new Error(`Unknown redaction scope: ${scope}`);
+      }
+    });
+
+    return {
+      name: rule.name || rule.selector || String(rule.detector.name || rule.detector),
+      selector: rule.selector,
+      tokens: rule.selector && rule.selector.startsWith('$') ? this._parseSelector(rule.selector) : null,
+      match: rule.match === 'contains' ? 'contains' : 'exact',
+      detector: rule.detector ? this._resolveDetector(rule.detector) : null,
+      action,
+      replacement: rule.replacement !== undefined ? rule.replacement : '[REDACTED]',
+      scopes
+    };
+  }
+
+  /**
+   * Resolve a detector name, RegExp or function
+   * @param {string|RegExp|Function|Object} detector - Detector as configured
+   * @returns {Function|Object} Function detector or `{ pattern, validate }` with a global pattern
+   * @throws {Error} When a named detector does not exist or has no pattern
+   * @private
+   */
+  _resolveDetector(detector) {
+    if (typeof detector === 'string' && !this.detectors[detector]) {
+      throw new Error(`Unknown redaction detector: ${detector}`);
+    }
+
+    const resolved = typeof detector === 'string' ? this.detectors[detector] : detector;
+    if (typeof resolved === 'function') {
+      return resolved;
+    }
+
+    const { pattern, validate } = resolved instanceof RegExp ? { pattern: resolved } : resolved;
+    if (!(pattern instanceof RegExp)) {
+      throw new Error('Redaction detector needs a pattern or a function');
+    }
+    return {
+      pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`),
+      validate
+    };
+  }
+
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - Value to check
+   * @returns {boolean} True for object literals and null-prototype objects
+   * @private
+   */
+  _isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+
+  /**
+   * Turn a value into text for masking and hashing
+   * @param {*} value - Value
+   * @returns {string} Text
+   * @private
+   */
+  _stringify(value) {
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value) || String(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+}
+
+RedactionEngine.DETECTORS = DETECTORS;
+RedactionEngine.ACTIONS = ACTIONS;
+RedactionEngine.SCOPES = SCOPES;
+
+module.exports = RedactionEngine;
@@ -0,0 +1,197 @@
+const { performance } = require('perf_hooks');
+
+// Reservoir windows are pruned once this many operations are tracked
+const MAX_RESERVOIR_KEYS = 1000;
+
+// performance.eventLoopUtilization() exists from Node 14.10; without it the adaptive strategy never backs off
+const CAN_MEASURE_UTILIZATION = typeof performance.eventLoopUtilization === 'function';
+
+/**
+ * Sampler
+ * Decides which requests are captured, so capture cost stays bounded under production traffic
+ *
+ * A request is decided in two steps:
+ * - `begin` runs when the request arrives and applies the percentage rate, scaled down by the
+ *   adaptive strategy while the event loop is busy; only sampled requests are recorded in full
+ * - `finish` runs when the response is done and applies the per-operation reservoir, which needs
+ *   the matched route, and the always-capture-errors rule, which needs the status code
+ */
+class Sampler {
+  /**
+   * Creates a new Sampler instance
+   * @param {Object} [options={}] - Sampling strategies
+   * @param {number} [options.rate=1] - Fraction of requests to capture, from 0 to 1
+   * @param {Object} [options.reservoir] - Keep at most `size` samples per operation per window
+   * @param {number} options.reservoir.size - Samples kept per operation and window
+   * @param {number} [options.reservoir.windowMs=3600000] - Window length in milliseconds
+   * @param {boolean} [options.alwaysCaptureErrors=true] - Capture every 4xx/5xx response regardless of the other strategies
+   * @param {Object} [options.adaptive] - Back off while the event loop is under pressure (Node >= 14.10)
+   * @param {number} [options.adaptive.maxUtilization=0.8] - Event loop utilization above which the rate is scaled down
+   * @param {number} [options.adaptive.minRate=0.01] - Lowest rate the adaptive strategy backs off to
+   * @param {number} [options.adaptive.intervalMs=1000] - How often the utilization is measured
+   * @param {Function} [options.random=Math.random] - Random number source, for tests
+   * @throws {Error} When the rate or reservoir size is invalid
+   */
+  constructor(options = {}) {
+    this.options = {
+      rate: options.rate === undefined ? 1 : options.rate,
+      reservoir: options.reservoir ? { windowMs: 60 * 60 * 1000, ...options.reservoir } : null,
+      alwaysCaptureErrors: options.alwaysCaptureErrors !== false,
+      adaptive: options.adaptive ? { maxUtilization: 0.8, minRate: 0.01, intervalMs: 1000, ...options.adaptive } : null,
+      random: options.random || Math.random
+    };
+
+    if (typeof this.options.rate !== 'number' || this.options.rate < 0 || this.options.rate > 1) {
+      throw new Error('Sampling rate must be a number between 0 and 1');
+    }
+    if (this.options.reservoir && !(this.options.reservoir.size > 0)) {
+      throw new Error('Sampling reservoir size must be a positive number');
+    }
+    if (this.options.adaptive && !CAN_MEASURE_UTILIZATION) {
+      console.error('⚠️ Adaptive sampling needs Node.js 14.10 or later; sampling at the configured rate');
+    }
+
+    this.windows = new Map(); // Operation key → { start, count }
+    this.utilization = 0;
+    this.lastMeasuredAt = Date.now();
+    this.lastUtilization = CAN_MEASURE_UTILIZATION ? performance.eventLoopUtilization() : null;
+    this.stats = {
+      seen: 0,
+      captured: 0,
+      dropped: { rate: 0, reservoir: 0 }
+    };
+  }
+
+  /**
+   * Decide whether a request is recorded in full when it arrives
+   * @returns {Object} Preliminary decision `{ sampled, rate, utilization }`
+   */
+  begin() {
+    this.stats.seen++;
+    const rate = this.getEffectiveRate();
+    const decision = { sampled: rate >= 1 || this.options.random() < rate, rate };
+    if (this.options.adaptive) {
+      decision.utilization = this.utilization;
+    }
+    return decision;
+  }
+
+  /**
+   * Make the final decision once the response has finished
+   * @param {Object} req - Express request object, with the matched route
+   * @param {Object} res - Express response object
+   * @param {Object} decision - Decision returned by begin
+   * @returns {Object|null} Sampling metadata for a captured request, or null when it is dropped
+   */
+  finish(req, res, decision) {
+    if (this.options.alwaysCaptureErrors && res.statusCode >= 400) {
+      this.stats.captured++;
+      return { ...decision, sampled: true, reason: 'error' };
+    }
+
+    if (!decision.sampled) {
+      this.stats.dropped.rate++;
+      return null;
+    }
+
+    const result = { ...decision, reason: decision.rate >= 1 ? 'all' : 'rate' };
+    if (this.options.reservoir) {
+      const key = this.getOperationKey(req);
+      const window = this._getWindow(key);
+      if (window.count >= this.options.reservoir.size) {
+        this.stats.dropped.reservoir++;
+        return null;
+      }
+      window.count++;
+      result.reservoir = { key, count: window.count, size: this.options.reservoir.size };
+    }
+
+    this.stats.captured++;
+    return result;
+  }
+
+  /**
+   * Current sampling rate, after adaptive back-off
+   * @returns {number} Rate from 0 to 1
+   */
+  getEffectiveRate() {
+    const { rate, adaptive } = this.options;
+    if (!adaptive) {
+      return rate;
+    }
+
+    this._measureUtilization();
+    if (this.utilization <= adaptive.maxUtilization) {
+      return rate;
+    }
+
+    // Scale down linearly from the threshold to a fully busy loop
+    const factor = (1 - this.utilization) / (1 - adaptive.maxUtilization);
+    return Math.max(Math.min(adaptive.minRate, rate), rate * factor);
+  }
+
+  /**
+   * Key identifying the operation of a request, by route template when Express matched one
+   * @param {Object} req - Express request object
+   * @returns {string} Method and route, e.g. 'GET /users/:id'
+   */
+  getOperationKey(req) {
+    const route = req.route && typeof req.route.path === 'string'
+      ? `${req.baseUrl || ''}${req.route.path}`
+      : req.path || req.url;
+    return `${req.method} ${route}`;
+  }
+
+  /**
+   * Sampling counters
+   * @returns {Object} `{ seen, captured, dropped: { rate, reservoir }, rate }`
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      dropped: { ...this.stats.dropped },
+      rate: this.getEffectiveRate()
+    };
+  }
+
+  /**
+   * Update the event loop utilization once per measuring interval
+   * @private
+   */
+  _measureUtilization() {
+    const now = Date.now();
+    if (!this.lastUtilization || now - this.lastMeasuredAt < this.options.adaptive.intervalMs) {
+      return;
+    }
+    this.utilization = performance.eventLoopUtilization(this.lastUtilization).utilization;
+    this.lastUtilization = performance.eventLoopUtilization();
+    this.lastMeasuredAt = now;
+  }
+
+  /**
+   * Get the current reservoir window of an operation, starting a new one when it expired
+   * @param {string} key - Operation key
+   * @returns {Object} Window `{ start, count }`
+   * @private
+   */
+  _getWindow(key) {
+    const now = Date.now();
+    const { windowMs } = this.options.reservoir;
+    let window = this.windows.get(key);
+
+    if (!window || now - window.start >= windowMs) {
+      if (!window && this.windows.size >= MAX_RESERVOIR_KEYS) {
+        this.windows.forEach((candidate, candidateKey) => {
+          if (now - candidate.start >= windowMs) {
+            this.windows.delete(candidateKey);
+          }
+        });
+      }
+      window = { start: now, count: 0 };
+      this.windows.set(key, window);
+    }
+    return window;
+  }
+}
+
+module.exports = Sampler;
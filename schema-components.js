@@ -0,0 +1,469 @@
+const SchemaMerger = require('./schema-merger');
+
+const { SAMPLE_COUNT } = SchemaMerger;
+
+// Keys that describe samples rather than structure, ignored when comparing schemas
+const ANNOTATION_KEYS = [SAMPLE_COUNT, 'x-distinct-values', 'example', 'examples'];
+
+// Prefix of references into components.schemas
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+// Characters allowed in component names by OpenAPI
+const INVALID_NAME_CHARACTERS = /[^a-zA-Z0-9._-]/g;
+
+// Passes over the specification before the set of hoisted schemas stops changing
+const MAX_PASSES = 10;
+
+/**
+ * Schema Components
+ * Moves structurally identical object schemas of request bodies and responses into
+ * `components.schemas` and references them with `$ref`, and inlines them again
+ *
+ * Generators keep their specification inline, so every sample merges into the schema of its own
+ * operation; references are only introduced in the exported copy. Component schemas referenced
+ * by a stored specification are therefore treated as hoisted and inlined when it is loaded.
+ *
+ * Sample counts survive the round trip: each `$ref` keeps the `x-sample-count` of the schema it
+ * replaced, and a component counts the samples of all its occurrences. As in SchemaMerger, a schema
+ * without a count stands for a single sample.
+ */
+class SchemaComponents {
+  /**
+   * Creates a new SchemaComponents instance
+   * @param {Object} [options={}] - Configuration options for hoisting
+   * @param {number} [options.minOccurrences=2] - Occurrences of an object schema before it becomes a component
+   * @param {Function} [options.naming] - `(context) => string|undefined` naming a component, where context is
+   *   `{ defaultName, path, method, location, statusCode, mediaType, property, schema }` of its first occurrence;
+   *   `location` is 'requestBody' or 'response' and `property` the property path within the body schema.
+   *   Returning nothing keeps the default name
+   */
+  constructor(options = {}) {
+    this.options = {
+      minOccurrences: options.minOccurrences || 2,
+      naming: options.naming || null
+    };
+  }
+
+  /**
+   * Hoist repeated object schemas into components
+   * Schemas nested in a hoisted schema are counted once per component, not once per copy
+   * @param {Object} spec - Specification with inline schemas, left unchanged
+   * @returns {Object} Copy of the specification with repeated schemas replaced by `$ref`
+   */
+  hoist(spec) {
+    const sites = this._collectSites(spec);
+
+    // Each pass counts with the previous pass's components, until no decision changes
+    let hoisted = new Set();
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const counts = this._countOccurrences(sites, hoisted);
+      const next = new Set([...counts.keys()].filter(fingerprint => counts.get(fingerprint) >= this.options.minOccurrences));
+      const stable = next.size === hoisted.size && [...next].every(fingerprint => hoisted.has(fingerprint));
+      hoisted = next;
+      if (stable) {
+        break;
+      }
+    }
+
+    const output = JSON.parse(JSON.stringify(spec));
+    if (hoisted.size === 0) {
+      return output;
+    }
+
+    const state = {
+      hoisted,
+      names: new Map(),
+      counts: new Map(),
+      schemas: { ...((output.components && output.components.schemas) || {}) }
+    };
+    this._collectSites(output).forEach(site => {
+      site.container.schema = this._replace(site.container.schema, site, [], state);
+    });
+    state.counts.forEach(({ total, counted }, name) => {
+      if (counted) {
+        state.schemas[name] = this._withCount(state.schemas[name], total);
+      }
+    });
+
+    output.components = { ...output.components, schemas: state.schemas };
+    return output;
+  }
+
+  /**
+   * Replace references into components.schemas with copies of the referenced schemas
+   * @param {Object} spec - Specification, possibly with hoisted schemas, left unchanged
+   * @returns {Object} Copy of the specification with inline schemas; inlined components are removed
+   */
+  inline(spec) {
+    const output = JSON.parse(JSON.stringify(spec));
+    const components = (output.components && output.components.schemas) || {};
+    const inlined = new Set();
+
+    const resolve = (schema, stack) => {
+      if (Array.isArray(schema)) {
+        return schema.map(item => resolve(item, stack));
+      }
+      if (!schema || typeof schema !== 'object') {
+        return schema;
+      }
+
+      const name = typeof schema.$ref === 'string' && schema.$ref.startsWith(SCHEMA_REF_PREFIX)
+        ? schema.$ref.slice(SCHEMA_REF_PREFIX.length)
+        : null;
+      if (name !== null && components[name] && !stack.includes(name)) {
+        inlined.add(name);
+        const component = JSON.parse(JSON.stringify(components[name]));
+        const counted = typeof schema[SAMPLE_COUNT] === 'number' || typeof component[SAMPLE_COUNT] === 'number';
+        return resolve(counted ? this._withCount(component, this._getCount(schema)) : component, [...stack, name]);
+      }
+
+      const copy = {};
+      Object.keys(schema).forEach(key => {
+        copy[key] = resolve(schema[key], stack);
+      });
+      return copy;
+    };
+
+    this._collectSites(output).forEach(site => {
+      site.container.schema = resolve(site.container.schema, []);
+    });
+
+    if (inlined.size > 0) {
+      output.components.schemas = {};
+      Object.keys(components)
+        .filter(name => !inlined.has(name))
+        .forEach(name => {
+          output.components.schemas[name] = components[name];
+        });
+    }
+    return output;
+  }
+
+  /**
+   * Find the request body and response media types that carry a schema
+   * @param {Object} spec - Specification
+   * @returns {Array<Object>} `{ container, path, method, location, statusCode, mediaType }` in document order,
+   *   where `container.schema` is the schema
+   * @private
+   */
+  _collectSites(spec) {
+    const sites = [];
+    const addContent = (content, site) => {
+      Object.keys(content || {}).forEach(mediaType => {
+        if (content[mediaType] && content[mediaType].schema) {
+          sites.push({ ...site, mediaType, container: content[mediaType] });
+        }
+      });
+    };
+
+    Object.keys(spec.paths || {}).forEach(pathKey => {
+      const pathItem = spec.paths[pathKey] || {};
+      Object.keys(pathItem).forEach(method => {
+        const operation = pathItem[method];
+        if (!operation || typeof operation !== 'object') {
+          return;
+        }
+        if (operation.requestBody) {
+          addContent(operation.requestBody.content, { path: pathKey, method, location: 'requestBody' });
+        }
+        Object.keys(operation.responses || {}).forEach(statusCode => {
+          const response = operation.responses[statusCode];
+          addContent(response && response.content, { path: pathKey, method, location: 'response', statusCode });
+        });
+      });
+    });
+    return sites;
+  }
+
+  /**
+   * Count occurrences of every object schema
+   * The subschemas of a schema that is hoisted are only counted at its first occurrence
+   * @param {Array<Object>} sites - Result of _collectSites()
+   * @param {Set<string>} hoisted - Fingerprints of schemas that become components
+   * @returns {Map<string, number>} Occurrences by fingerprint
+   * @private
+   */
+  _countOccurrences(sites, hoisted) {
+    const counts = new Map();
+    const visited = new Set();
+
+    const visit = schema => {
+      if (this._isObjectSchema(schema)) {
+        const fingerprint = this._fingerprint(schema);
+        counts.set(fingerprint, (counts.get(fingerprint) || 0) + 1);
+        if (hoisted.has(fingerprint)) {
+          if (visited.has(fingerprint)) {
+            return;
+          }
+          visited.add(fingerprint);
+        }
+      }
+      this._children(schema).forEach(({ schema: child }) => visit(child));
+    };
+
+    sites.forEach(site => visit(site.container.schema));
+    return counts;
+  }
+
+  /**
+   * Replace hoisted schemas below and including a schema with references
+   * @param {Object} schema - Schema
+   * @param {Object} site - Where the body schema is used
+   * @param {Array<string>} property - Property path from the body schema to this schema
+   * @param {Object} state - Hoisted fingerprints, names given so far, the component schemas and their
+   *   `{ total, counted }` sample counts, where `counted` tells whether any occurrence had a count
+   * @returns {Object} Schema or `{ $ref }`
+   * @private
+   */
+  _replace(schema, site, property, state) {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const fingerprint = this._isObjectSchema(schema) ? this._fingerprint(schema) : null;
+    if (fingerprint && state.names.has(fingerprint)) {
+      const name = state.names.get(fingerprint);
+      const { total, counted } = state.counts.get(name);
+      state.counts.set(name, {
+        total: total + this._getCount(schema),
+        counted: counted || typeof schema[SAMPLE_COUNT] === 'number'
+      });
+      return this._reference(name, schema);
+    }
+
+    const copy = { ...schema };
+    if (schema.properties) {
+      copy.properties = { ...schema.properties };
+    }
+    ['oneOf', 'anyOf', 'allOf'].filter(key => Array.isArray(schema[key])).forEach(key => {
+      copy[key] = [...schema[key]];
+    });
+    this._children(schema).forEach(({ key, index, name, schema: child }) => {
+      const replaced = this._replace(child, site, name ? [...property, name] : property, state);
+      if (key === 'properties') {
+        copy.properties[name] = replaced;
+      } else if (index === undefined) {
+        copy[key] = replaced;
+      } else {
+        copy[key][index] = replaced;
+      }
+    });
+
+    if (!fingerprint || !state.hoisted.has(fingerprint)) {
+      return copy;
+    }
+
+    const name = this._uniqueName(this._name(site, property, schema), state.schemas);
+    state.names.set(fingerprint, name);
+    state.schemas[name] = copy;
+    state.counts.set(name, { total: this._getCount(schema), counted: typeof schema[SAMPLE_COUNT] === 'number' });
+    return this._reference(name, schema);
+  }
+
+  /**
+   * Reference a component in place of a schema, keeping the sample count of the schema
+   * @param {string} name - Component name
+   * @param {Object} schema - Schema being replaced
+   * @returns {Object} `{ $ref }`, with `x-sample-count` when the schema has one
+   * @private
+   */
+  _reference(name, schema) {
+    const reference = { $ref: `${SCHEMA_REF_PREFIX}${name}` };
+    if (typeof schema[SAMPLE_COUNT] === 'number') {
+      reference[SAMPLE_COUNT] = schema[SAMPLE_COUNT];
+    }
+    return reference;
+  }
+
+  /**
+   * Number of samples a schema was observed in
+   * @param {Object} schema - Schema
+   * @returns {number} Its `x-sample-count`, or 1 when it has none
+   * @private
+   */
+  _getCount(schema) {
+    return typeof schema[SAMPLE_COUNT] === 'number' ? schema[SAMPLE_COUNT] : 1;
+  }
+
+  /**
+   * Copy a schema with a new sample count, adjusting the counts of its properties to match
+   * Required properties were seen in every sample and optional ones in fewer, so `required` stays the same
+   * when samples are merged into the copy
+   * @param {Object} schema - Object schema
+   * @param {number} count - Sample count
+   * @returns {Object} Schema copy
+   * @private
+   */
+  _withCount(schema, count) {
+    const copy = { ...schema, [SAMPLE_COUNT]: count };
+    if (schema.properties) {
+      const required = schema.required || [];
+      copy.properties = {};
+      Object.keys(schema.properties).forEach(name => {
+        const child = schema.properties[name];
+        copy.properties[name] = child && typeof child[SAMPLE_COUNT] === 'number'
+          ? this._withCount(child, required.includes(name) ? count : Math.min(child[SAMPLE_COUNT], count - 1))
+          : child;
+      });
+    }
+    return copy;
+  }
+
+  /**
+   * List the direct subschemas of a schema
+   * @param {Object} schema - Schema
+   * @returns {Array<Object>} `{ key, index, name, schema }`, where `name` is the property or item name used for naming
+   * @private
+   */
+  _children(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return [];
+    }
+
+    const children = [];
+    Object.keys(schema.properties || {}).forEach(name => {
+      children.push({ key: 'properties', name, schema: schema.properties[name] });
+    });
+    if (schema.items && typeof schema.items === 'object') {
+      children.push({ key: 'items', name: null, schema: schema.items });
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      children.push({ key: 'additionalProperties', name: null, schema: schema.additionalProperties });
+    }
+    ['oneOf', 'anyOf', 'allOf'].forEach(key => {
+      (schema[key] || []).forEach((variant, index) => {
+        children.push({ key, index, name: null, schema: variant });
+      });
+    });
+    return children.filter(child => child.key !== 'properties' || child.schema);
+  }
+
+  /**
+   * Whether a schema is an object with properties, the only schemas that become components
+   * @param {Object} schema - Schema
+   * @returns {boolean} True for object schemas with at least one property
+   * @private
+   */
+  _isObjectSchema(schema) {
+    return Boolean(schema && typeof schema === 'object' && !schema.$ref &&
+      (schema.type === 'object' || (!schema.type && schema.properties)) &&
+      Object.keys(schema.properties || {}).length > 0);
+  }
+
+  /**
+   * Describe the structure of a schema, ignoring sample annotations and key order
+   * @param {Object} schema - Schema
+   * @returns {string} Fingerprint
+   * @private
+   */
+  _fingerprint(schema) {
+    const normalize = value => {
+      if (Array.isArray(value)) {
+        return value.map(normalize);
+      }
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+      const normalized = {};
+      Object.keys(value)
+        .filter(key => !ANNOTATION_KEYS.includes(key))
+        .sort()
+        .forEach(key => {
+          normalized[key] = key === 'required' && Array.isArray(value[key]) ? [...value[key]].sort() : normalize(value[key]);
+        });
+      return normalized;
+    };
+    return JSON.stringify(normalize(schema));
+  }
+
+  /**
+   * Name a component after the resource of its first occurrence
+   * e.g. the response of GET /users/{userId} is 'User', the body of POST /users 'UserRequest',
+   * and its 'address' property 'Address'
+   * @param {Object} site - Where the body schema is used
+   * @param {Array<string>} property - Property path from the body schema
+   * @param {Object} schema - Schema being hoisted
+   * @returns {string} Component name
+   * @private
+   */
+  _name(site, property, schema) {
+    let defaultName;
+    if (property.length > 0) {
+      defaultName = this._pascalCase(this._singular(property[property.length - 1]));
+    } else {
+      const segments = site.path.split('/').filter(segment => segment && !/^\{.*\}$/.test(segment));
+      const resource = this._pascalCase(this._singular(segments[segments.length - 1] || 'root'));
+      if (site.location === 'requestBody') {
+        defaultName = `${resource}Request`;
+      } else {
+        defaultName = Number(site.statusCode) >= 400 ? `${resource}Error` : resource;
+      }
+    }
+
+    const named = this.options.naming
+      ? this.options.naming({
+        defaultName,
+        path: site.path,
+        method: site.method,
+        location: site.location,
+        statusCode: site.statusCode,
+        mediaType: site.mediaType,
+        property: [...property],
+        schema
+      })
+      : undefined;
+    return String(named || defaultName).replace(INVALID_NAME_CHARACTERS, '_') || 'Schema';
+  }
+
+  /**
+   * Make a component name unique among the component schemas
+   * @param {string} name - Preferred name
+   * @param {Object} schemas - Component schemas so far
+   * @returns {string} `name`, or `name` with the lowest free numeric suffix
+   * @private
+   */
+  _uniqueName(name, schemas) {
+    let candidate = name;
+    for (let suffix = 2; schemas[candidate]; suffix++) {
+      candidate = `${name}${suffix}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Turn a plural resource or property name into its singular
+   * @param {string} word - e.g. 'users', 'categories', 'addresses'
+   * @returns {string} e.g. 'user', 'category', 'address'
+   * @private
+   */
+  _singular(word) {
+    if (/ies$/i.test(word)) {
+      return word.replace(/ies$/i, 'y');
+    }
+    if (/(ss|x|ch|sh)es$/i.test(word)) {
+      return word.replace(/es$/i, '');
+    }
+    if (/[^s]s$/i.test(word)) {
+      return word.slice(0, -1);
+    }
+    return word;
+  }
+
+  /**
+   * Convert a path segment or property name to PascalCase
+   * @param {string} word - e.g. 'order-items', 'shipping_address', 'lineItem'
+   * @returns {string} e.g. 'OrderItems', 'ShippingAddress', 'LineItem'
+   * @private
+   */
+  _pascalCase(word) {
+    return String(word)
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map(part => `${part.charAt(0).toUpperCase()}${part.slice(1)}`)
+      .join('');
+  }
+}
+
+SchemaComponents.SCHEMA_REF_PREFIX = SCHEMA_REF_PREFIX;
+
+module.exports = SchemaComponents;
@@ -0,0 +1,268 @@
+const SchemaMerger = require('./schema-merger');
+
+// Marks schemas of redacted values, so no format, enum, constraint or observed value is derived from them
+const REDACTED = 'x-redacted';
+
+// Distinct string values seen so far as `{ values, samples }`, or false once the string cannot be an enum;
+// kept in memory only, since the values may be free text
+const DISTINCT_VALUES = 'x-distinct-values';
+
+// Longest string tracked as a possible enum value
+const MAX_ENUM_VALUE_LENGTH = 64;
+
+// Longest string described by an inferred pattern
+const MAX_PATTERN_LENGTH = 32;
+
+// Array elements inferred per array unless configured otherwise
+const DEFAULT_MAX_ARRAY_ITEMS = 100;
+
+// String formats in the order they are tried
+const STRING_FORMATS = [
+  {
+    format: 'date-time',
+    test: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value) && !isNaN(Date.parse(value))
+  },
+  { format: 'date', test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) },
+  { format: 'uuid', test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value) },
+  { format: 'email', test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+  {
+    format: 'uri',
+    test: value => {
+      if (!/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)) {
+        return false;
+      }
+      try {
+        new URL(value);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+  }
+];
+
+/**
+ * Schema Inference
+ * Infers the JSON schema of a single captured body: integer and number types, string formats,
+ * values tracked for enum detection and, optionally, length, range and pattern constraints.
+ * SchemaMerger folds these schemas across samples and decides on enums; within a body it also folds
+ * the elements of every array into one item schema
+ */
+class SchemaInference {
+  /**
+   * Creates a new SchemaInference instance
+   * @param {Object} [options={}] - Configuration options for schema inference
+   * @param {boolean} [options.formats=true] - Detect date-time, date, uuid, email and uri strings
+   * @param {boolean} [options.enums=true] - Track distinct string values so repeated low-cardinality strings become enums
+   * @param {number} [options.enumMaxValues=10] - Maximum distinct values of an enum
+   * @param {number} [options.enumMinSamples=5] - Samples required before a string becomes an enum
+   * @param {number} [options.enumMaxDistinctRatio=0.5] - Largest share of distinct values among the samples of an enum
+   * @param {boolean} [options.constraints=false] - Infer minLength/maxLength, minimum/maximum and pattern
+   * @param {number} [options.maxArrayItems=100] - Elements of an array merged into its item schema; later elements are ignored
+   */
+  constructor(options = {}) {
+    this.options = {
+      formats: options.formats !== false,
+      enums: options.enums !== false,
+      enumMaxValues: options.enumMaxValues || 10,
+      enumMinSamples: options.enumMinSamples || 5,
+      enumMaxDistinctRatio: options.enumMaxDistinctRatio || 0.5,
+      constraints: options.constraints === true,
+      maxArrayItems: options.maxArrayItems || DEFAULT_MAX_ARRAY_ITEMS
+    };
+    this.schemaMerger = new SchemaMerger(this.options);
+  }
+
+  /**
+   * Infer the schema of a value
+   * @param {*} data - Sanitized body or value
+   * @param {Array<string>} [redactedPaths=[]] - Dot-separated paths of redacted values, array indices included
+   * @returns {Object} JSON Schema
+   */
+  infer(data, redactedPaths = []) {
+    // Redactions inside arrays are matched for any element, since items describe every element
+    const redacted = new Set(redactedPaths.map(redactedPath => String(redactedPath)
+      .split('.')
+      .map(segment => (/^\d+$/.test(segment) ? '[]' : segment))
+      .join('.')));
+    return this._infer(data, [], redacted);
+  }
+
+  /**
+   * Infer the schema of a value at a path
+   * @param {*} data - Value
+   * @param {Array<string>} location - Property path, '[]' for array items
+   * @param {Set<string>} redacted - Normalized redacted paths
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  _infer(data, location, redacted) {
+    if (data === null || data === undefined) {
+      return { type: 'null' };
+    }
+
+    if (redacted.has(location.join('.'))) {
+      return { type: typeof data === 'number' ? 'number' : 'string', example: data, [REDACTED]: true };
+    }
+
+    if (typeof data === 'boolean') {
+      return {
+        type: 'boolean',
+        example: data
+      };
+    }
+
+    if (typeof data === 'number') {
+      return this._inferNumber(data);
+    }
+
+    if (typeof data === 'string') {
+      // Try to parse as JSON if it looks like JSON
+      if (data.startsWith('[') || data.startsWith('{')) {
+        try {
+          return this._infer(JSON.parse(data), location, redacted);
+        } catch (e) {
+          // If parsing fails, treat as string
+        }
+      }
+      return this._inferString(data);
+    }
+
+    if (Array.isArray(data)) {
+      return this._inferArray(data, location, redacted);
+    }
+
+    if (typeof data === 'object') {
+      const properties = {};
+      const required = [];
+
+      Object.keys(data).forEach(key => {
+        properties[key] = this._infer(data[key], [...location, key], redacted);
+        // Present keys are required; null values are widened to nullable when samples merge
+        if (data[key] !== undefined) {
+          required.push(key);
+        }
+      });
+
+      const schema = {
+        type: 'object',
+        properties,
+        example: data
+      };
+
+      // Only include required field if there are required properties
+      if (required.length > 0) {
+        schema.required = required;
+      }
+
+      return schema;
+    }
+
+    return { type: 'string' };
+  }
+
+  /**
+   * Infer the schema of an array from its elements
+   * Element schemas are merged like samples, so fields missing from some elements are optional and
+   * elements of different types become oneOf. Items of empty arrays stay untyped until a sample has elements
+   * @param {Array} data - Array
+   * @param {Array<string>} location - Property path of the array
+   * @param {Set<string>} redacted - Normalized redacted paths
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  _inferArray(data, location, redacted) {
+    if (data.length === 0) {
+      return { type: 'array', items: {} };
+    }
+
+    const items = data
+      .slice(0, this.options.maxArrayItems)
+      .map(element => this._infer(element, [...location, '[]'], redacted))
+      .reduce((merged, schema) => this.schemaMerger.merge(merged, schema));
+
+    return {
+      type: 'array',
+      items,
+      example: data
+    };
+  }
+
+  /**
+   * Infer the schema of a number
+   * @param {number} value - Number
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  _inferNumber(value) {
+    const schema = { type: Number.isInteger(value) ? 'integer' : 'number', example: value };
+    if (this.options.constraints) {
+      schema.minimum = value;
+      schema.maximum = value;
+    }
+    return schema;
+  }
+
+  /**
+   * Infer the schema of a string
+   * @param {string} value - String
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  _inferString(value) {
+    const schema = { type: 'string', example: value };
+
+    const match = this.options.formats ? STRING_FORMATS.find(({ test }) => test(value)) : null;
+    if (match) {
+      schema.format = match.format;
+    } else if (this.options.enums) {
+      schema[DISTINCT_VALUES] = value.length <= MAX_ENUM_VALUE_LENGTH ? { values: [value], samples: 1 } : false;
+    }
+
+    if (this.options.constraints) {
+      schema.minLength = value.length;
+      schema.maxLength = value.length;
+      const pattern = match ? null : this._inferPattern(value);
+      if (pattern) {
+        schema.pattern = pattern;
+      }
+    }
+    return schema;
+  }
+
+  /**
+   * Describe the shape of a short code, e.g. 'AB-1234' as '^[A-Z]{2}-\d{4}$'
+   * @param {string} value - String
+   * @returns {string|null} Pattern, or null for long, empty or free-text strings
+   * @private
+   */
+  _inferPattern(value) {
+    if (!value || value.length > MAX_PATTERN_LENGTH || /\s/.test(value)) {
+      return null;
+    }
+
+    const classOf = character => {
+      if (/[0-9]/.test(character)) return '\\d';
+      if (/[A-Z]/.test(character)) return '[A-Z]';
+      if (/[a-z]/.test(character)) return '[a-z]';
+      return character.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    };
+
+    const runs = [];
+    [...value].map(classOf).forEach(token => {
+      const last = runs[runs.length - 1];
+      if (last && last.token === token) {
+        last.count++;
+      } else {
+        runs.push({ token, count: 1 });
+      }
+    });
+    return `^${runs.map(({ token, count }) => (count > 1 ? `${token}{${count}}` : token)).join('')}$`;
+  }
+}
+
+SchemaInference.REDACTED = REDACTED;
+SchemaInference.DISTINCT_VALUES = DISTINCT_VALUES;
+SchemaInference.DEFAULT_MAX_ARRAY_ITEMS = DEFAULT_MAX_ARRAY_ITEMS;
+
+module.exports = SchemaInference;
@@ -0,0 +1,344 @@
+const SAMPLE_COUNT = 'x-sample-count';
+
+// Written by SchemaInference: schemas of redacted values, and distinct string values seen so far
+// (`{ values, samples }`, or false); distinct values are never saved, see OpenAPIGenerator.getExportedSpec
+const REDACTED = 'x-redacted';
+const DISTINCT_VALUES = 'x-distinct-values';
+
+// Inferred constraints and how two samples combine them
+const RANGE_CONSTRAINTS = [['minLength', Math.min], ['maxLength', Math.max], ['minimum', Math.min], ['maximum', Math.max]];
+
+/**
+ * Schema Merger
+ * Folds JSON schemas inferred from individual captured samples into a single schema
+ * that describes every sample observed so far
+ */
+class SchemaMerger {
+  /**
+   * Creates a new SchemaMerger instance
+   * @param {Object} [options={}] - Configuration options for the merger
+   * @param {number} [options.enumMaxValues=10] - Maximum distinct values of a string enum
+   * @param {number} [options.enumMinSamples=5] - Samples required before a string becomes an enum
+   * @param {number} [options.enumMaxDistinctRatio=0.5] - Largest share of distinct values among the samples of an enum
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...options,
+      enumMaxValues: options.enumMaxValues || 10,
+      enumMinSamples: options.enumMinSamples || 5,
+      enumMaxDistinctRatio: options.enumMaxDistinctRatio || 0.5
+    };
+  }
+
+  /**
+   * Merge two schemas into one
+   * Properties are unioned, `required` lists only fields present in every sample,
+   * integer widens to number, null widens to nullable and incompatible types become oneOf
+   * @param {Object} [existing] - Previously merged schema
+   * @param {Object} [incoming] - Schema inferred from a new sample
+   * @returns {Object} Merged schema
+   */
+  merge(existing, incoming) {
+    if (!existing) return incoming ? this._withCount(incoming, this.getCount(incoming)) : existing;
+    if (!incoming) return this._withCount(existing, this.getCount(existing));
+
+    const total = this.getCount(existing) + this.getCount(incoming);
+    let merged;
+
+    if (this._isNull(existing) && this._isNull(incoming)) {
+      merged = { ...existing };
+    } else if (this._isNull(existing)) {
+      merged = { ...this._withCount(incoming, this.getCount(incoming)), nullable: true };
+    } else if (this._isNull(incoming)) {
+      merged = { ...this._withCount(existing, this.getCount(existing)), nullable: true };
+    } else if (existing.oneOf || incoming.oneOf) {
+      merged = this._mergeOneOf(existing, incoming);
+    } else if (this._isCompatible(existing, incoming)) {
+      merged = this._mergeSameType(existing, incoming);
+    } else {
+      merged = {
+        oneOf: [
+          this._withCount(this._stripNullable(existing), this.getCount(existing)),
+          this._withCount(this._stripNullable(incoming), this.getCount(incoming))
+        ]
+      };
+      if (existing.nullable || incoming.nullable) {
+        merged.nullable = true;
+      }
+    }
+
+    return this._withCount(merged, total);
+  }
+
+  /**
+   * Number of samples a schema node was observed in
+   * Schemas that were never merged count as a single sample
+   * @param {Object} schema - Schema node
+   * @returns {number} Sample count
+   */
+  getCount(schema) {
+    return schema && typeof schema[SAMPLE_COUNT] === 'number' ? schema[SAMPLE_COUNT] : 1;
+  }
+
+  /**
+   * Merge two schemas whose types are compatible
+   * @param {Object} existing - Previously merged schema
+   * @param {Object} incoming - Schema from a new sample
+   * @returns {Object} Merged schema
+   * @private
+   */
+  _mergeSameType(existing, incoming) {
+    const merged = { ...incoming, ...existing };
+
+    if (existing.example === undefined && incoming.example !== undefined) {
+      merged.example = incoming.example;
+    }
+
+    if (existing.type !== incoming.type) {
+      // integer and number are the only compatible pair with different names
+      merged.type = 'number';
+    }
+
+    if (existing.format !== incoming.format) {
+      delete merged.format;
+    }
+
+    if (existing.nullable || incoming.nullable) {
+      merged.nullable = true;
+    }
+
+    this._mergeConstraints(merged, existing, incoming);
+    if (existing[REDACTED] || incoming[REDACTED]) {
+      merged[REDACTED] = true;
+      delete merged.enum;
+      delete merged[DISTINCT_VALUES];
+    } else if (merged.type === 'string') {
+      this._mergeDistinctValues(merged, existing, incoming);
+    }
+
+    if (merged.type === 'object') {
+      Object.assign(merged, this._mergeObjectProperties(existing, incoming));
+      if (!merged.required) {
+        delete merged.required;
+      }
+    }
+
+    if (merged.type === 'array') {
+      // Untyped items of empty arrays give way to the items of populated samples
+      const [left, right] = [existing.items, incoming.items].filter(items => items && !this._isUntyped(items));
+      merged.items = left ? this.merge(left, right) : {};
+    }
+
+    return merged;
+  }
+
+  /**
+   * Combine inferred constraints: ranges widen to cover both samples, a pattern is kept only if both agree,
+   * and a constraint missing on either side is dropped
+   * @param {Object} merged - Merged schema, updated in place
+   * @param {Object} existing - Previously merged schema
+   * @param {Object} incoming - Schema from a new sample
+   * @private
+   */
+  _mergeConstraints(merged, existing, incoming) {
+    RANGE_CONSTRAINTS.forEach(([key, combine]) => {
+      if (typeof existing[key] === 'number' && typeof incoming[key] === 'number') {
+        merged[key] = combine(existing[key], incoming[key]);
+      } else {
+        delete merged[key];
+      }
+    });
+    if (existing.pattern !== incoming.pattern) {
+      delete merged.pattern;
+    }
+  }
+
+  /**
+   * Union the distinct values of two string schemas and decide whether they form an enum
+   * A string becomes an enum once enough samples have been seen and most of them repeat a value
+   * from a small set; formatted strings are never enums
+   * @param {Object} merged - Merged string schema, updated in place
+   * @param {Object} existing - Previously merged schema
+   * @param {Object} incoming - Schema from a new sample
+   * @private
+   */
+  _mergeDistinctValues(merged, existing, incoming) {
+    const left = this._getDistinctValues(existing);
+    const right = this._getDistinctValues(incoming);
+    if (left === undefined && right === undefined) {
+      return;
+    }
+
+    let tracked = false;
+    if (left !== false && right !== false && !merged.format) {
+      const sides = [left, right].filter(Boolean);
+      const values = [...new Set([].concat(...sides.map(side => side.values)))];
+      if (values.length <= this.options.enumMaxValues) {
+        tracked = { values, samples: sides.reduce((total, side) => total + side.samples, 0) };
+      }
+    }
+    merged[DISTINCT_VALUES] = tracked;
+
+    if (tracked && tracked.samples >= this.options.enumMinSamples &&
+      tracked.values.length <= tracked.samples * this.options.enumMaxDistinctRatio) {
+      merged.enum = [...tracked.values].sort();
+    } else {
+      delete merged.enum;
+    }
+  }
+
+  /**
+   * Distinct values of a string schema
+   * Loaded specifications carry no distinct values: a saved enum seeds them, and a string seen in enough
+   * samples without becoming an enum stays that way. Otherwise its values are unknown, and only
+   * samples seen since count
+   * @param {Object} schema - String schema
+   * @returns {Object|false|undefined} `{ values, samples }`, false when the string is no enum, undefined when unknown
+   * @private
+   */
+  _getDistinctValues(schema) {
+    if (schema[DISTINCT_VALUES] !== undefined) {
+      return schema[DISTINCT_VALUES];
+    }
+    if (Array.isArray(schema.enum)) {
+      return { values: [...schema.enum], samples: this.getCount(schema) };
+    }
+    return this.getCount(schema) >= this.options.enumMinSamples ? false : undefined;
+  }
+
+  /**
+   * Union the properties of two object schemas and recompute required fields
+   * @param {Object} existing - Previously merged object schema
+   * @param {Object} incoming - Object schema from a new sample
+   * @returns {Object} Object with merged `properties` and `required`
+   * @private
+   */
+  _mergeObjectProperties(existing, incoming) {
+    const existingProps = existing.properties || {};
+    const incomingProps = incoming.properties || {};
+    const total = this.getCount(existing) + this.getCount(incoming);
+    const properties = {};
+
+    const keys = [...new Set([...Object.keys(existingProps), ...Object.keys(incomingProps)])];
+    keys.forEach(key => {
+      const left = existingProps[key] && this._withCount(existingProps[key], this._propertyCount(existing, key));
+      const right = incomingProps[key] && this._withCount(incomingProps[key], this._propertyCount(incoming, key));
+      properties[key] = this.merge(left, right);
+    });
+
+    const required = keys.filter(key => this.getCount(properties[key]) >= total);
+
+    return {
+      properties,
+      required: required.length > 0 ? required : undefined
+    };
+  }
+
+  /**
+   * Number of samples a property was present in
+   * Falls back to the `required` list for schemas that carry no counts
+   * @param {Object} schema - Parent object schema
+   * @param {string} key - Property name
+   * @returns {number} Presence count
+   * @private
+   */
+  _propertyCount(schema, key) {
+    const property = schema.properties[key];
+    if (typeof property[SAMPLE_COUNT] === 'number') {
+      return property[SAMPLE_COUNT];
+    }
+    const required = schema.required || [];
+    return required.includes(key) ? this.getCount(schema) : 0;
+  }
+
+  /**
+   * Merge schemas when at least one side is already a oneOf
+   * Each incoming variant is folded into the first compatible existing variant or appended
+   * @param {Object} existing - Previously merged schema
+   * @param {Object} incoming - Schema from a new sample
+   * @returns {Object} oneOf schema
+   * @private
+   */
+  _mergeOneOf(existing, incoming) {
+    const variants = (existing.oneOf || [this._stripNullable(existing)]).map(variant =>
+      this._withCount(variant, this.getCount(variant))
+    );
+    const incomingVariants = incoming.oneOf || [this._stripNullable(incoming)];
+
+    incomingVariants.forEach(variant => {
+      const index = variants.findIndex(candidate => this._isCompatible(candidate, variant));
+      if (index === -1) {
+        variants.push(this._withCount(variant, this.getCount(variant)));
+      } else {
+        variants[index] = this.merge(variants[index], variant);
+      }
+    });
+
+    const merged = variants.length === 1 ? { ...variants[0] } : { oneOf: variants };
+    if (existing.nullable || incoming.nullable) {
+      merged.nullable = true;
+    }
+    return merged;
+  }
+
+  /**
+   * Check whether two schemas can be merged without a oneOf
+   * @param {Object} left - First schema
+   * @param {Object} right - Second schema
+   * @returns {boolean} True if compatible
+   * @private
+   */
+  _isCompatible(left, right) {
+    if (left.type === right.type) return true;
+    const numeric = ['integer', 'number'];
+    return numeric.includes(left.type) && numeric.includes(right.type);
+  }
+
+  /**
+   * Check whether a schema describes only null values
+   * @param {Object} schema - Schema to check
+   * @returns {boolean} True if null schema
+   * @private
+   */
+  _isNull(schema) {
+    return schema.type === 'null';
+  }
+
+  /**
+   * Check whether a schema says nothing about its values, like the items of an empty array
+   * @param {Object} schema - Schema to check
+   * @returns {boolean} True if untyped
+   * @private
+   */
+  _isUntyped(schema) {
+    return !schema.type && !schema.oneOf && !schema.$ref;
+  }
+
+  /**
+   * Copy a schema without its nullable flag
+   * @param {Object} schema - Schema to copy
+   * @returns {Object} Schema copy
+   * @private
+   */
+  _stripNullable(schema) {
+    const copy = { ...schema };
+    delete copy.nullable;
+    return copy;
+  }
+
+  /**
+   * Copy a schema with its sample count set
+   * @param {Object} schema - Schema to copy
+   * @param {number} count - Sample count
+   * @returns {Object} Schema copy
+   * @private
+   */
+  _withCount(schema, count) {
+    return { ...schema, [SAMPLE_COUNT]: count };
+  }
+}
+
+SchemaMerger.SAMPLE_COUNT = SAMPLE_COUNT;
+SchemaMerger.DISTINCT_VALUES = DISTINCT_VALUES;
+
+module.exports = SchemaMerger;
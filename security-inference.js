@@ -0,0 +1,316 @@
+// Credential names recognized unless configured otherwise, compared case-insensitively
+const DEFAULT_API_KEY_HEADERS = ['x-api-key', 'api-key', 'x-auth-token'];
+const DEFAULT_API_KEY_QUERY_PARAMS = ['api_key', 'apikey', 'api-key'];
+const DEFAULT_SESSION_COOKIES = ['connect.sid', 'sessionid', 'session', 'sid', 'jsessionid', 'phpsessid'];
+
+// JWT claims holding OAuth2 scopes: 'scope' is a space-separated string, 'scp' and 'scopes' are arrays or strings
+const SCOPE_CLAIMS = ['scope', 'scp', 'scopes'];
+
+// URLs each OAuth2 flow must declare
+const OAUTH2_FLOW_URLS = {
+  implicit: ['authorizationUrl'],
+  password: ['tokenUrl'],
+  clientCredentials: ['tokenUrl'],
+  authorizationCode: ['authorizationUrl', 'tokenUrl']
+};
+
+/**
+ * Security Inference
+ * Recognizes the credentials a request carries and describes them as OpenAPI security schemes
+ *
+ * Only the kind of credential, its location and, for JWTs, the scope names from the decoded claims
+ * are kept. Credential values are never part of the result, so detection can run on the raw request
+ * before redaction.
+ *
+ * A captured token says nothing about how it was issued, so JWTs are declared as bearer tokens unless
+ * the OAuth2 flow is configured.
+ */
+class SecurityInference {
+  /**
+   * Creates a new SecurityInference instance
+   * @param {Object} [options={}] - Configuration options for security inference
+   * @param {Array<string>} [options.apiKeyHeaders=['x-api-key', 'api-key', 'x-auth-token']] - Headers carrying API keys
+   * @param {Array<string>} [options.apiKeyQueryParams=['api_key', 'apikey', 'api-key']] - Query parameters carrying API keys
+   * @param {Array<string>} [options.sessionCookies=['connect.sid', 'sessionid', 'session', 'sid', 'jsessionid', 'phpsessid']]
+   *   - Cookies carrying session identifiers
+   * @param {Object} [options.oauth2] - OAuth2 flow issuing the JWTs; JWTs with scopes are then declared as an `oauth2` scheme
+   * @param {string} options.oauth2.flow - 'clientCredentials', 'authorizationCode', 'password' or 'implicit'
+   * @param {string} [options.oauth2.tokenUrl] - Token URL, required by every flow but 'implicit'
+   * @param {string} [options.oauth2.authorizationUrl] - Authorization URL, required by 'authorizationCode' and 'implicit'
+   * @param {string} [options.oauth2.refreshUrl] - Refresh URL
+   * @throws {Error} When the OAuth2 flow is unknown or lacks one of its URLs
+   */
+  constructor(options = {}) {
+    this.options = {
+      apiKeyHeaders: options.apiKeyHeaders || DEFAULT_API_KEY_HEADERS,
+      apiKeyQueryParams: options.apiKeyQueryParams || DEFAULT_API_KEY_QUERY_PARAMS,
+      sessionCookies: options.sessionCookies || DEFAULT_SESSION_COOKIES,
+      oauth2: options.oauth2 || null
+    };
+
+    if (this.options.oauth2) {
+      const { flow } = this.options.oauth2;
+      if (!OAUTH2_FLOW_URLS[flow]) {
+        throw new Error(`Unsupported OAuth2 flow: ${flow}`);
+      }
+      const missing = OAUTH2_FLOW_URLS[flow].find(url => !this.options.oauth2[url]);
+      if (missing) {
+        throw new Error(`OAuth2 flow ${flow} requires ${missing}`);
+      }
+    }
+  }
+
+  /**
+   * Detect the credentials of a request
+   * @param {Object} request - Request data
+   * @param {Object} [request.headers] - Headers
+   * @param {Object} [request.query] - Query parameters
+   * @param {Object} [request.cookies] - Parsed cookies; cookie names in the Cookie header are used as well
+   * @returns {Array<Object>} `{ name, scheme, scopes }` per credential, where `name` is the security scheme name
+   *   and `scheme` its OpenAPI Security Scheme Object
+   */
+  detect(request = {}) {
+    const headers = request.headers || {};
+    const credentials = [];
+
+    const authorization = this._findKey(headers, ['authorization']);
+    if (authorization) {
+      credentials.push(this._detectAuthorization(headers[authorization]));
+    }
+
+    this.options.apiKeyHeaders.forEach(name => {
+      const header = this._findKey(headers, [name]);
+      if (header) {
+        credentials.push(this._apiKey(header, 'header'));
+      }
+    });
+
+    const query = this._findKey(request.query || {}, this.options.apiKeyQueryParams);
+    if (query) {
+      credentials.push(this._apiKey(query, 'query'));
+    }
+
+    const cookies = { ...this._parseCookieNames(headers[this._findKey(headers, ['cookie'])]), ...request.cookies };
+    const cookie = this._findKey(cookies, this.options.sessionCookies);
+    if (cookie) {
+      credentials.push(this._apiKey(cookie, 'cookie'));
+    }
+
+    return credentials;
+  }
+
+  /**
+   * Build the security requirements of an operation from detected credentials
+   * All credentials of one request form a single requirement
+   * @param {Array<Object>} credentials - Result of detect()
+   * @returns {Array<Object>} Security requirements, empty when the request was anonymous
+   */
+  getRequirements(credentials) {
+    if (credentials.length === 0) {
+      return [];
+    }
+
+    const requirement = {};
+    credentials.forEach(({ name, scopes }) => {
+      requirement[name] = [...scopes];
+    });
+    return [requirement];
+  }
+
+  /**
+   * Merge the security requirements of two samples of an operation
+   * Requirements accumulate, with the scopes of an OAuth2 requirement narrowed to those present in every
+   * sample. An operation seen both with and without credentials gets an empty requirement, marking
+   * authentication as optional
+   * @param {Array<Object>} [existing=[]] - Requirements currently in the specification
+   * @param {Array<Object>} [incoming=[]] - Requirements of the latest sample
+   * @returns {Array<Object>} Merged requirements
+   */
+  mergeRequirements(existing = [], incoming = []) {
+    // An anonymous sample is the empty requirement
+    const merged = (existing.length > 0 ? existing : [{}]).map(requirement => ({ ...requirement }));
+    const idOf = requirement => Object.keys(requirement).sort().join(' ');
+
+    (incoming.length > 0 ? incoming : [{}]).forEach(requirement => {
+      const match = merged.find(candidate => idOf(candidate) === idOf(requirement));
+      if (!match) {
+        merged.push({ ...requirement });
+        return;
+      }
+      Object.keys(requirement).forEach(name => {
+        match[name] = (match[name] || []).filter(scope => requirement[name].includes(scope));
+      });
+    });
+
+    const authenticated = merged.filter(requirement => Object.keys(requirement).length > 0);
+    return authenticated.length === merged.length || authenticated.length === 0
+      ? authenticated
+      : [...authenticated, {}];
+  }
+
+  /**
+   * Register the schemes of detected credentials
+   * Schemes already declared are kept; OAuth2 scopes accumulate in the configured flow
+   * @param {Object} securitySchemes - `components.securitySchemes` of the specification, updated in place
+   * @param {Array<Object>} credentials - Result of detect()
+   */
+  registerSchemes(securitySchemes, credentials) {
+    credentials.forEach(({ name, scheme, scopes }) => {
+      if (!securitySchemes[name]) {
+        securitySchemes[name] = JSON.parse(JSON.stringify(scheme));
+      }
+
+      Object.values(securitySchemes[name].flows || {}).forEach(flow => {
+        flow.scopes = flow.scopes || {};
+        scopes.filter(scope => !flow.scopes[scope]).forEach(scope => {
+          flow.scopes[scope] = 'Observed in JWT claims';
+        });
+      });
+    });
+  }
+
+  /**
+   * Describe the credential in an Authorization header
+   * @param {*} value - Header value
+   * @returns {Object} Credential
+   * @private
+   */
+  _detectAuthorization(value) {
+    const match = /^(\w[\w-]*)\s+(\S+)/.exec(String(value).trim());
+    if (!match) {
+      // Redacted or schemeless values give nothing away; bearer tokens are the common case
+      return { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' }, scopes: [] };
+    }
+
+    const authScheme = match[1].toLowerCase();
+    if (authScheme !== 'bearer') {
+      return { name: `${authScheme}Auth`, scheme: { type: 'http', scheme: authScheme }, scopes: [] };
+    }
+
+    const claims = this._decodeJwt(match[2]);
+    if (!claims) {
+      return { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer' }, scopes: [] };
+    }
+
+    // Scopes stay on the requirement of a bearer scheme unless an OAuth2 flow is configured
+    const scopes = this._getScopes(claims);
+    if (scopes.length === 0 || !this.options.oauth2) {
+      return { name: 'bearerAuth', scheme: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }, scopes };
+    }
+
+    const { flow } = this.options.oauth2;
+    const urls = {};
+    ['authorizationUrl', 'tokenUrl', 'refreshUrl'].filter(url => this.options.oauth2[url]).forEach(url => {
+      urls[url] = this.options.oauth2[url];
+    });
+    return {
+      name: 'oauth2',
+      scheme: {
+        type: 'oauth2',
+        description: 'Bearer JWT; scopes inferred from token claims',
+        flows: { [flow]: { ...urls, scopes: {} } }
+      },
+      scopes
+    };
+  }
+
+  /**
+   * Describe an API key credential
+   * @param {string} name - Header, query parameter or cookie name as sent
+   * @param {string} location - 'header', 'query' or 'cookie'
+   * @returns {Object} Credential
+   * @private
+   */
+  _apiKey(name, location) {
+    // e.g. 'x-api-key' in a header becomes 'xApiKeyHeader'
+    const words = name.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    const schemeName = [
+      ...words.map((word, index) => (index === 0
+        ? word.toLowerCase()
+        : `${word.charAt(0).toUpperCase()}${word.slice(1).toLowerCase()}`)),
+      `${location.charAt(0).toUpperCase()}${location.slice(1)}`
+    ].join('');
+
+    return { name: schemeName, scheme: { type: 'apiKey', in: location, name }, scopes: [] };
+  }
+
+  /**
+   * Decode the claims of a JWT without verifying it
+   * @param {string} token - Bearer token
+   * @returns {Object|null} Claims, or null when the token is not a JWT
+   * @private
+   */
+  _decodeJwt(token) {
+    const segments = token.split('.');
+    if (segments.length !== 3) {
+      return null;
+    }
+
+    try {
+      const header = JSON.parse(Buffer.from(segments[0], 'base64').toString('utf8'));
+      const claims = JSON.parse(Buffer.from(segments[1], 'base64').toString('utf8'));
+      return header && header.alg && claims && typeof claims === 'object' ? claims : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect the scopes granted by JWT claims
+   * @param {Object} claims - Decoded claims
+   * @returns {Array<string>} Sorted, distinct scope names
+   * @private
+   */
+  _getScopes(claims) {
+    const scopes = new Set();
+    SCOPE_CLAIMS.forEach(claim => {
+      const value = claims[claim];
+      const list = Array.isArray(value) ? value : String(value || '').split(/\s+/);
+      list.filter(scope => typeof scope === 'string' && scope).forEach(scope => scopes.add(scope));
+    });
+    return [...scopes].sort();
+  }
+
+  /**
+   * Find the first key of an object matching one of the names, ignoring case
+   * @param {Object} object - Headers, query or cookies
+   * @param {Array<string>} names - Names to look for, in order of preference
+   * @returns {string|undefined} Key as present in the object
+   * @private
+   */
+  _findKey(object, names) {
+    const keys = Object.keys(object);
+    for (const name of names) {
+      const key = keys.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+      if (key) {
+        return key;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Read the cookie names of a Cookie header
+   * @param {string} [header] - Cookie header
+   * @returns {Object} Cookie names mapped to true
+   * @private
+   */
+  _parseCookieNames(header) {
+    const names = {};
+    if (typeof header === 'string') {
+      header.split(';').forEach(pair => {
+        const name = pair.split('=')[0].trim();
+        if (name) {
+          names[name] = true;
+        }
+      });
+    }
+    return names;
+  }
+}
+
+SecurityInference.DEFAULT_API_KEY_HEADERS = DEFAULT_API_KEY_HEADERS;
+SecurityInference.DEFAULT_API_KEY_QUERY_PARAMS = DEFAULT_API_KEY_QUERY_PARAMS;
+SecurityInference.DEFAULT_SESSION_COOKIES = DEFAULT_SESSION_COOKIES;
+
+module.exports = SecurityInference;
@@ -0,0 +1,431 @@
+// Keys of a path item that hold operations
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Output formats supported by format()
+const FORMATS = ['json', 'markdown', 'text'];
+
+/**
+ * Spec Diff
+ * Compares two OpenAPI specifications produced by OpenAPIGenerator and classifies every change
+ * as breaking or non-breaking for existing clients
+ *
+ * Requests and responses are judged in opposite directions: a client must be able to keep sending
+ * what it sent before, and must still receive everything it relied on. So a new required request
+ * field is breaking while a new response field is not, and a removed response field is breaking
+ * while a removed request field is not.
+ */
+class SpecDiff {
+  /**
+   * Compare two specifications
+   * @param {Object} before - Old specification
+   * @param {Object} after - New specification
+   * @returns {Object} `{ summary: { breaking, nonBreaking }, changes }`, where each change is
+   *   `{ type, breaking, operation, location, message }`, breaking changes first
+   */
+  diff(before, after) {
+    const context = { before, after, changes: [] };
+    const oldOperations = this._collectOperations(before);
+    const newOperations = this._collectOperations(after);
+
+    oldOperations.forEach((operation, key) => {
+      if (!newOperations.has(key)) {
+        this._report(context, 'operation-removed', true, key, '', `Operation ${key} removed`);
+      }
+    });
+    newOperations.forEach((operation, key) => {
+      if (!oldOperations.has(key)) {
+        this._report(context, 'operation-added', false, key, '', `Operation ${key} added`);
+      } else {
+        this._diffOperation(context, key, oldOperations.get(key), operation);
+      }
+    });
+
+    const changes = [
+      ...context.changes.filter(change => change.breaking),
+      ...context.changes.filter(change => !change.breaking)
+    ];
+    return {
+      summary: {
+        breaking: changes.filter(change => change.breaking).length,
+        nonBreaking: changes.filter(change => !change.breaking).length
+      },
+      changes
+    };
+  }
+
+  /**
+   * Render a diff result
+   * @param {Object} result - Result of diff()
+   * @param {string} [format='text'] - 'json', 'markdown' or 'text'
+   * @returns {string} Rendered report
+   * @throws {Error} When the format is not supported
+   */
+  format(result, format = 'text') {
+    switch (format) {
+    case 'json':
+      return JSON.stringify(result, null, 2);
+    case 'markdown':
+      return this._formatMarkdown(result);
+    case 'text':
+      return this._formatText(result);
+    default:
+      throw new Error(`Unsupported diff format: ${format}. Supported formats: ${FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Collect the operations of a specification
+   * @param {Object} spec - OpenAPI specification
+   * @returns {Map<string, Object>} Operations by 'METHOD /path'
+   * @private
+   */
+  _collectOperations(spec) {
+    const operations = new Map();
+    Object.keys((spec && spec.paths) || {}).forEach(pathKey => {
+      const pathItem = spec.paths[pathKey] || {};
+      Object.keys(pathItem)
+        .filter(method => HTTP_METHODS.includes(method))
+        .forEach(method => operations.set(`${method.toUpperCase()} ${pathKey}`, pathItem[method]));
+    });
+    return operations;
+  }
+
+  /**
+   * Compare parameters, request body and responses of one operation
+   * @param {Object} context - Diff state
+   * @param {string} key - Operation, e.g. 'GET /users'
+   * @param {Object} before - Old operation
+   * @param {Object} after - New operation
+   * @private
+   */
+  _diffOperation(context, key, before, after) {
+    this._diffParameters(context, key, before.parameters || [], after.parameters || []);
+    this._diffRequestBody(context, key, before.requestBody, after.requestBody);
+    this._diffResponses(context, key, before.responses || {}, after.responses || {});
+  }
+
+  /**
+   * Compare the parameters of an operation
+   * @param {Object} context - Diff state
+   * @param {string} key - Operation
+   * @param {Array<Object>} before - Old parameters
+   * @param {Array<Object>} after - New parameters
+   * @private
+   */
+  _diffParameters(context, key, before, after) {
+    // Header names are case-insensitive
+    const byLocation = parameters => new Map(parameters.map(parameter => [
+      `${parameter.in}:${parameter.in === 'header' ? String(parameter.name).toLowerCase() : parameter.name}`,
+      parameter
+    ]));
+    const oldParameters = byLocation(before);
+    const newParameters = byLocation(after);
+
+    oldParameters.forEach((parameter, id) => {
+      if (!newParameters.has(id)) {
+        this._report(context, 'parameter-removed', false, key, `${parameter.in} parameter ${parameter.name}`,
+          `${this._capitalize(parameter.in)} parameter '${parameter.name}' removed`);
+      }
+    });
+
+    newParameters.forEach((parameter, id) => {
+      const location = `${parameter.in} parameter ${parameter.name}`;
+      const old = oldParameters.get(id);
+      if (!old) {
+        this._report(context, 'parameter-added', parameter.required === true, key, location,
+          `${parameter.required ? 'Required' : 'Optional'} ${parameter.in} parameter '${parameter.name}' added`);
+        return;
+      }
+
+      if (Boolean(old.required) !== Boolean(parameter.required)) {
+        this._report(context, 'parameter-required-changed', parameter.required === true, key, location,
+          `${this._capitalize(parameter.in)} parameter '${parameter.name}' became ${parameter.required ? 'required' : 'optional'}`);
+      }
+      this._diffSchema(context, key, location, old.schema, parameter.schema, 'request', '');
+    });
+  }
+
+  /**
+   * Compare the request bodies of an operation
+   * @param {Object} context - Diff state
+   * @param {string} key - Operation
+   * @param {Object} [before] - Old request body
+   * @param {Object} [after] - New request body
+   * @private
+   */
+  _diffRequestBody(context, key, before, after) {
+    if (!before && !after) {
+      return;
+    }
+    if (!before) {
+      this._report(context, 'request-body-added', after.required === true, key, 'request body',
+        `${after.required ? 'Required' : 'Optional'} request body added`);
+      return;
+    }
+    if (!after) {
+      this._report(context, 'request-body-removed', false, key, 'request body', 'Request body removed');
+      return;
+    }
+
+    if (!before.required && after.required) {
+      this._report(context, 'request-body-required-changed', true, key, 'request body', 'Request body became required');
+    }
+    this._diffContent(context, key, 'request body', before.content, after.content, 'request');
+  }
+
+  /**
+   * Compare the responses of an operation
+   * Removing a success response is breaking; error responses come and go with the traffic captured
+   * @param {Object} context - Diff state
+   * @param {string} key - Operation
+   * @param {Object} before - Old responses by status code
+   * @param {Object} after - New responses by status code
+   * @private
+   */
+  _diffResponses(context, key, before, after) {
+    Object.keys(before).forEach(status => {
+      if (!after[status]) {
+        this._report(context, 'response-removed', /^2/.test(status), key, `response ${status}`,
+          `Response ${status} removed`);
+      }
+    });
+
+    Object.keys(after).forEach(status => {
+      if (!before[status]) {
+        this._report(context, 'response-added', false, key, `response ${status}`, `Response ${status} added`);
+      } else {
+        this._diffContent(context, key, `response ${status}`, before[status].content, after[status].content, 'response');
+      }
+    });
+  }
+
+  /**
+   * Compare the schemas of the media types present on both sides
+   * @param {Object} context - Diff state
+   * @param {string} key - Operation
+   * @param {string} location - 'request body' or 'response <status>'
+   * @param {Object} [before] - Old content by media type
+   * @param {Object} [after] - New content by media type
+   * @param {string} direction - 'request' or 'response'
+   * @private
+   */
+  _diffContent(context, key, location, before = {}, after = {}, direction) {
+    Object.keys(after).forEach(mediaType => {
+      if (before[mediaType]) {
+        const mediaLocation = Object.keys(after).length > 1 ? `${location} (${mediaType})` : location;
+        this._diffSchema(context, key, mediaLocation, before[mediaType].schema, after[mediaType].schema, direction, '');
+      }
+    });
+  }
+
+  /**
+   * Compare two schemas, recursing into properties and array items
+   * @param {Object} context - Diff state
+   * @param {string} key - Operation
+   * @param {string} location - Where the schema is used, e.g. 'response 200'
+   * @param {Object} [before] - Old schema
+   * @param {Object} [after] - New schema
+   * @param {string} direction - 'request' or 'response'
+   * @param {string} property - Property path within the schema, e.g. 'address.city' or 'items[]'
+   * @param {Set} [visiting] - $refs being compared, to stop at recursive schemas
+   * @private
+   */
+  _diffSchema(context, key, location, before, after, direction, property, visiting = new Set()) {
+    const refs = (before && before.$ref) || (after && after.$ref) ? `${before && before.$ref}|${after && after.$ref}` : null;
+    if (refs && visiting.has(refs)) {
+      return;
+    }
+    const nextVisiting = refs ? new Set(visiting).add(refs) : visiting;
+    const oldSchema = this._resolve(context.before, before);
+    const newSchema = this._resolve(context.after, after);
+    if (!oldSchema || !newSchema) {
+      return;
+    }
+
+    const oldType = this._typeOf(oldSchema);
+    const newType = this._typeOf(newSchema);
+    if (oldType && newType && oldType !== newType) {
+      // Requests may accept more types and responses may send fewer, e.g. integer widened to number in a request
+      const compatible = direction === 'request' ? this._accepts(newType, oldType) : this._accepts(oldType, newType);
+      this._report(context, 'type-changed', !compatible, key, this._locate(location, property),
+        `Type of ${property ? `'${property}' in ` : ''}${location} changed from ${oldType} to ${newType}`);
+      return;
+    }
+
+    const oldProperties = oldSchema.properties || {};
+    const newProperties = newSchema.properties || {};
+    const oldRequired = oldSchema.required || [];
+    const newRequired = newSchema.required || [];
+    const child = name => (property ? `${property}.${name}` : name);
+
+    Object.keys(oldProperties).forEach(name => {
+      if (!newProperties[name]) {
+        // Clients may keep sending a field the server no longer reads, but cannot receive one it no longer sends
+        this._report(context, 'property-removed', direction === 'response', key, this._locate(location, child(name)),
+          `Property '${child(name)}' removed from ${location}`);
+      }
+    });
+
+    Object.keys(newProperties).forEach(name => {
+      if (!oldProperties[name]) {
+        const required = newRequired.includes(name);
+        this._report(context, 'property-added', direction === 'request' && required, key, this._locate(location, child(name)),
+          `${required ? 'Required' : 'Optional'} property '${child(name)}' added to ${location}`);
+        return;
+      }
+
+      const wasRequired = oldRequired.includes(name);
+      const isRequired = newRequired.includes(name);
+      if (wasRequired !== isRequired) {
+        // A request field becoming required, or a response field becoming optional, breaks clients
+        const breaking = direction === 'request' ? isRequired : wasRequired;
+        this._report(context, 'required-changed', breaking, key, this._locate(location, child(name)),
+          `Property '${child(name)}' of ${location} became ${isRequired ? 'required' : 'optional'}`);
+      }
+      this._diffSchema(context, key, location, oldProperties[name], newProperties[name], direction, child(name), nextVisiting);
+    });
+
+    if (oldSchema.items && newSchema.items) {
+      this._diffSchema(context, key, location, oldSchema.items, newSchema.items, direction, `${property}[]`, nextVisiting);
+    }
+  }
+
+  /**
+   * Resolve a local $ref against the components of its specification
+   * @param {Object} spec - Specification the schema belongs to
+   * @param {Object} [schema] - Schema, possibly a `{ $ref }`
+   * @returns {Object|undefined} Referenced schema, the schema itself without a $ref, or undefined when unresolvable
+   * @private
+   */
+  _resolve(spec, schema) {
+    if (!schema || !schema.$ref) {
+      return schema;
+    }
+
+    const match = /^#\/(.+)$/.exec(schema.$ref);
+    if (!match) {
+      return undefined;
+    }
+    // JSON Pointer escapes: ~1 is '/', ~0 is '~'
+    return match[1].split('/')
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, segment) => (node ? node[segment] : undefined), spec);
+  }
+
+  /**
+   * Describe the type of a schema
+   * @param {Object} schema - Resolved schema
+   * @returns {string|undefined} e.g. 'string', 'integer|string' for oneOf, undefined when untyped
+   * @private
+   */
+  _typeOf(schema) {
+    if (schema.type) {
+      return schema.type;
+    }
+    const variants = schema.oneOf || schema.anyOf;
+    if (variants) {
+      const types = variants.map(variant => variant.type || (variant.$ref ? 'object' : undefined));
+      return types.every(Boolean) ? [...new Set(types)].sort().join('|') : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Whether every value of one type is also valid for another
+   * @param {string} wider - Type description from _typeOf()
+   * @param {string} narrower - Type description from _typeOf()
+   * @returns {boolean} True when each type of `narrower` is one of `wider`, counting integer as a number
+   * @private
+   */
+  _accepts(wider, narrower) {
+    const types = wider.split('|');
+    return narrower.split('|').every(type => types.includes(type) || (type === 'integer' && types.includes('number')));
+  }
+
+  /**
+   * Join a schema location and property path
+   * @param {string} location - e.g. 'response 200'
+   * @param {string} property - e.g. 'address.city'
+   * @returns {string} e.g. 'response 200: address.city'
+   * @private
+   */
+  _locate(location, property) {
+    return property ? `${location}: ${property}` : location;
+  }
+
+  /**
+   * Record a change
+   * @param {Object} context - Diff state
+   * @param {string} type - Change type, e.g. 'property-removed'
+   * @param {boolean} breaking - Whether existing clients break
+   * @param {string} operation - Operation, e.g. 'GET /users'
+   * @param {string} location - Where in the operation, empty for the whole operation
+   * @param {string} message - Human readable description
+   * @private
+   */
+  _report(context, type, breaking, operation, location, message) {
+    context.changes.push({ type, breaking, operation, location, message });
+  }
+
+  /**
+   * Upper-case the first letter
+   * @param {string} text - Text
+   * @returns {string} Text starting with a capital letter
+   * @private
+   */
+  _capitalize(text) {
+    return `${String(text).charAt(0).toUpperCase()}${String(text).slice(1)}`;
+  }
+
+  /**
+   * Render a diff result as Markdown
+   * @param {Object} result - Result of diff()
+   * @returns {string} Markdown report
+   * @private
+   */
+  _formatMarkdown({ summary, changes }) {
+    const lines = ['# API Changes', '', `**${summary.breaking} breaking**, ${summary.nonBreaking} non-breaking`];
+    const section = (title, list) => {
+      if (list.length === 0) {
+        return;
+      }
+      lines.push('', `## ${title}`, '', '| Operation | Change |', '| --- | --- |');
+      list.forEach(change => {
+        lines.push(`| \`${change.operation}\` | ${change.message.replace(/\|/g, '\\|')} |`);
+      });
+    };
+
+    section('Breaking changes', changes.filter(change => change.breaking));
+    section('Non-breaking changes', changes.filter(change => !change.breaking));
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a diff result as plain text
+   * @param {Object} result - Result of diff()
+   * @returns {string} Text report
+   * @private
+   */
+  _formatText({ summary, changes }) {
+    if (changes.length === 0) {
+      return 'No changes\n';
+    }
+
+    const lines = [];
+    const section = (title, list) => {
+      if (list.length > 0) {
+        lines.push(`${title} (${list.length}):`);
+        list.forEach(change => lines.push(`   ${change.operation}: ${change.message}`));
+      }
+    };
+
+    section('❌ Breaking changes', changes.filter(change => change.breaking));
+    section('✅ Non-breaking changes', changes.filter(change => !change.breaking));
+    lines.push('', `${summary.breaking} breaking, ${summary.nonBreaking} non-breaking`);
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+SpecDiff.FORMATS = FORMATS;
+
+module.exports = SpecDiff;
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Atomic File Writes
+ * Writes go to a temporary file next to the target, are flushed to disk and then renamed over
+ * the target, so a crash mid-write leaves either the old or the new content, never a truncated file
+ */
+
+/**
+ * Get a unique temporary path in the directory of the target
+ * Renames are only atomic within one file system, so the temporary file must live next to the target
+ * @param {string} filePath - Target path
+ * @returns {string} Temporary path, e.g. 'specs/.API.json.1234.9f86d081.tmp'
+ * @private
+ */
+function getTempPath(filePath) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}.tmp`);
+}
+
+/**
+ * Write a file atomically
+ * @param {string} filePath - Target path; its directory must exist
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<void>}
+ * @throws {Error} When writing or renaming fails; the target is left untouched
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = getTempPath(filePath);
+  let handle = null;
+
+  try {
+    handle = await fs.promises.open(tempPath, 'w');
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  await syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Write a file atomically, synchronously
+ * @param {string} filePath - Target path; its directory must exist
+ * @param {string|Buffer} content - File content
+ * @throws {Error} When writing or renaming fails; the target is left untouched
+ */
+function writeFileAtomicSync(filePath, content) {
+  const tempPath = getTempPath(filePath);
+  let fd = null;
+
+  try {
+    fd = fs.openSync(tempPath, 'w');
+    fs.writeFileSync(fd, content, 'utf8');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (e) {
+      // The temporary file was never created
+    }
+    throw error;
+  }
+
+  try {
+    const dirFd = fs.openSync(path.dirname(filePath), 'r');
+    fs.fsyncSync(dirFd);
+    fs.closeSync(dirFd);
+  } catch (e) {
+    // Directories cannot be opened on every platform; the rename is still atomic
+  }
+}
+
+/**
+ * Flush a directory entry to disk, so a completed rename survives a power loss
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<void>}
+ * @private
+ */
+async function syncDirectory(dirPath) {
+  try {
+    const handle = await fs.promises.open(dirPath, 'r');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  } catch (e) {
+    // Directories cannot be opened on every platform; the rename is still atomic
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeFileAtomicSync
+};
@@ -1,4 +1,5 @@
 const BaseStorage = require('./base-storage');
+const { PreconditionFailedError } = require('./errors');
 
 /**
  * Azure Blob Storage
@@ -94,6 +95,14 @@ class AzureStorage extends BaseStorage {
    * Read file content
    */
   async readFile(filePath) {
+    const { content } = await this.readFileWithVersion(filePath);
+    return content;
+  }
+
+  /**
+   * Read file content with its ETag as the version
+   */
+  async readFileWithVersion(filePath) {
     await this.initialize();
     
     try {
@@ -105,7 +114,7 @@ class AzureStorage extends BaseStorage {
       for await (const chunk of downloadResponse.readableStreamBody) {
         chunks.push(chunk);
       }
-      return Buffer.concat(chunks).toString('utf8');
+      return { content: Buffer.concat(chunks).toString('utf8'), version: downloadResponse.etag };
       
     } catch (error) {
       if (error.statusCode === 404) {
@@ -117,16 +126,37 @@ class AzureStorage extends BaseStorage {
 
   /**
    * Write file content
+   * `ifMatch` and `ifNoneMatch` map to the access conditions of the upload
    */
-  async writeFile(filePath, content) {
+  async writeFile(filePath, content, options = {}) {
     await this.initialize();
     
     const blobClient = this.containerClient.getBlockBlobClient(this._getBlobName(filePath));
-    await blobClient.upload(content, content.length, {
-      blobHTTPHeaders: {
-        blobContentType: filePath.endsWith('.json') ? 'application/json' : 'text/plain'
+    const conditions = {};
+    if (options.ifMatch) conditions.ifMatch = options.ifMatch;
+    if (options.ifNoneMatch) conditions.ifNoneMatch = options.ifNoneMatch;
+
+    try {
+      await blobClient.upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: {
+          blobContentType: this.getContentType(filePath)
+        },
+        conditions
+      });
+    } catch (error) {
+      // 409 BlobAlreadyExists is returned for ifNoneMatch on an existing blob
+      if (error.statusCode === 412 || (error.statusCode === 409 && error.code === 'BlobAlreadyExists')) {
+        throw new PreconditionFailedError(filePath, error);
       }
-    });
+      throw error;
+    }
+  }
+
+  /**
+   * Azure Blob Storage supports conditional writes
+   */
+  supportsConditionalWrites() {
+    return true;
   }
 
   /**
@@ -33,13 +33,28 @@ class BaseStorage {
     throw new Error('readFile() must be implemented by storage provider');
   }
 
+  /**
+   * Read file content together with its current version
+   * Providers with conditional writes return their version token (ETag, generation); others return null
+   * @param {string} path - File path
+   * @returns {Promise<Object>} `{ content, version }`
+   */
+  async readFileWithVersion(path) {
+    return { content: await this.readFile(path), version: null };
+  }
+
   /**
    * Write file content
+   * Conditions are only honoured when supportsConditionalWrites() returns true
    * @param {string} path - File path
    * @param {string} content - File content
+   * @param {Object} [_options={}] - Write options
+   * @param {string} [_options.ifMatch] - Only write if the file still has this version, from readFileWithVersion
+   * @param {string} [_options.ifNoneMatch] - '*' to only write if the file does not exist yet
    * @returns {Promise<void>}
+   * @throws {PreconditionFailedError} When a condition is not met
    */
-  async writeFile(path, content) {
+  async writeFile(path, content, _options) {
     throw new Error('writeFile() must be implemented by storage provider');
   }
 
@@ -89,6 +104,35 @@ class BaseStorage {
     throw new Error('getFileMetadata() must be implemented by storage provider');
   }
 
+  /**
+   * Whether writeFile honours `ifMatch` and `ifNoneMatch`
+   * @returns {boolean} True for providers with optimistic concurrency control
+   */
+  supportsConditionalWrites() {
+    return false;
+  }
+
+  /**
+   * Acquire an exclusive lock on a file, for read-modify-write cycles shared by several processes
+   * Storage without locking support returns a release function that does nothing
+   * @param {string} _path - File path
+   * @returns {Promise<Function>} Async function releasing the lock
+   */
+  async acquireLock(_path) {
+    return async() => {};
+  }
+
+  /**
+   * Get the MIME type to store a file with, based on its extension
+   * @param {string} path - File path
+   * @returns {string} Content type
+   */
+  getContentType(path) {
+    if (path.endsWith('.json')) return 'application/json';
+    if (path.endsWith('.yaml') || path.endsWith('.yml')) return 'application/yaml';
+    return 'text/plain';
+  }
+
   /**
    * Get storage type identifier
    * @returns {string} Storage type
@@ -0,0 +1,22 @@
+/**
+ * Precondition Failed Error
+ * Thrown by conditional writes when the stored file changed since it was read
+ */
+class PreconditionFailedError extends Error {
+  /**
+   * Creates a new PreconditionFailedError instance
+   * @param {string} filePath - Path of the file whose version no longer matches
+   * @param {Error} [cause] - Error returned by the storage provider
+   */
+  constructor(filePath, cause) {
+    super(`File changed since it was read: ${filePath}`);
+    this.name = 'PreconditionFailedError';
+    this.code = 'PRECONDITION_FAILED';
+    this.path = filePath;
+    this.cause = cause;
+  }
+}
+
+module.exports = {
+  PreconditionFailedError
+};
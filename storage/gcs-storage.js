@@ -1,4 +1,5 @@
 const BaseStorage = require('./base-storage');
+const { PreconditionFailedError } = require('./errors');
 
 /**
  * Google Cloud Storage
@@ -102,18 +103,61 @@ class GCSStorage extends BaseStorage {
     }
   }
 
+  /**
+   * Read file content with its generation as the version
+   * The generation read first is downloaded, so content and version always match
+   */
+  async readFileWithVersion(filePath) {
+    await this.initialize();
+
+    try {
+      const [metadata] = await this.bucket.file(this._getObjectName(filePath)).getMetadata();
+      const file = this.bucket.file(this._getObjectName(filePath), { generation: metadata.generation });
+      const [content] = await file.download();
+      return { content: content.toString('utf8'), version: String(metadata.generation) };
+
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Write file content
+   * `ifMatch` maps to the ifGenerationMatch precondition, and `ifNoneMatch: '*'` to generation 0
    */
-  async writeFile(filePath, content) {
+  async writeFile(filePath, content, options = {}) {
     await this.initialize();
     
     const file = this.bucket.file(this._getObjectName(filePath));
-    await file.save(content, {
+    const saveOptions = {
       metadata: {
-        contentType: filePath.endsWith('.json') ? 'application/json' : 'text/plain'
+        contentType: this.getContentType(filePath)
+      }
+    };
+    if (options.ifMatch) {
+      saveOptions.preconditionOpts = { ifGenerationMatch: Number(options.ifMatch) };
+    } else if (options.ifNoneMatch === '*') {
+      saveOptions.preconditionOpts = { ifGenerationMatch: 0 };
+    }
+
+    try {
+      await file.save(content, saveOptions);
+    } catch (error) {
+      if (error.code === 412) {
+        throw new PreconditionFailedError(filePath, error);
       }
-    });
+      throw error;
+    }
+  }
+
+  /**
+   * GCS supports conditional writes
+   */
+  supportsConditionalWrites() {
+    return true;
   }
 
   /**
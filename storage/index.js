@@ -3,6 +3,7 @@ const LocalStorage = require('./local-storage');
 const S3Storage = require('./s3-storage');
 const AzureStorage = require('./azure-storage');
 const GCSStorage = require('./gcs-storage');
+const { PreconditionFailedError } = require('./errors');
 
 /**
  * Storage Factory
@@ -158,5 +159,6 @@ module.exports = {
   S3Storage,
   AzureStorage,
   GCSStorage,
-  StorageFactory
+  StorageFactory,
+  PreconditionFailedError
 };
@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const BaseStorage = require('./base-storage');
+const { writeFileAtomic } = require('./atomic-file');
 
 /**
  * Local File System Storage
@@ -10,6 +12,11 @@ class LocalStorage extends BaseStorage {
   constructor(options = {}) {
     super(options);
     this.baseDir = options.baseDir || './openapi-specs';
+    this.lockOptions = {
+      staleMs: options.lockStaleMs || 30000, // Locks older than this are abandoned
+      timeoutMs: options.lockTimeoutMs || 10000,
+      retryMs: options.lockRetryMs || 50
+    };
   }
 
   /**
@@ -48,6 +55,7 @@ class LocalStorage extends BaseStorage {
 
   /**
    * Write file content
+   * Written to a temporary file and renamed, so readers never see a partial file
    */
   async writeFile(filePath, content) {
     const fullPath = path.join(this.baseDir, filePath);
@@ -56,7 +64,7 @@ class LocalStorage extends BaseStorage {
     // Ensure directory exists
     await this.createDirectory(dir);
     
-    await fs.writeFile(fullPath, content, 'utf8');
+    await writeFileAtomic(fullPath, content);
   }
 
   /**
@@ -121,6 +129,78 @@ class LocalStorage extends BaseStorage {
     };
   }
 
+  /**
+   * Acquire an exclusive lock on a file
+   * Creates `<file>.lock` exclusively. A lock older than `lockStaleMs`, or held by a process on this
+   * host that is no longer running, is stale and gets broken
+   * @param {string} filePath - File path
+   * @returns {Promise<Function>} Async function releasing the lock
+   * @throws {Error} When the lock is still held by someone else after `lockTimeoutMs`
+   */
+  async acquireLock(filePath) {
+    const lockPath = `${path.join(this.baseDir, filePath)}.lock`;
+    const owner = JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() });
+    const startedAt = Date.now();
+
+    await this.createDirectory(path.dirname(lockPath));
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, owner, { flag: 'wx' });
+        return async() => {
+          // Never remove a lock that was broken as stale and taken over meanwhile
+          const current = await fs.readFile(lockPath, 'utf8').catch(() => null);
+          if (current === owner) {
+            await fs.unlink(lockPath).catch(() => {});
+          }
+        };
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.isLockStale(lockPath)) {
+        console.error(`⚠️ Breaking stale lock: ${lockPath}`);
+        await fs.unlink(lockPath).catch(() => {});
+      } else if (Date.now() - startedAt >= this.lockOptions.timeoutMs) {
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, this.lockOptions.retryMs));
+      }
+    }
+  }
+
+  /**
+   * Check whether a lock file was abandoned
+   * @param {string} lockPath - Full path of the lock file
+   * @returns {Promise<boolean>} True when the lock is older than `lockStaleMs` or its owner process is gone
+   * @private
+   */
+  async isLockStale(lockPath) {
+    try {
+      const stats = await fs.stat(lockPath);
+      if (Date.now() - stats.mtimeMs > this.lockOptions.staleMs) {
+        return true;
+      }
+
+      const owner = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+      if (owner.hostname !== os.hostname() || owner.pid === process.pid) {
+        return false;
+      }
+      try {
+        process.kill(owner.pid, 0);
+        return false;
+      } catch (error) {
+        // EPERM means the process exists but belongs to another user
+        return error.code === 'ESRCH';
+      }
+    } catch (error) {
+      // Released meanwhile, or still being written by its owner
+      return false;
+    }
+  }
+
   /**
    * Get storage type
    */
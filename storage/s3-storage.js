@@ -1,4 +1,5 @@
 const BaseStorage = require('./base-storage');
+const { PreconditionFailedError } = require('./errors');
 
 /**
  * AWS S3 Storage
@@ -44,7 +45,7 @@ class S3Storage extends BaseStorage {
 
     try {
       // Dynamically import AWS SDK v3
-      const { S3Client, HeadBucketCommand } = await import('@aws-sdk/client-s3');
+      const { S3Client, HeadBucketCommand } = await this._loadSdk();
       
       // Build S3 client configuration
       const clientConfig = {
@@ -83,6 +84,13 @@ class S3Storage extends BaseStorage {
     }
   }
 
+  /**
+   * Load the AWS SDK v3 S3 client module
+   */
+  _loadSdk() {
+    return import('@aws-sdk/client-s3');
+  }
+
   /**
    * Get full S3 key for a file path
    */
@@ -97,7 +105,7 @@ class S3Storage extends BaseStorage {
     await this.initialize();
     
     try {
-      const { HeadObjectCommand } = await import('@aws-sdk/client-s3');
+      const { HeadObjectCommand } = await this._loadSdk();
       await this.s3Client.send(new HeadObjectCommand({
         Bucket: this.bucket,
         Key: this._getS3Key(filePath)
@@ -115,10 +123,18 @@ class S3Storage extends BaseStorage {
    * Read file content
    */
   async readFile(filePath) {
+    const { content } = await this.readFileWithVersion(filePath);
+    return content;
+  }
+
+  /**
+   * Read file content with its ETag as the version
+   */
+  async readFileWithVersion(filePath) {
     await this.initialize();
     
     try {
-      const { GetObjectCommand } = await import('@aws-sdk/client-s3');
+      const { GetObjectCommand } = await this._loadSdk();
       const response = await this.s3Client.send(new GetObjectCommand({
         Bucket: this.bucket,
         Key: this._getS3Key(filePath)
@@ -129,7 +145,7 @@ class S3Storage extends BaseStorage {
       for await (const chunk of response.Body) {
         chunks.push(chunk);
       }
-      return Buffer.concat(chunks).toString('utf8');
+      return { content: Buffer.concat(chunks).toString('utf8'), version: response.ETag };
       
     } catch (error) {
       if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
@@ -141,17 +157,38 @@ class S3Storage extends BaseStorage {
 
   /**
    * Write file content
+   * `ifMatch` and `ifNoneMatch` map to the IfMatch and IfNoneMatch preconditions of PutObject
    */
-  async writeFile(filePath, content) {
+  async writeFile(filePath, content, options = {}) {
     await this.initialize();
     
-    const { PutObjectCommand } = await import('@aws-sdk/client-s3');
-    await this.s3Client.send(new PutObjectCommand({
+    const { PutObjectCommand } = await this._loadSdk();
+    const input = {
       Bucket: this.bucket,
       Key: this._getS3Key(filePath),
       Body: content,
-      ContentType: filePath.endsWith('.json') ? 'application/json' : 'text/plain'
-    }));
+      ContentType: this.getContentType(filePath)
+    };
+    if (options.ifMatch) input.IfMatch = options.ifMatch;
+    if (options.ifNoneMatch) input.IfNoneMatch = options.ifNoneMatch;
+
+    try {
+      await this.s3Client.send(new PutObjectCommand(input));
+    } catch (error) {
+      // 409 is returned when a concurrent conditional write to the same key won
+      const status = error.$metadata?.httpStatusCode;
+      if (error.name === 'PreconditionFailed' || status === 412 || error.name === 'ConditionalRequestConflict' || status === 409) {
+        throw new PreconditionFailedError(filePath, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * S3 supports conditional writes
+   */
+  supportsConditionalWrites() {
+    return true;
   }
 
   /**
@@ -160,7 +197,7 @@ class S3Storage extends BaseStorage {
   async deleteFile(filePath) {
     await this.initialize();
     
-    const { DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+    const { DeleteObjectCommand } = await this._loadSdk();
     await this.s3Client.send(new DeleteObjectCommand({
       Bucket: this.bucket,
       Key: this._getS3Key(filePath)
@@ -173,7 +210,7 @@ class S3Storage extends BaseStorage {
   async listFiles(dirPath = '') {
     await this.initialize();
     
-    const { ListObjectsV2Command } = await import('@aws-sdk/client-s3');
+    const { ListObjectsV2Command } = await this._loadSdk();
     const prefix = this._getS3Key(dirPath);
     
     try {
@@ -231,7 +268,7 @@ class S3Storage extends BaseStorage {
   async copyFile(sourcePath, destinationPath) {
     await this.initialize();
     
-    const { CopyObjectCommand } = await import('@aws-sdk/client-s3');
+    const { CopyObjectCommand } = await this._loadSdk();
     await this.s3Client.send(new CopyObjectCommand({
       Bucket: this.bucket,
       CopySource: `${this.bucket}/${this._getS3Key(sourcePath)}`,
@@ -246,7 +283,7 @@ class S3Storage extends BaseStorage {
     await this.initialize();
     
     try {
-      const { HeadObjectCommand } = await import('@aws-sdk/client-s3');
+      const { HeadObjectCommand } = await this._loadSdk();
       const response = await this.s3Client.send(new HeadObjectCommand({
         Bucket: this.bucket,
         Key: this._getS3Key(filePath)
@@ -0,0 +1,210 @@
+// Signals after which pending specifications are written before the process exits
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+// Schedulers with changes that have not been written yet
+const pending = new Set();
+let exitHooksInstalled = false;
+
+/**
+ * Write Scheduler
+ * Coalesces changes to a specification into batched writes
+ *
+ * The first change after a write starts a timer, and everything that changes before it fires
+ * is written at once; reaching `maxChanges` writes straight away. Only one write runs at a time,
+ * and changes made while it runs are written by the next one. Pending changes are flushed when
+ * the process receives SIGINT or SIGTERM and before it exits on its own.
+ */
+class WriteScheduler {
+  /**
+   * Creates a new WriteScheduler instance
+   * @param {Function} write - Async function writing the current state
+   * @param {Object} [options={}] - Configuration options for the scheduler
+   * @param {number} [options.intervalMs=2000] - Longest time a change waits before it is written
+   * @param {number} [options.maxChanges=100] - Changes that trigger a write before the interval elapses
+   * @param {boolean} [options.flushOnExit=true] - Whether to flush pending changes on exit signals
+   * @param {number} [options.exitTimeoutMs=5000] - Longest time an exit signal waits for pending changes to be written
+   */
+  constructor(write, options = {}) {
+    this.options = {
+      intervalMs: options.intervalMs === undefined ? 2000 : options.intervalMs,
+      maxChanges: options.maxChanges || 100,
+      flushOnExit: options.flushOnExit !== false,
+      exitTimeoutMs: options.exitTimeoutMs === undefined ? 5000 : options.exitTimeoutMs
+    };
+
+    this.write = write;
+    this.changes = 0;
+    this.timer = null;
+    this.writing = null;
+    this.failed = false;
+    this.stats = { writes: 0, coalesced: 0, failures: 0 };
+  }
+
+  /**
+   * Record a change and schedule a write for it
+   */
+  markDirty() {
+    this.changes++;
+    this.failed = false;
+    pending.add(this);
+    if (this.options.flushOnExit) {
+      WriteScheduler.installExitHooks();
+    }
+
+    if (this.changes >= this.options.maxChanges) {
+      this._clearTimer();
+      this._writeInBackground();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this._writeInBackground();
+      }, this.options.intervalMs);
+      // Pending writes must not keep the process alive; the exit hooks write them instead
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write pending changes now
+   * @returns {Promise<void>} Resolves once every change made so far is written
+   * @throws {Error} When the write fails
+   */
+  flush() {
+    this._clearTimer();
+    return this._write();
+  }
+
+  /**
+   * Whether changes are waiting to be written
+   * @returns {boolean} True when a write is pending or running
+   */
+  isDirty() {
+    return this.changes > 0 || this.writing !== null;
+  }
+
+  /**
+   * Get write counters
+   * @returns {Object} `{ pending, writes, coalesced, failures }` where coalesced counts changes saved by batching
+   */
+  getStats() {
+    return { pending: this.changes, ...this.stats };
+  }
+
+  /**
+   * Flush every scheduler with pending changes
+   * Failures are logged and do not stop the other schedulers
+   * @param {Object} [options={}] - Flush options
+   * @param {boolean} [options.retryFailed=true] - Also retry schedulers whose last write failed
+   * @returns {Promise<void>} Resolves once every scheduler has been flushed
+   * @static
+   */
+  static flushAll(options = {}) {
+    const schedulers = [...pending].filter(scheduler => options.retryFailed !== false || !scheduler.failed);
+    return Promise.all(schedulers.map(scheduler => scheduler.flush().catch(error => {
+      console.error('❌ Error writing pending OpenAPI spec:', error);
+    }))).then(() => {});
+  }
+
+  /**
+   * Install the process hooks that flush pending changes on exit
+   * Signals are re-raised after the flush, or once the longest exitTimeoutMs of the pending schedulers
+   * has passed, unless the application handles them itself
+   * @static
+   */
+  static installExitHooks() {
+    if (exitHooksInstalled) {
+      return;
+    }
+    exitHooksInstalled = true;
+
+    // A failed write is retried on the next change, not every time the loop empties
+    process.on('beforeExit', () => {
+      if ([...pending].some(scheduler => !scheduler.failed)) {
+        WriteScheduler.flushAll({ retryFailed: false });
+      }
+    });
+
+    EXIT_SIGNALS.forEach(signal => {
+      const onSignal = () => {
+        process.removeListener(signal, onSignal);
+
+        // A hanging write, e.g. to unreachable cloud storage, must not keep the process from exiting
+        const timeoutMs = Math.max(0, ...[...pending].map(scheduler => scheduler.options.exitTimeoutMs));
+        let timer;
+        const timeout = new Promise(resolve => {
+          timer = setTimeout(() => {
+            console.error(`⚠️ Pending OpenAPI specs were not written within ${timeoutMs}ms of ${signal}, exiting without them`);
+            resolve();
+          }, timeoutMs);
+        });
+
+        Promise.race([WriteScheduler.flushAll(), timeout]).then(() => {
+          clearTimeout(timer);
+          if (process.listenerCount(signal) === 0) {
+            process.kill(process.pid, signal);
+          }
+        });
+      };
+      process.on(signal, onSignal);
+    });
+  }
+
+  /**
+   * Write pending changes after any write in flight has finished
+   * @returns {Promise<void>} Resolves once the changes are written
+   * @private
+   * @async
+   */
+  async _write() {
+    while (this.writing) {
+      await this.writing.catch(() => {});
+    }
+    if (this.changes === 0) {
+      return;
+    }
+
+    const { changes } = this;
+    this.changes = 0;
+    this.writing = Promise.resolve().then(() => this.write());
+    try {
+      await this.writing;
+      this.stats.writes++;
+      this.stats.coalesced += changes - 1;
+      if (this.changes === 0) {
+        pending.delete(this);
+      }
+    } catch (error) {
+      this.changes += changes;
+      this.failed = true;
+      this.stats.failures++;
+      throw error;
+    } finally {
+      this.writing = null;
+    }
+  }
+
+  /**
+   * Write pending changes without waiting, logging failures
+   * @private
+   */
+  _writeInBackground() {
+    this._write().catch(error => {
+      console.error('❌ Error writing OpenAPI spec:', error);
+    });
+  }
+
+  /**
+   * Cancel the scheduled write
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+WriteScheduler.EXIT_SIGNALS = EXIT_SIGNALS;
+
+module.exports = WriteScheduler;
@@ -0,0 +1,345 @@
+// Characters that cannot appear in plain or single-quoted scalars
+// as inclusive character code ranges
+const NON_PRINTABLE_RANGES = [[0x00, 0x09], [0x0b, 0x1f], [0x7f, 0x9f], [0x2028, 0x2029], [0xfeff, 0xfeff]];
+
+/**
+ * YAML Serializer
+ * Serializes JSON-compatible values to block-style YAML without anchors or aliases
+ */
+class YAMLSerializer {
+  /**
+   * Creates a new YAMLSerializer instance
+   * @param {Object} [options={}] - Configuration options for the serializer
+   * @param {number} [options.indent=2] - Number of spaces per nesting level
+   */
+  constructor(options = {}) {
+    this.options = {
+      indent: options.indent || 2,
+      ...options
+    };
+    this.options.indent = Math.max(2, this.options.indent);
+  }
+
+  /**
+   * Serialize a value to a YAML document
+   * Follows JSON.stringify semantics: toJSON is honoured, undefined and functions are
+   * skipped in objects and become null in arrays, non-finite numbers become null
+   * @param {*} value - Value to serialize
+   * @returns {string} YAML document terminated by a newline
+   * @throws {TypeError} When the value contains a circular reference
+   */
+  stringify(value) {
+    const lines = this._emit(this._toJSONValue(value), 0, new Set());
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serialize several values into a multi-document YAML stream
+   * @param {Array<*>} documents - Values to serialize, one document each
+   * @returns {string} YAML stream with each document started by ---
+   */
+  stringifyDocuments(documents) {
+    return documents.map(document => `---\n${this.stringify(document)}`).join('');
+  }
+
+  /**
+   * Emit a value as a list of lines at the given nesting depth
+   * @param {*} value - JSON-compatible value
+   * @param {number} depth - Nesting depth
+   * @param {Set} ancestors - Objects currently being serialized
+   * @returns {Array<string>} YAML lines
+   * @private
+   */
+  _emit(value, depth, ancestors) {
+    if (Array.isArray(value) && value.length > 0) {
+      return this._emitSequence(value, depth, ancestors);
+    }
+    if (this._isPlainObject(value) && this._entries(value).length > 0) {
+      return this._emitMapping(value, depth, ancestors);
+    }
+    if (this._isMultiline(value)) {
+      return [this._blockHeader(value), ...this._blockLines(value, depth + 1)];
+    }
+    return [this._scalar(value)];
+  }
+
+  /**
+   * Emit a non-empty mapping
+   * @param {Object} object - Object to emit
+   * @param {number} depth - Nesting depth
+   * @param {Set} ancestors - Objects currently being serialized
+   * @returns {Array<string>} YAML lines
+   * @private
+   */
+  _emitMapping(object, depth, ancestors) {
+    this._enter(object, ancestors);
+    const pad = this._pad(depth);
+    const lines = [];
+
+    this._entries(object).forEach(([key, rawValue]) => {
+      const value = this._toJSONValue(rawValue, key);
+      const prefix = `${pad}${this._key(key)}:`;
+
+      if (this._isCollection(value)) {
+        lines.push(prefix, ...this._emit(value, depth + 1, ancestors));
+      } else if (this._isMultiline(value)) {
+        lines.push(`${prefix} ${this._blockHeader(value)}`, ...this._blockLines(value, depth + 1));
+      } else {
+        lines.push(`${prefix} ${this._scalar(value)}`);
+      }
+    });
+
+    ancestors.delete(object);
+    return lines;
+  }
+
+  /**
+   * Emit a non-empty sequence
+   * Nested collections start on the same line as their dash
+   * @param {Array} array - Array to emit
+   * @param {number} depth - Nesting depth
+   * @param {Set} ancestors - Objects currently being serialized
+   * @returns {Array<string>} YAML lines
+   * @private
+   */
+  _emitSequence(array, depth, ancestors) {
+    this._enter(array, ancestors);
+    const pad = this._pad(depth);
+    const childPad = this._pad(depth + 1);
+    const dash = '-'.padEnd(this.options.indent);
+    const lines = [];
+
+    array.forEach((rawItem, index) => {
+      let item = this._toJSONValue(rawItem, String(index));
+      if (item === undefined) {
+        item = null;
+      }
+
+      if (this._isCollection(item)) {
+        const nested = this._emit(item, depth + 1, ancestors);
+        lines.push(`${pad}${dash}${nested[0].slice(childPad.length)}`, ...nested.slice(1));
+      } else if (this._isMultiline(item)) {
+        lines.push(`${pad}${dash}${this._blockHeader(item)}`, ...this._blockLines(item, depth + 1));
+      } else {
+        lines.push(`${pad}${dash}${this._scalar(item)}`);
+      }
+    });
+
+    ancestors.delete(array);
+    return lines;
+  }
+
+  /**
+   * Serialize a scalar or empty collection on a single line
+   * @param {*} value - Value to serialize
+   * @returns {string} YAML scalar
+   * @private
+   */
+  _scalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return '[]';
+    if (typeof value === 'object') return '{}';
+    return this._string(String(value));
+  }
+
+  /**
+   * Serialize a single-line string, quoting it when a plain scalar would be misread
+   * @param {string} str - String to serialize
+   * @returns {string} Plain, single-quoted or double-quoted scalar
+   * @private
+   */
+  _string(str) {
+    if (this._hasNonPrintable(str) || str.includes('\n')) {
+      return this._doubleQuoted(str);
+    }
+    if (this._needsQuotes(str)) {
+      return `'${str.replace(/'/g, '\'\'')}'`;
+    }
+    return str;
+  }
+
+  /**
+   * Serialize a string as a double-quoted scalar with every non-printable character escaped
+   * @param {string} str - String to serialize
+   * @returns {string} Double-quoted scalar
+   * @private
+   */
+  _doubleQuoted(str) {
+    return JSON.stringify(str).replace(/[\u007f-\u009f\u2028\u2029\ufeff]/g, char =>
+      `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+    );
+  }
+
+  /**
+   * Serialize a mapping key
+   * Keys follow the same quoting rules as values so that `200` or `on` stay strings
+   * @param {string} key - Object key
+   * @returns {string} YAML key
+   * @private
+   */
+  _key(key) {
+    return this._string(key);
+  }
+
+  /**
+   * Check whether a string must be quoted to round-trip as the same string
+   * @param {string} str - String to check
+   * @returns {boolean} True if quoting is required
+   * @private
+   */
+  _needsQuotes(str) {
+    if (str === '') return true;
+    if (str !== str.trim()) return true;
+    if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(str)) return true;
+    if (/: |:$| #|[,[\]{}]/.test(str)) return true;
+    if (str === '<<' || YAMLSerializer.RESERVED_WORDS.includes(str.toLowerCase())) return true;
+    if (/^[-+]?(\.?\d|0x[0-9a-f]|0o[0-7]|\.inf$|\.nan$)/i.test(str)) return true;
+    if (/^\d{4}-\d{1,2}-\d{1,2}/.test(str)) return true;
+    return false;
+  }
+
+  /**
+   * Check whether a value should be emitted as a literal block scalar
+   * Strings whose first line is indented would need an indentation indicator and are
+   * double-quoted instead
+   * @param {*} value - Value to check
+   * @returns {boolean} True for printable strings containing line breaks
+   * @private
+   */
+  _isMultiline(value) {
+    return typeof value === 'string' && value.includes('\n') &&
+      !this._hasNonPrintable(value) && !/^\n* /.test(value);
+  }
+
+  /**
+   * Check whether a string contains characters that cannot appear in plain or single-quoted scalars
+   * @param {string} str - String to check
+   * @returns {boolean} True if the string must be double-quoted
+   * @private
+   */
+  _hasNonPrintable(str) {
+    for (let index = 0; index < str.length; index++) {
+      const code = str.charCodeAt(index);
+      if (NON_PRINTABLE_RANGES.some(([from, to]) => code >= from && code <= to)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Build the literal block scalar header for a multi-line string
+   * @param {string} str - Multi-line string
+   * @returns {string} Header `|`, `|-` or `|+` depending on trailing line breaks
+   * @private
+   */
+  _blockHeader(str) {
+    if (str.endsWith('\n\n')) return '|+';
+    if (str.endsWith('\n')) return '|';
+    return '|-';
+  }
+
+  /**
+   * Indent the lines of a multi-line string for a literal block
+   * @param {string} str - Multi-line string
+   * @param {number} depth - Nesting depth of the block content
+   * @returns {Array<string>} Indented lines
+   * @private
+   */
+  _blockLines(str, depth) {
+    const pad = this._pad(depth);
+    const body = str.endsWith('\n') && !str.endsWith('\n\n') ? str.slice(0, -1) : str;
+    const lines = body.split('\n');
+    if (str.endsWith('\n\n')) {
+      // Keep chomping retains the final line break already represented by the split
+      lines.pop();
+    }
+    return lines.map(line => (line ? `${pad}${line}` : ''));
+  }
+
+  /**
+   * Resolve toJSON and drop values JSON cannot represent
+   * @param {*} value - Value to normalise
+   * @param {string} [key=''] - Key passed to toJSON
+   * @returns {*} JSON-compatible value, or undefined when it should be skipped
+   * @private
+   */
+  _toJSONValue(value, key = '') {
+    if (value && typeof value.toJSON === 'function') {
+      return value.toJSON(key);
+    }
+    if (typeof value === 'function' || typeof value === 'symbol') {
+      return undefined;
+    }
+    return value;
+  }
+
+  /**
+   * Object entries that JSON.stringify would keep
+   * @param {Object} object - Object to read
+   * @returns {Array<Array>} Key/value pairs
+   * @private
+   */
+  _entries(object) {
+    return Object.keys(object)
+      .map(key => [key, object[key]])
+      .filter(([key, value]) => this._toJSONValue(value, key) !== undefined);
+  }
+
+  /**
+   * Track an object on the current path, rejecting circular structures
+   * @param {Object} object - Object being entered
+   * @param {Set} ancestors - Objects currently being serialized
+   * @throws {TypeError} When the object is already on the current path
+   * @private
+   */
+  _enter(object, ancestors) {
+    if (ancestors.has(object)) {
+      throw new TypeError('Converting circular structure to YAML');
+    }
+    ancestors.add(object);
+  }
+
+  /**
+   * Check whether a value is a non-empty array or object
+   * @param {*} value - Value to check
+   * @returns {boolean} True for collections that need block layout
+   * @private
+   */
+  _isCollection(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return this._isPlainObject(value) && this._entries(value).length > 0;
+  }
+
+  /**
+   * Check whether a value is a non-array object
+   * @param {*} value - Value to check
+   * @returns {boolean} True for objects
+   * @private
+   */
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Indentation for a nesting depth
+   * @param {number} depth - Nesting depth
+   * @returns {string} Spaces
+   * @private
+   */
+  _pad(depth) {
+    return ' '.repeat(depth * this.options.indent);
+  }
+}
+
+/**
+ * Words that YAML 1.1 and 1.2 parsers resolve to booleans or null when unquoted
+ */
+YAMLSerializer.RESERVED_WORDS = [
+  'y', 'yes', 'n', 'no', 'true', 'false', 'on', 'off', 'null', '~'
+];
+
+module.exports = YAMLSerializer;